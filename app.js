@@ -14,11 +14,17 @@ function initializeApp() {
         GameLogger.loadFromLocalStorage();
     }
 
-    // 2. 스테이지 드롭다운 초기화
+    // 2. 스테이지 드롭다운 초기화 (저장된 커스텀 스테이지 포함)
+    if (typeof StageStore !== 'undefined') {
+        StageStore.loadCustomStages();
+    }
     OthelloUI.populateStageSelect();
 
     // 3. 전략 로드 및 UI 업데이트
     OthelloStrategies.loadSavedStrategies();
+    if (typeof IntelligentSystemInterface !== 'undefined') {
+        IntelligentSystemInterface.loadSystemRecords();
+    }
     updateStrategyList();
     updateAISelectors();
 
@@ -40,12 +46,26 @@ function initializeApp() {
     document.getElementById('upload-strategies').addEventListener('click', uploadStrategies); 
     document.getElementById('run-tournament-btn').addEventListener('click', runTournament);
     document.getElementById('stop-tournament-btn').addEventListener('click', stopTournament);
+    document.getElementById('resume-tournament-btn').addEventListener('click', resumeTournament);
+    document.getElementById('run-match-btn').addEventListener('click', runMatch);
+    document.getElementById('stop-match-btn').addEventListener('click', stopMatch);
+    document.getElementById('run-selfplay-btn').addEventListener('click', runSelfPlay);
+    document.getElementById('stop-selfplay-btn').addEventListener('click', stopSelfPlay);
+    document.getElementById('download-selfplay-btn').addEventListener('click', downloadSelfPlay);
     document.getElementById('reset-tournament-btn').addEventListener('click', resetTournamentRecords);
     document.getElementById('upload-intelligent-system').addEventListener('click', uploadIntelligentSystem);
     document.getElementById('save-log').addEventListener('click', saveGameLog);
+    document.getElementById('import-log').addEventListener('click', importGameLog);
+    document.getElementById('open-game-btn').addEventListener('click', openGameFile);
+    document.getElementById('archive-search-btn').addEventListener('click', searchArchive);
+    document.getElementById('archive-clear-btn').addEventListener('click', clearArchive);
     document.getElementById('stageSelect').addEventListener('change', onStageChange);
     document.getElementById('clear-all-btn').addEventListener('click', clearAllData);
 
+    // 6-1. 스테이지 에디터 초기화
+    if (typeof StageEditor !== 'undefined') {
+        StageEditor.init();
+    }
 
     // 7. GameRollout 초기화 (GameLogger 이후에)
     if (typeof GameRollout !== 'undefined' && window.gameLogger) {
@@ -191,8 +211,6 @@ function clearAllData() {
             if (window.gameRollout) {
                 window.gameRollout.currentMoveIndex = -1;
                 window.gameRollout.currentGameIndex = 0;
-                window.gameRollout.gameStartIndices = [0];
-                window.gameRollout.movesPerGame = [];
                 window.gameRollout.isRolling = false;
                 if (window.gameRollout.rolloutTimer) {
                     clearTimeout(window.gameRollout.rolloutTimer);
@@ -200,7 +218,12 @@ function clearAllData() {
                 }
             }
 
-            // 6. Success notification
+            // 6. Clear the persistent game archive
+            if (typeof ArchiveBrowser !== 'undefined') {
+                ArchiveBrowser.clear();
+            }
+
+            // 7. Success notification
             const statusElement = document.getElementById('status');
             if (statusElement) {
                 statusElement.textContent = "All game data has been cleared.";
@@ -358,6 +381,14 @@ function runTournament() {
     }
 }
 
+function resumeTournament() {
+    if (typeof Tournament !== 'undefined' && Tournament.resumeTournament) {
+        Tournament.resumeTournament();
+    } else {
+        console.error("Tournament module not available");
+    }
+}
+
 function stopTournament() {
     if (typeof Tournament !== 'undefined' && Tournament.stopTournament) {
         Tournament.stopTournament();
@@ -367,6 +398,64 @@ function stopTournament() {
     }
 }
 
+function runMatch() {
+    if (typeof MatchRunner !== 'undefined' && MatchRunner.runMatch) {
+        MatchRunner.runMatch();
+    } else {
+        console.error("MatchRunner module not available");
+    }
+}
+
+function stopMatch() {
+    if (typeof MatchRunner !== 'undefined' && MatchRunner.stopMatch) {
+        MatchRunner.stopMatch();
+    } else {
+        console.error("MatchRunner module not available");
+    }
+}
+
+function runSelfPlay() {
+    if (typeof SelfPlayRunner !== 'undefined' && SelfPlayRunner.run) {
+        SelfPlayRunner.run();
+    } else {
+        console.error("SelfPlayRunner module not available");
+    }
+}
+
+function stopSelfPlay() {
+    if (typeof SelfPlayRunner !== 'undefined' && SelfPlayRunner.stop) {
+        SelfPlayRunner.stop();
+    } else {
+        console.error("SelfPlayRunner module not available");
+    }
+}
+
+function downloadSelfPlay() {
+    if (typeof SelfPlayRunner !== 'undefined' && SelfPlayRunner.download) {
+        SelfPlayRunner.download();
+    } else {
+        console.error("SelfPlayRunner module not available");
+    }
+}
+
+function searchArchive() {
+    if (typeof ArchiveBrowser !== 'undefined' && ArchiveBrowser.search) {
+        ArchiveBrowser.search();
+    } else {
+        console.error("ArchiveBrowser module not available");
+    }
+}
+
+function clearArchive() {
+    if (typeof ArchiveBrowser !== 'undefined' && ArchiveBrowser.clear) {
+        if (confirm("This will delete every game in the archive. This cannot be undone. Continue?")) {
+            ArchiveBrowser.clear();
+        }
+    } else {
+        console.error("ArchiveBrowser module not available");
+    }
+}
+
 // app.js에 다음 함수 추가
 function resetTournamentRecords() {
     // 토너먼트가 실행 중인지 확인
@@ -480,7 +569,7 @@ function uploadIntelligentSystem() {
                 progressBar.style.width = '30%';
             }
             if (statusElement) {
-                statusElement.textContent = `Starting analysis on ${stageConfig.name}... (This may take up to 60 seconds)`;
+                statusElement.textContent = `Starting analysis on ${stageConfig.name}... (This may take up to ${GAME_CONSTANTS.MAX_ANALYSIS_TIME / 1000} seconds)`;
             }
 
             // Use IntelligentSystemInterface to analyze stage
@@ -491,16 +580,22 @@ function uploadIntelligentSystem() {
                 }
                 window.intelligentSystems[systemName] = code;
 
-                // Run analysis
-                const success = await IntelligentSystemInterface.analyzeStageWithSystem(systemName, stageConfig, code);
+                // Run analysis (discovery mode hides the stage's special rules behind step/playOut)
+                const discoveryCheckbox = document.getElementById('intelligent-system-discovery');
+                const options = { discovery: !!(discoveryCheckbox && discoveryCheckbox.checked) };
+                const analysis = await IntelligentSystemInterface.analyzeStageWithSystem(systemName, stageConfig, code, options);
 
-                if (success) {
+                if (analysis) {
                     // Update progress for success
                     if (progressBar) {
                         progressBar.style.width = '100%';
                     }
-                    if (statusElement) {
-                        statusElement.textContent = `Analysis complete! Strategy generated for ${stageConfig.name}`;
+                    if (statusElement && analysis.timedOut) {
+                        statusElement.textContent = `Analysis timed out after ${GAME_CONSTANTS.MAX_ANALYSIS_TIME / 1000}s - using fallback strategy for ${stageConfig.name}`;
+                        statusElement.className = 'intelligent-system-status upload-error';
+                    } else if (statusElement) {
+                        statusElement.textContent = `Analysis complete! Strategy generated for ${stageConfig.name}` +
+                            (analysis.usage ? ` (used ${analysis.usage.used} of ${analysis.usage.limit} environment steps)` : '');
                         statusElement.className = 'intelligent-system-status upload-success';
                     }
 
@@ -792,6 +887,13 @@ function updateAISelectors() {
  * This function exports all game logs to a text file and optionally as JSON
  */
 function saveGameLog() {
+    // Standard record formats are written by GameRecord
+    const formatSelect = document.getElementById('log-format');
+    if (formatSelect && formatSelect.value !== 'text') {
+        saveGameRecords(formatSelect.value);
+        return;
+    }
+
     try {
         // Get the log input element
         const logInput = document.getElementById('log-input');
@@ -821,31 +923,33 @@ function saveGameLog() {
                         let gameLog = `=== Game ${index + 1} ===\n`;
                         gameLog += `${blackStrategy}(B) vs ${whiteStrategy}(W) on Stage: ${stage}\n`;
 
-                        // If there are moves, add them
-                        if (game.moves && game.moves.length > 0) {
-                            const colLabels = 'abcdefghijklmnopqrstuvwxyz';
-                            game.moves.forEach(move => {
-                                if (move && move.player && move.position) {
-                                    const playerName = move.player === GAME_CONSTANTS.BLACK ? blackStrategy : whiteStrategy;
-                                    const colorIndicator = move.player === GAME_CONSTANTS.BLACK ? "(B)" : "(W)";
-                                    const col = colLabels[move.position.col];
-                                    const row = move.position.row + 1;
-                                    gameLog += `${playerName}${colorIndicator}: ${col}${row}\n`;
-                                }
-                            });
-                        }
+                        // Add the moves and passes of the game record
+                        const colLabels = 'abcdefghijklmnopqrstuvwxyz';
+                        (game.plies || []).forEach(ply => {
+                            const playerName = ply.player === GAME_CONSTANTS.BLACK ? blackStrategy : whiteStrategy;
+                            if (ply.type === 'pass') {
+                                gameLog += `${playerName} passes\n`;
+                            } else {
+                                const colorIndicator = ply.player === GAME_CONSTANTS.BLACK ? "(B)" : "(W)";
+                                gameLog += `${playerName}${colorIndicator}: ${colLabels[ply.position.col]}${ply.position.row + 1}\n`;
+                            }
+                        });
 
                         // Add result
                         gameLog += `Game over: Final score ${blackScore}-${whiteScore}\n`;
 
-                        // If winner can be determined
-                        if (blackScore > whiteScore) {
+                        // Winner and termination reason of the game record
+                        const winner = game.result ? game.result.winner : 0;
+                        if (winner === GAME_CONSTANTS.BLACK) {
                             gameLog += "Black wins!";
-                        } else if (whiteScore > blackScore) {
+                        } else if (winner === GAME_CONSTANTS.WHITE) {
                             gameLog += "White wins!";
                         } else {
                             gameLog += "It's a tie!";
                         }
+                        if (game.reason && game.reason !== 'normal' && game.reason !== 'unknown') {
+                            gameLog += ` (${game.reason})`;
+                        }
 
                         gameTexts.push(gameLog);
                     }
@@ -967,6 +1071,161 @@ function saveGameLog() {
     }
 }
 
+/**
+ * Show a message in the status bar for a few seconds
+ * @param {string} message - Message
+ * @param {boolean} isError - Whether to show it as an error
+ */
+function showLogStatus(message, isError = false) {
+    const statusElement = document.getElementById('status');
+    if (!statusElement) return;
+
+    statusElement.textContent = message;
+    statusElement.style.backgroundColor = isError ? '#f44336' : '#4CAF50';
+    setTimeout(() => {
+        statusElement.textContent = "Ready to start";
+        statusElement.style.backgroundColor = '#4CAF50';
+    }, 3000);
+}
+
+/**
+ * Save the previous games as a compact transcript, GGF or WTHOR file
+ * @param {string} format - One of GameRecord.FORMATS
+ */
+function saveGameRecords(format) {
+    if (typeof GameLogger === 'undefined' || GameLogger.previousGames.length === 0) {
+        showLogStatus("No finished games to save", true);
+        return;
+    }
+
+    const result = GameRecord.exportGames(GameLogger.previousGames, format);
+    result.errors.forEach(error => console.warn(`[saveGameRecords] ${error}`));
+    if (result.exported === 0) {
+        showLogStatus(`No games could be saved as ${format.toUpperCase()}: ${result.errors[0]}`, true);
+        return;
+    }
+
+    const now = new Date();
+    const timestamp = `${now.getFullYear()}-${(now.getMonth() + 1).toString().padStart(2, '0')}-${now.getDate().toString().padStart(2, '0')}_${now.getHours().toString().padStart(2, '0')}-${now.getMinutes().toString().padStart(2, '0')}`;
+    const extension = { compact: 'txt', ggf: 'ggf', wthor: 'wtb' }[format];
+    const fileName = `OthelloGames_${timestamp}.${extension}`;
+
+    const blob = new Blob([result.data], { type: format === 'wthor' ? 'application/octet-stream' : 'text/plain' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.style.display = 'none';
+    document.body.appendChild(link);
+    link.click();
+    setTimeout(() => {
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    }, 100);
+
+    const skipped = result.errors.length > 0 ? ` (${result.errors.length} skipped, see console)` : '';
+    showLogStatus(`Saved ${result.exported} game${result.exported === 1 ? '' : 's'} as ${fileName}${skipped}`);
+}
+
+/**
+ * Import games from a compact transcript, GGF or WTHOR file into the previous games.
+ * The format comes from the file extension (.ggf, .wtb), otherwise from the format selector.
+ */
+function importGameLog() {
+    const fileInput = document.getElementById('log-import-file');
+    const file = fileInput && fileInput.files[0];
+    if (!file) {
+        showLogStatus("Choose a game file to import", true);
+        return;
+    }
+
+    const formatSelect = document.getElementById('log-format');
+    const format = /\.ggf$/i.test(file.name) ? 'ggf' :
+        /\.wtb$/i.test(file.name) ? 'wthor' :
+            formatSelect && formatSelect.value !== 'text' ? formatSelect.value : 'compact';
+
+    const reader = new FileReader();
+    reader.onload = (e) => {
+        const result = GameRecord.importGames(e.target.result, format);
+        result.errors.forEach(error => console.warn(`[importGameLog] ${error}`));
+        fileInput.value = '';
+
+        if (result.games.length === 0) {
+            showLogStatus(`No games imported: ${result.errors[0] || 'the file is empty'}`, true);
+            return;
+        }
+
+        GameLogger.addGames(result.games);
+        const skipped = result.errors.length > 0 ? ` (${result.errors.length} problem${result.errors.length === 1 ? '' : 's'}, see console)` : '';
+        showLogStatus(`Imported ${result.games.length} game${result.games.length === 1 ? '' : 's'} from ${file.name}${skipped}`);
+    };
+    reader.onerror = () => showLogStatus(`Error reading ${file.name}`, true);
+
+    if (format === 'wthor') reader.readAsArrayBuffer(file);
+    else reader.readAsText(file);
+}
+
+/**
+ * Show the outcome of opening a game file
+ * @param {string} message - Message
+ * @param {boolean} isError - Whether to show it as an error
+ */
+function showOpenGameStatus(message, isError = false) {
+    const statusElement = document.getElementById('open-game-status');
+    if (!statusElement) return;
+
+    statusElement.textContent = message;
+    statusElement.className = isError ? 'error' : '';
+}
+
+/**
+ * Open a pasted or uploaded game log in the replay viewer.
+ * The games are replayed on their stages, added to the previous games and the first one is shown;
+ * a log that does not fit the rules is reported with its first illegal move.
+ */
+function openGameFile() {
+    const textInput = document.getElementById('open-game-text');
+    const fileInput = document.getElementById('open-game-file');
+    const file = fileInput && fileInput.files[0];
+    const pasted = textInput ? textInput.value.trim() : '';
+
+    const open = (data, sourceName) => {
+        const format = GameRecord.detectFormat(data, sourceName);
+        const result = GameRecord.importGames(data, format);
+        result.errors.forEach(error => console.warn(`[openGameFile] ${error}`));
+
+        if (result.games.length === 0) {
+            showOpenGameStatus(`Could not open ${sourceName}: ${result.errors[0] || 'no games found'}`, true);
+            return;
+        }
+
+        const firstIndex = GameLogger.previousGames.length;
+        GameLogger.addGames(result.games);
+        if (window.gameRollout) {
+            window.gameRollout.goToGame(firstIndex);
+        }
+
+        const opened = `Opened ${result.games.length} game${result.games.length === 1 ? '' : 's'} from ${sourceName} ` +
+            `as game ${firstIndex + 1}${result.games.length > 1 ? `-${firstIndex + result.games.length}` : ''}.`;
+        showOpenGameStatus(result.errors.length > 0 ? `${opened} Skipped: ${result.errors.join(' ')}` : opened,
+            result.errors.length > 0);
+        if (fileInput) fileInput.value = '';
+    };
+
+    if (file) {
+        const reader = new FileReader();
+        reader.onload = (e) => open(e.target.result, file.name);
+        reader.onerror = () => showOpenGameStatus(`Error reading ${file.name}`, true);
+
+        if (/\.wtb$/i.test(file.name)) reader.readAsArrayBuffer(file);
+        else reader.readAsText(file);
+    } else if (pasted) {
+        open(pasted, 'the pasted log');
+    } else {
+        showOpenGameStatus("Paste a game log or choose a file first.", true);
+    }
+}
+
 // Update Strategy List
 function updateStrategyList() {
     const strategyListElement = document.getElementById('strategy-list');
@@ -991,6 +1250,23 @@ function updateStrategyList() {
         const buttonsDiv = document.createElement('div');
         buttonsDiv.className = 'buttons';
 
+        // Intelligent-system strategies must be re-analyzed after a page reload
+        const systems = typeof IntelligentSystemInterface !== 'undefined' ? IntelligentSystemInterface : null;
+        if (systems && systems.reanalyzing[name]) {
+            nameSpan.textContent = `${name} (re-analyzing...)`;
+        } else if (systems && systems.needsReanalysis(name)) {
+            nameSpan.textContent = `${name} (needs re-analysis)`;
+
+            if (systems.getSystemRecord(name)) {
+                const reanalyzeButton = document.createElement('button');
+                reanalyzeButton.textContent = 'Re-analyze';
+                reanalyzeButton.addEventListener('click', () => systems.reanalyzeSystem(name));
+                buttonsDiv.appendChild(reanalyzeButton);
+            } else {
+                nameSpan.title = "The system source was not stored. Upload the intelligent system again.";
+            }
+        }
+
         const editButton = document.createElement('button');
         editButton.textContent = 'Edit';
         editButton.addEventListener('click', () => {
@@ -1006,6 +1282,9 @@ function updateStrategyList() {
         deleteButton.className = 'delete-btn';
         deleteButton.addEventListener('click', () => {
             OthelloStrategies.deleteStrategy(name);
+            if (typeof IntelligentSystemInterface !== 'undefined') {
+                IntelligentSystemInterface.removeSystemRecord(name);
+            }
             updateStrategyList();
             updateAISelectors();
         });
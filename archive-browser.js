@@ -0,0 +1,183 @@
+/**
+ * archive-browser.js
+ *
+ * Game archive browser for Othello Arena
+ * Searches the persistent game archive (game-archive.js) by strategy,
+ * opponent, stage, result, date range and opening, lists the matching games
+ * and opens the chosen one in the replay viewer.
+ */
+
+const ArchiveBrowser = (function () {
+    // Largest number of games listed per search
+    const MAX_RESULTS = 200;
+
+    let isSearching = false;
+
+    // UI element references
+    let statusElement = null;
+    let resultsElement = null;
+
+    function initElements() {
+        statusElement = document.getElementById('archive-status');
+        resultsElement = document.getElementById('archive-results');
+    }
+
+    function setStatus(text) {
+        if (statusElement) {
+            statusElement.textContent = text;
+        }
+    }
+
+    /**
+     * Read the search filters from the form
+     * @returns {Object} Filters (see GameArchive.matchesFilters)
+     */
+    function readFilters() {
+        const value = (id) => {
+            const input = document.getElementById(id);
+            return input ? input.value.trim() : '';
+        };
+
+        return {
+            strategy: value('archive-strategy'),
+            opponent: value('archive-opponent'),
+            stage: value('archive-stage'),
+            result: value('archive-result'),
+            from: value('archive-from'),
+            to: value('archive-to'),
+            opening: value('archive-opening')
+        };
+    }
+
+    /**
+     * Describe an archived game for the results list
+     * @param {Object} entry - Archive entry
+     * @returns {string} Summary, e.g. "2025-05-01 14:03 Greedy(B) 40-24 Random(W) on Stage 1"
+     */
+    function describeEntry(entry) {
+        const date = (entry.date || '').replace('T', ' ').slice(0, 16);
+        const opening = entry.opening ? ` from ${entry.opening}` : '';
+        const reason = entry.reason && entry.reason !== 'normal' && entry.reason !== 'unknown' ? ` (${entry.reason})` : '';
+        return `${date} ${entry.black}(B) ${entry.blackScore}-${entry.whiteScore} ${entry.white}(W) ` +
+            `on ${entry.stageName}${opening}${reason}`;
+    }
+
+    /**
+     * List search results; clicking a game opens it in the replay viewer
+     * @param {Array<Object>} entries - Archive entries
+     */
+    function renderResults(entries) {
+        if (!resultsElement) return;
+
+        resultsElement.innerHTML = '';
+        if (entries.length === 0) return;
+
+        const list = document.createElement('ol');
+        entries.forEach((entry) => {
+            const item = document.createElement('li');
+            item.textContent = describeEntry(entry);
+            item.title = 'Open in the replay viewer';
+            item.addEventListener('click', () => openGame(entry.id));
+            list.appendChild(item);
+        });
+        resultsElement.appendChild(list);
+    }
+
+    /**
+     * Search the archive with the filters in the form and list the matching games
+     * @returns {Promise<Array<Object>|null>} Matching entries, or null if the search could not run
+     */
+    async function search() {
+        initElements();
+        if (typeof GameArchive === 'undefined' || !GameArchive.isSupported()) {
+            setStatus('The game archive needs IndexedDB, which this browser does not provide.');
+            return null;
+        }
+        if (isSearching) return null;
+
+        isSearching = true;
+        setStatus('Searching...');
+        try {
+            const { entries, total } = await GameArchive.search(readFilters(), MAX_RESULTS);
+            renderResults(entries);
+            setStatus(total === 0 ? 'No archived games match.' :
+                `${total} game${total === 1 ? '' : 's'} found${total > entries.length ? `, showing the newest ${entries.length}` : ''}.`);
+            return entries;
+        } catch (e) {
+            console.error("[ArchiveBrowser] Search failed:", e);
+            setStatus(`Search failed: ${e.message}`);
+            return null;
+        } finally {
+            isSearching = false;
+        }
+    }
+
+    /**
+     * Open an archived game in the replay viewer.
+     * The game is rebuilt from its moves and added to the previous games, unless it is already there.
+     * @param {string} id - Game id
+     * @returns {Promise<boolean>} True if the game was opened
+     */
+    async function openGame(id) {
+        initElements();
+        if (!window.gameRollout) return false;
+
+        let index = GameLogger.previousGames.findIndex(game => game.id === id);
+        if (index < 0) {
+            try {
+                const entry = await GameArchive.getEntry(id);
+                if (!entry) {
+                    setStatus('This game is no longer in the archive.');
+                    return false;
+                }
+                GameLogger.addGames([GameArchive.toGame(entry)]);
+                index = GameLogger.previousGames.length - 1;
+            } catch (e) {
+                console.error("[ArchiveBrowser] Could not open game:", e);
+                setStatus(`Could not open the game: ${e.message}`);
+                return false;
+            }
+        }
+
+        if (!window.gameRollout.goToGame(index)) return false;
+
+        const rolloutControls = document.querySelector('.rollout-controls');
+        if (rolloutControls) {
+            rolloutControls.scrollIntoView({ behavior: 'smooth' });
+        }
+        return true;
+    }
+
+    /**
+     * Remove every game from the archive
+     * @returns {Promise<boolean>} True if the archive was cleared
+     */
+    async function clear() {
+        initElements();
+        if (typeof GameArchive === 'undefined' || !GameArchive.isSupported()) return false;
+
+        try {
+            await GameArchive.clear();
+            renderResults([]);
+            setStatus('Archive cleared.');
+            return true;
+        } catch (e) {
+            console.error("[ArchiveBrowser] Could not clear the archive:", e);
+            setStatus(`Could not clear the archive: ${e.message}`);
+            return false;
+        }
+    }
+
+    // Public API
+    return {
+        search,
+        openGame,
+        clear,
+        describeEntry
+    };
+})();
+
+// Export as a global object or use module exports if using bundler
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ArchiveBrowser;
+}
@@ -14,6 +14,8 @@ const GAME_CONSTANTS = {
 
     // Game mechanics
     MAX_AI_TIME_PER_GAME: 10000, // Maximum time allowed for AI (10 seconds)
+    MAX_ANALYSIS_TIME: 60000,    // Maximum time allowed for intelligent system analysis (60 seconds)
+    INTERACTION_BUDGET: 10000,   // Environment API steps per analysis, unless the stage sets interactionBudget
 
     // UI related
     DEFAULT_CELL_SIZE: 50, // Cell size in pixels
@@ -0,0 +1,266 @@
+/**
+ * environment-api.js
+ *
+ * Environment API handed to intelligent systems by analyzeStage
+ * Free of DOM access so it can be used on the page and inside analysis workers.
+ * All functions follow the rules of the stage being analyzed.
+ *
+ * Every call is metered against an interaction budget: one step per call, or
+ * one per ply for playOut. The budget is the stage's interactionBudget, or
+ * GAME_CONSTANTS.INTERACTION_BUDGET if the stage does not set one; a call that
+ * would exceed it throws. getBudget() is free, so systems can plan around it.
+ *
+ * In discovery mode the stage's special rules are left out of the stage
+ * configuration the system sees; instead it gets a black-box environment,
+ * step(board, player, move) and playOut(moves), that plays by the hidden rules
+ * exactly, so the rules can be inferred by experiment.
+ */
+
+const EnvironmentAPI = (function (GAME_CONSTANTS, OthelloRules) {
+    // Stage fields hidden from the system in discovery mode (see stages.js)
+    const HIDDEN_RULES = ['ignoreOcclusion', 'fewerPiecesContinue'];
+
+    /**
+     * Simulate a move on a copy of the board
+     * @param {Array<Array<number>>} board - Board state (not modified)
+     * @param {number} player - Player making the move (BLACK or WHITE)
+     * @param {number} row - Row index
+     * @param {number} col - Column index
+     * @param {Object} stageConfig - Stage configuration
+     * @returns {Object} {valid, resultingBoard, capturedCount} or {valid: false}
+     */
+    function simulateMove(board, player, row, col, stageConfig) {
+        const result = OthelloRules.simulateMove(board, player, row, col, stageConfig);
+        if (!result.valid) {
+            return { valid: false };
+        }
+
+        return {
+            valid: true,
+            resultingBoard: result.resultingBoard,
+            capturedCount: result.capturedCount
+        };
+    }
+
+    /**
+     * Evaluate a board position for a player
+     * @param {Array<Array<number>>} board - Board state
+     * @param {number} player - Player to evaluate for (BLACK or WHITE)
+     * @param {Object} stageConfig - Stage configuration (for mobility)
+     * @returns {Object} {pieceScore, mobilityScore, cornerScore, edgeScore, totalScore}
+     */
+    function evaluateBoard(board, player, stageConfig) {
+        if (!board) return { totalScore: 0 };
+
+        const boardSize = board.length;
+        const opponent = OthelloRules.getOpponent(player);
+
+        let playerCount = 0;
+        let opponentCount = 0;
+        let cornerScore = 0;
+        let edgeScore = 0;
+
+        // Piece, corner and edge scores
+        for (let r = 0; r < boardSize; r++) {
+            for (let c = 0; c < boardSize; c++) {
+                if (board[r][c] === player) {
+                    playerCount++;
+
+                    if ((r === 0 || r === boardSize - 1) && (c === 0 || c === boardSize - 1)) {
+                        cornerScore += 100;
+                    }
+                    else if (r === 0 || r === boardSize - 1 || c === 0 || c === boardSize - 1) {
+                        edgeScore += 20;
+                    }
+                }
+                else if (board[r][c] === opponent) {
+                    opponentCount++;
+                }
+            }
+        }
+
+        // Mobility score
+        const playerMoves = OthelloRules.getValidMoves(board, player, stageConfig).length;
+        const opponentMoves = OthelloRules.getValidMoves(board, opponent, stageConfig).length;
+        const mobilityScore = playerMoves - opponentMoves;
+
+        const totalScore = (playerCount - opponentCount) +
+            (mobilityScore * 2) +
+            cornerScore +
+            (edgeScore * 0.5);
+
+        return {
+            pieceScore: playerCount - opponentCount,
+            mobilityScore: mobilityScore,
+            cornerScore: cornerScore,
+            edgeScore: edgeScore,
+            totalScore: totalScore
+        };
+    }
+
+    /**
+     * Work out who moves on a board, applying forced passes as the game engine does
+     * @param {Array<Array<number>>} board - Board state
+     * @param {number} player - Player the rules give the turn to
+     * @param {Object} stageConfig - Stage configuration
+     * @returns {Object} {nextPlayer, terminal, winner}; nextPlayer is null and winner is set
+     *                   (BLACK, WHITE or 0 for a draw) once neither side can move
+     */
+    function resolveTurn(board, player, stageConfig) {
+        if (OthelloRules.getValidMoves(board, player, stageConfig).length > 0) {
+            return { nextPlayer: player, terminal: false, winner: null };
+        }
+
+        const opponent = OthelloRules.getOpponent(player);
+        if (OthelloRules.getValidMoves(board, opponent, stageConfig).length > 0) {
+            return { nextPlayer: opponent, terminal: false, winner: null };
+        }
+
+        const scores = OthelloRules.countDiscs(board);
+        const winner = scores.black > scores.white ? GAME_CONSTANTS.BLACK :
+            scores.white > scores.black ? GAME_CONSTANTS.WHITE : 0;
+        return { nextPlayer: null, terminal: true, winner };
+    }
+
+    /**
+     * Play one move on a copy of the board by the stage's full rules
+     * @param {Array<Array<number>>} board - Board state (not modified)
+     * @param {number} player - Player making the move (BLACK or WHITE)
+     * @param {Object} move - Move {row, col}
+     * @param {Object} stageConfig - Stage configuration
+     * @returns {Object} {valid, board, flips, nextPlayer, terminal, winner, scores} or {valid: false}
+     */
+    function step(board, player, move, stageConfig) {
+        if (!Array.isArray(board) || !move ||
+            !OthelloRules.isValidMove(board, move.row, move.col, player, stageConfig)) {
+            return { valid: false };
+        }
+
+        const nextBoard = board.map(r => [...r]);
+        const flips = OthelloRules.applyMove(nextBoard, move.row, move.col, player, stageConfig)
+            .map(([row, col]) => ({ row, col }));
+        const turn = resolveTurn(nextBoard,
+            OthelloRules.determineNextPlayer(nextBoard, player, stageConfig), stageConfig);
+
+        return Object.assign({ valid: true, board: nextBoard, flips }, turn,
+            { scores: OthelloRules.countDiscs(nextBoard) });
+    }
+
+    /**
+     * Play a sequence of moves from the stage's initial position; passes are applied automatically
+     * @param {Array<Object>} moves - Moves {row, col}, each by the side to move
+     * @param {Object} stageConfig - Stage configuration
+     * @returns {Object} {valid, board, nextPlayer, terminal, winner, scores, plies};
+     *                   if a move is illegal, valid is false and invalidAt is its index
+     *                   (board and nextPlayer are then the position it was tried in)
+     */
+    function playOut(moves, stageConfig) {
+        let board = OthelloRules.createInitialBoard(stageConfig);
+        let turn = resolveTurn(board, GAME_CONSTANTS.BLACK, stageConfig);
+
+        for (let i = 0; i < moves.length; i++) {
+            const result = turn.terminal ? { valid: false } : step(board, turn.nextPlayer, moves[i], stageConfig);
+            if (!result.valid) {
+                return Object.assign({ valid: false, invalidAt: i, board }, turn,
+                    { scores: OthelloRules.countDiscs(board), plies: i });
+            }
+            board = result.board;
+            turn = { nextPlayer: result.nextPlayer, terminal: result.terminal, winner: result.winner };
+        }
+
+        return Object.assign({ valid: true, board }, turn,
+            { scores: OthelloRules.countDiscs(board), plies: moves.length });
+    }
+
+    /**
+     * Stage configuration as the system sees it: without the hidden rules in discovery mode
+     * @param {Object} stageConfig - Stage configuration
+     * @param {Object} options - {discovery}
+     * @returns {Object} Stage configuration to pass to analyzeStage
+     */
+    function visibleStage(stageConfig, options = {}) {
+        if (!options.discovery) return stageConfig;
+
+        const visible = Object.assign({}, stageConfig);
+        HIDDEN_RULES.forEach((rule) => { delete visible[rule]; });
+        return visible;
+    }
+
+    /**
+     * Interaction budget of a stage
+     * @param {Object} stageConfig - Stage configuration
+     * @returns {number} Steps an analysis may spend on environment calls
+     */
+    function getStageBudget(stageConfig) {
+        return stageConfig && stageConfig.interactionBudget || GAME_CONSTANTS.INTERACTION_BUDGET;
+    }
+
+    /**
+     * Create the API object passed to analyzeStage for a stage
+     * @param {Object} stageConfig - Stage configuration (including its special rules)
+     * @param {Object} options - {discovery, budget}; budget overrides the stage's interaction budget
+     * @returns {Object} {getValidMoves, simulateMove, evaluateBoard, getBudget}, or in discovery mode
+     *                   {step, playOut, getBudget}; getBudget() returns {limit, used, remaining}
+     */
+    function create(stageConfig, options = {}) {
+        const limit = options.budget || getStageBudget(stageConfig);
+        let used = 0;
+        const spend = (steps, call) => {
+            if (used + steps > limit) {
+                throw new Error(`Interaction budget exceeded: ${call} needs ${steps} step(s) ` +
+                    `but only ${limit - used} of ${limit} remain`);
+            }
+            used += steps;
+        };
+        const getBudget = () => ({ limit, used, remaining: limit - used });
+
+        if (options.discovery) {
+            return {
+                step: (board, player, move) => {
+                    spend(1, 'step');
+                    return step(board, player, move, stageConfig);
+                },
+                playOut: (moves) => {
+                    if (!Array.isArray(moves)) throw new Error("playOut expects a list of moves {row, col}");
+                    spend(Math.max(1, moves.length), 'playOut');
+                    return playOut(moves, stageConfig);
+                },
+                getBudget
+            };
+        }
+
+        return {
+            getValidMoves: (board, player) => {
+                spend(1, 'getValidMoves');
+                return OthelloRules.getValidMoves(board, player, stageConfig);
+            },
+            simulateMove: (board, player, row, col) => {
+                spend(1, 'simulateMove');
+                return simulateMove(board, player, row, col, stageConfig);
+            },
+            evaluateBoard: (board, player) => {
+                spend(1, 'evaluateBoard');
+                return evaluateBoard(board, player, stageConfig);
+            },
+            getBudget
+        };
+    }
+
+    // Public API
+    return {
+        HIDDEN_RULES,
+        simulateMove,
+        evaluateBoard,
+        visibleStage,
+        getStageBudget,
+        create
+    };
+})(
+    typeof GAME_CONSTANTS !== 'undefined' ? GAME_CONSTANTS : require('./constant.js'),
+    typeof OthelloRules !== 'undefined' ? OthelloRules : require('./game-rules.js')
+);
+
+// Export as a global object or use module exports if using bundler
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EnvironmentAPI;
+}
@@ -0,0 +1,273 @@
+/**
+ * game-archive.js
+ *
+ * Persistent game archive for Othello Arena
+ * Keeps finished games in IndexedDB, where they outlast the session and the
+ * storage quota of previousGames (which holds a board copy per ply). Games are
+ * stored as move lists, e.g. "d3c5f6...", with the stage snapshot they were
+ * played on; boards and passes are recomputed by replaying the moves when a
+ * game is opened (game-record.js). Free of DOM access.
+ *
+ * Entries:
+ *   {id, date, black, white, stage, stageName, opening, moves, details, winner, blackScore, whiteScore, reason, logText}
+ *   - moves: move notation string; passes are implicit
+ *   - details: per-move think time, clock, fallback and diagnostics (see game-logger.js), or null if none were logged
+ *   - opening: id of the opening-suite start position, or null
+ */
+
+const GameArchive = (function (GAME_CONSTANTS, GameRecord) {
+    const DB_NAME = 'othelloArena';
+    const DB_VERSION = 1;
+    const STORE_NAME = 'games';
+
+    let databasePromise = null;
+
+    /**
+     * Check if IndexedDB can be used on this page
+     * @returns {boolean} True if the archive is available
+     */
+    function isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * Wait for an IndexedDB request
+     * @param {IDBRequest} request - Request
+     * @returns {Promise<*>} Result of the request
+     */
+    function promisify(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Open (or create) the archive database
+     * @returns {Promise<IDBDatabase>} Database
+     */
+    function openDatabase() {
+        if (!isSupported()) {
+            return Promise.reject(new Error("IndexedDB is not available"));
+        }
+        if (!databasePromise) {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+                store.createIndex('date', 'date');
+            };
+            databasePromise = promisify(request).catch((e) => {
+                databasePromise = null;
+                throw e;
+            });
+        }
+        return databasePromise;
+    }
+
+    /**
+     * Get the object store of the archive in a new transaction
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @returns {Promise<IDBObjectStore>} Object store
+     */
+    async function getStore(mode) {
+        const db = await openDatabase();
+        return db.transaction(STORE_NAME, mode).objectStore(STORE_NAME);
+    }
+
+    /**
+     * Build an archive entry from a GameLogger game
+     * @param {Object} game - previousGames entry
+     * @returns {Object} Archive entry
+     */
+    function toEntry(game) {
+        const record = GameRecord.fromPreviousGame(game);
+        const details = record.moves.map(move => move.details);
+
+        return {
+            id: game.id || `game-${Date.now()}`,
+            date: record.date || new Date().toISOString(),
+            black: record.black,
+            white: record.white,
+            stage: record.stage,
+            stageName: record.stage.name,
+            opening: record.stage.opening || null,
+            moves: record.moves.map(GameRecord.toNotation).join(''),
+            details: details.some(d => d) ? details : null,
+            winner: record.winner,
+            blackScore: record.blackScore,
+            whiteScore: record.whiteScore,
+            reason: record.reason,
+            logText: record.logText
+        };
+    }
+
+    /**
+     * Rebuild a GameLogger game from an archive entry, replaying its moves for the boards and passes
+     * @param {Object} entry - Archive entry
+     * @returns {Object} Game record (see game-logger.js)
+     * @throws {Error} If a move does not fit the stage's rules
+     */
+    function toGame(entry) {
+        const moves = (entry.moves.match(/[a-z]\d{1,2}/g) || []).map((notation, i) =>
+            Object.assign(GameRecord.parseNotation(notation), { details: entry.details ? entry.details[i] : null }));
+
+        const game = GameRecord.toPreviousGame({
+            black: entry.black,
+            white: entry.white,
+            stage: entry.stage,
+            moves,
+            date: entry.date,
+            winner: entry.winner,
+            reason: entry.reason,
+            logText: entry.logText
+        }, 'archive');
+        game.id = entry.id;
+        return game;
+    }
+
+    /**
+     * Check if an entry matches search filters. Text filters match case-insensitively anywhere in the value.
+     * @param {Object} entry - Archive entry
+     * @param {Object} filters - {strategy, opponent, stage, result, from, to, opening}; empty filters match all.
+     *                           result is 'win', 'loss' or 'draw' for the strategy, or 'black' or 'white' for the winning side;
+     *                           from and to are dates (YYYY-MM-DD), both inclusive
+     * @returns {boolean} True if the entry matches
+     */
+    function matchesFilters(entry, filters = {}) {
+        const contains = (value, text) => !text || String(value || '').toLowerCase().includes(text.trim().toLowerCase());
+
+        // Sides the strategy played in this game (either side if no strategy is given)
+        let sides = [GAME_CONSTANTS.BLACK, GAME_CONSTANTS.WHITE].filter((side) => {
+            const name = side === GAME_CONSTANTS.BLACK ? entry.black : entry.white;
+            const opponent = side === GAME_CONSTANTS.BLACK ? entry.white : entry.black;
+            return contains(name, filters.strategy) && contains(opponent, filters.opponent);
+        });
+        if (sides.length === 0) return false;
+
+        if (filters.result === 'win' || filters.result === 'loss') {
+            sides = sides.filter(side => filters.result === 'win' ? entry.winner === side :
+                entry.winner !== 0 && entry.winner !== side);
+            if (sides.length === 0) return false;
+        } else if (filters.result === 'draw' && entry.winner !== 0) {
+            return false;
+        } else if (filters.result === 'black' && entry.winner !== GAME_CONSTANTS.BLACK) {
+            return false;
+        } else if (filters.result === 'white' && entry.winner !== GAME_CONSTANTS.WHITE) {
+            return false;
+        }
+
+        const day = (entry.date || '').slice(0, 10);
+        if (filters.from && day < filters.from) return false;
+        if (filters.to && day > filters.to) return false;
+
+        return contains(entry.stageName, filters.stage) && contains(entry.opening, filters.opening);
+    }
+
+    /**
+     * Store a finished game in the archive (replacing an entry with the same id)
+     * @param {Object} game - previousGames entry
+     * @returns {Promise<Object|null>} Stored entry, or null if the game could not be archived
+     */
+    async function archiveGame(game) {
+        try {
+            const entry = toEntry(game);
+            const store = await getStore('readwrite');
+            await promisify(store.put(entry));
+            return entry;
+        } catch (e) {
+            console.error("[GameArchive] Failed to archive game:", e);
+            return null;
+        }
+    }
+
+    /**
+     * Search the archive, newest games first
+     * @param {Object} filters - Search filters (see matchesFilters)
+     * @param {number} limit - Largest number of entries returned
+     * @returns {Promise<Object>} {entries, total}; total counts every match, entries holds the first limit of them
+     */
+    async function search(filters = {}, limit = 200) {
+        const store = await getStore('readonly');
+        const range = filters.from || filters.to ?
+            IDBKeyRange.bound(filters.from || '', `${filters.to || '9999-12-31'}\uffff`) : null;
+        const cursorRequest = store.index('date').openCursor(range, 'prev');
+        const entries = [];
+        let total = 0;
+
+        return new Promise((resolve, reject) => {
+            cursorRequest.onsuccess = () => {
+                const cursor = cursorRequest.result;
+                if (!cursor) {
+                    resolve({ entries, total });
+                    return;
+                }
+                if (matchesFilters(cursor.value, filters)) {
+                    total++;
+                    if (entries.length < limit) entries.push(cursor.value);
+                }
+                cursor.continue();
+            };
+            cursorRequest.onerror = () => reject(cursorRequest.error);
+        });
+    }
+
+    /**
+     * Get an archived game
+     * @param {string} id - Game id
+     * @returns {Promise<Object|null>} Archive entry, or null if there is none
+     */
+    async function getEntry(id) {
+        const store = await getStore('readonly');
+        return (await promisify(store.get(id))) || null;
+    }
+
+    /**
+     * Count the archived games
+     * @returns {Promise<number>} Number of games
+     */
+    async function count() {
+        const store = await getStore('readonly');
+        return promisify(store.count());
+    }
+
+    /**
+     * Remove a game from the archive
+     * @param {string} id - Game id
+     * @returns {Promise<void>}
+     */
+    async function deleteEntry(id) {
+        const store = await getStore('readwrite');
+        await promisify(store.delete(id));
+    }
+
+    /**
+     * Remove every game from the archive
+     * @returns {Promise<void>}
+     */
+    async function clear() {
+        const store = await getStore('readwrite');
+        await promisify(store.clear());
+    }
+
+    // Public API
+    return {
+        isSupported,
+        toEntry,
+        toGame,
+        matchesFilters,
+        archiveGame,
+        search,
+        getEntry,
+        count,
+        deleteEntry,
+        clear
+    };
+})(
+    typeof GAME_CONSTANTS !== 'undefined' ? GAME_CONSTANTS : require('./constant.js'),
+    typeof GameRecord !== 'undefined' ? GameRecord : require('./game-record.js')
+);
+
+// Export as a global object or use module exports if using bundler
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GameArchive;
+}
@@ -12,10 +12,59 @@ const GameController = (function () {
     let whiteTimeUsed = 0;
     let isTournamentMode = false;
 
+    // Random moves played in place of a strategy's move this game, per side
+    let fallbackMoves = { black: 0, white: 0 };
+
+    // Game started by startGame whose promise has not resolved yet: {game, resolve, players}
+    let pendingGame = null;
+
+    /**
+     * Build the result object a startGame promise resolves with
+     * @param {OthelloEngine.GameState} game - Finished (or abandoned) game
+     * @param {Object} players - Player names {black, white}
+     * @param {string} reason - 'normal', 'time-forfeit' or 'aborted'
+     * @param {number|null} winner - BLACK, WHITE, 0 for a draw, or null if aborted
+     * @returns {Object} {winner, scores, reason, moves, time, fallbacks, players, stage, opening, pack}
+     */
+    function buildGameResult(game, players, reason, winner) {
+        return {
+            winner,
+            scores: game.countDiscs(),
+            reason,
+            moves: game.moveCount,
+            time: { black: blackTimeUsed, white: whiteTimeUsed },
+            fallbacks: Object.assign({}, fallbackMoves),
+            players,
+            stage: game.stage ? game.stage.name : null,
+            opening: game.stage && game.stage.opening ? game.stage.opening : null,
+            pack: game.stage && game.stage.pack ? game.stage.pack.hash : null
+        };
+    }
+
+    /**
+     * Resolve the promise of a game that is being replaced or reset before it ended
+     */
+    function abortPendingGame() {
+        if (!pendingGame) return;
+
+        const { game, resolve, players } = pendingGame;
+        pendingGame = null;
+        resolve(buildGameResult(game, players, 'aborted', null));
+    }
+
     /**
      * Start a new game with the selected settings
+     * A strategy that crashes, times out on a move or returns an illegal move gets a random move played
+     * for it; the game goes on, and the result counts these fallback moves per side.
      * @param {boolean} isTournament - Whether this is a tournament game
      * @param {Object} stageConfig - Stage configuration (optional, uses selected stage if not provided)
+     * @returns {Promise<Object|null>} Resolves when the game ends with
+     *   {winner, scores: {black, white}, reason, moves, time: {black, white}, fallbacks: {black, white},
+     *   players: {black, white}, stage, opening, pack}; null if the game could not start
+     *   - reason: 'normal', 'time-forfeit' or 'aborted' (reset or replaced before it ended)
+     *   - fallbacks: random moves played for each side
+     *   - opening: opening id of the stage, if any
+     *   - pack: hash of the stage's stage pack, if any
      */
     async function startGame(isTournament = false, stageConfig = null) {
         console.log("[startGame] Start.");
@@ -23,7 +72,7 @@ const GameController = (function () {
         // Check if OthelloCore is available
         if (typeof OthelloCore === 'undefined') {
             console.error("OthelloCore not available");
-            return;
+            return null;
         }
 
         // Get selected stage if not provided
@@ -35,9 +84,20 @@ const GameController = (function () {
 
         if (!stageConfig) {
             alert("Please select a valid stage.");
-            return;
+            return null;
         }
 
+        // Tournaments analyze their participants themselves
+        if (!isTournament && typeof RunSetup !== 'undefined' && typeof OthelloUI !== 'undefined') {
+            await RunSetup.ensureStrategies(['blackAISelect', 'whiteAISelect']
+                .map(id => OthelloUI.getElement(id))
+                .filter(select => select)
+                .map(select => select.value));
+        }
+
+        // A game still in progress is replaced by this one
+        abortPendingGame();
+
         // Reset game logger if available
         if (typeof GameLogger !== 'undefined' && !isTournament) {
             GameLogger.reset();
@@ -53,6 +113,23 @@ const GameController = (function () {
         // Reset timers
         blackTimeUsed = 0;
         whiteTimeUsed = 0;
+        fallbackMoves = { black: 0, white: 0 };
+
+        // Resolve with the full result when this game ends
+        const game = OthelloCore.getGame();
+        const players = typeof OthelloUI !== 'undefined' ? {
+            black: OthelloUI.getPlayerName(GAME_CONSTANTS.BLACK),
+            white: OthelloUI.getPlayerName(GAME_CONSTANTS.WHITE)
+        } : { black: "Black", white: "White" };
+
+        const finished = new Promise((resolve) => {
+            pendingGame = { game, resolve, players };
+            game.on('end', ({ winner, reason }) => {
+                if (!pendingGame || pendingGame.game !== game) return;
+                pendingGame = null;
+                resolve(buildGameResult(game, players, reason, winner));
+            });
+        });
 
         // Update UI
         if (typeof OthelloUI !== 'undefined') {
@@ -84,6 +161,7 @@ const GameController = (function () {
         }, 10);
 
         console.log("[startGame] Finish initial setup. First move check scheduled.");
+        return finished;
     }
 
     // /**
@@ -346,6 +424,43 @@ const GameController = (function () {
     //     }, moveDelay);
     // }
 
+    /**
+     * Run a strategy on the main thread (used when it cannot run in a worker).
+     * The timeout only stops waiting; it cannot interrupt a strategy that never yields.
+     * @param {Function} strategyFn - Compiled strategy
+     * @param {Array<Array<number>>} board - Copy of the current board
+     * @param {number} player - Player to move (BLACK or WHITE)
+     * @param {Array<Object>} validMoves - Valid moves {row, col}
+     * @param {number} timeLimit - Remaining clock for this strategy (ms)
+     * @param {boolean} isTournament - Whether this is a tournament game
+     * @returns {Promise<Object>} {move, diagnostic, timedOut, error}
+     */
+    function runStrategyOnMainThread(strategyFn, board, player, validMoves, timeLimit, isTournament) {
+        const simulate = OthelloRules.createSimulator(OthelloCore.getCurrentStage(), board.map(r => [...r]), isTournament);
+
+        // Create a promise for the AI move
+        const movePromise = new Promise(async (resolve) => {
+            try {
+                // Pass the board state, player, the pre-calculated valid moves list, and the pure simulator
+                const { move, diagnostic } = OthelloStrategies.readStrategyResult(
+                    await strategyFn(board, player, validMoves, simulate));
+                resolve({ move, diagnostic, timedOut: false, error: null });
+            } catch (error) {
+                resolve({ move: null, timedOut: false, error: error.message });
+            }
+        });
+
+        // Create a timeout promise
+        const timeoutPromise = new Promise((resolve) => {
+            setTimeout(() => {
+                resolve({ move: null, timedOut: true, error: null });
+            }, Math.max(0, timeLimit));
+        });
+
+        // Race the move promise against the timeout
+        return Promise.race([movePromise, timeoutPromise]);
+    }
+
     /**
  * Handle AI moves and turn management
  * @param {boolean} isTournament - Whether this is a tournament game
@@ -419,7 +534,7 @@ const GameController = (function () {
                 OthelloUI.logMessage(`Error: AI ${aiIdentifier} failed. Using random move.`);
             }
             // Use a fallback move when strategy compilation fails
-            useFallbackMove(currentPlayer, isTournament);
+            useFallbackMove(currentPlayer, isTournament, 'crash');
             return;
         }
 
@@ -444,11 +559,7 @@ const GameController = (function () {
 
             // Current player passes, switch to opponent
             console.log(`[makeAIMove] P${currentPlayer} passes.`);
-            if (typeof OthelloUI !== 'undefined') {
-                OthelloUI.logPass(currentPlayer);
-            }
-
-            OthelloCore.setCurrentPlayer(opponent);
+            OthelloCore.passTurn();
             if (typeof OthelloUI !== 'undefined') {
                 OthelloUI.updateStatus();
             }
@@ -489,36 +600,44 @@ const GameController = (function () {
 
                 // Create a deep copy of the board to pass to the AI
                 const currentBoardState = OthelloCore.getBoard().map(r => [...r]);
+                const game = OthelloCore.getGame();
+                const remainingTime = GAME_CONSTANTS.MAX_AI_TIME_PER_GAME -
+                    (currentPlayer === GAME_CONSTANTS.BLACK ? blackTimeUsed : whiteTimeUsed);
+
+                // Run the strategy in its own worker when possible, so it can be stopped when its clock runs out
+                let result;
+                if (typeof StrategyRunner !== 'undefined' && StrategyRunner.canRunInWorker(controllerId)) {
+                    result = await StrategyRunner.requestMove(controllerId, currentPlayer, currentBoardState, validMoves,
+                        OthelloCore.getCurrentStage(), remainingTime, isTournament);
+                } else {
+                    result = await runStrategyOnMainThread(strategyFn, currentBoardState, currentPlayer, validMoves,
+                        remainingTime, isTournament);
+                }
 
-                // Create a promise for the AI move with a timeout
-                const movePromise = new Promise(async (resolve) => {
-                    try {
-                        // Pass the board state, player, the pre-calculated valid moves list, and makeMove simulator
-                        const move = await strategyFn(currentBoardState, currentPlayer, validMoves, OthelloCore.makeMove);
-                        resolve(move);
-                    } catch (error) {
-                        console.error(`[makeAIMove] Error in strategy function:`, error);
-                        resolve(null); // Resolve with null on error
+                if (result.error) {
+                    console.error(`[makeAIMove] Error in strategy function:`, result.error);
+                    if (typeof OthelloUI !== 'undefined') {
+                        OthelloUI.logMessage(`Error in AI move (${aiIdentifier}): ${result.error}`);
                     }
-                });
-
-                // Create a timeout promise
-                const timeoutPromise = new Promise((_, reject) => {
-                    setTimeout(() => {
-                        reject(new Error("AI move timed out after 10 seconds"));
-                    }, GAME_CONSTANTS.MAX_AI_TIME_PER_GAME - (currentPlayer === GAME_CONSTANTS.BLACK ? blackTimeUsed : whiteTimeUsed));
-                });
-
-                // Race the move promise against the timeout
-                const move = await Promise.race([movePromise, timeoutPromise])
-                    .catch(error => {
-                        console.error(`[makeAIMove] Timeout or error:`, error.message);
-                        return null;
-                    });
+                }
+
+                // The game may have been reset or stopped while the strategy was thinking
+                if (OthelloCore.getGame() !== game || !OthelloCore.isGameRunning()) {
+                    console.log(`[makeAIMove -> setTimeout] Game changed while ${aiIdentifier} was thinking. Discarding move.`);
+                    return;
+                }
+
+                const move = result.move;
 
                 // Calculate time used for this move
                 const endTime = performance.now();
-                const moveTime = endTime - startTime;
+                let moveTime = endTime - startTime;
+
+                // A strategy stopped by the time limit has used its whole clock
+                if (result.timedOut) {
+                    console.error(`[makeAIMove] ${aiIdentifier} timed out.`);
+                    moveTime = Math.max(moveTime, remainingTime + 1);
+                }
 
                 // Accumulate time used based on current player
                 if (currentPlayer === GAME_CONSTANTS.BLACK) {
@@ -544,7 +663,7 @@ const GameController = (function () {
 
                 // Validate AI's returned move
                 let actualMove = move;
-                let isFallback = false;
+                let fallback = null;
 
                 // Check if move is null or if it's not actually in the list of valid moves
                 const isReturnedMoveInList = move && validMoves.some(v => v.row === move.row && v.col === move.col);
@@ -564,11 +683,11 @@ const GameController = (function () {
 
                     // Fallback: Select a random move from the validMoves list
                     actualMove = validMoves[Math.floor(Math.random() * validMoves.length)];
-                    isFallback = true;
+                    fallback = result.timedOut ? 'timeout' : (result.error ? 'crash' : 'invalid');
 
                     if (!actualMove) {
                         console.error("Fallback failed - Could not select random move from non-empty list?");
-                        useFallbackMove(currentPlayer, isTournament);
+                        useFallbackMove(currentPlayer, isTournament, fallback);
                         return;
                     }
                     console.log(`[makeAIMove -> setTimeout] Fallback move selected:`, actualMove);
@@ -577,6 +696,7 @@ const GameController = (function () {
                 // Execute the chosen move
                 console.log(`[makeAIMove -> setTimeout] Executing makeMove for P${currentPlayer}:`, actualMove);
                 OthelloCore.makeMove(actualMove.row, actualMove.col, currentPlayer);
+                logMoveDetails(currentPlayer, moveTime, validMoves.length, fallback, result.diagnostic);
 
                 // Determine next player based on rules
                 const previousPlayer = currentPlayer;
@@ -624,19 +744,44 @@ const GameController = (function () {
                 }
 
                 // Use fallback strategy when an error occurs
-                useFallbackMove(currentPlayer, isTournament);
+                useFallbackMove(currentPlayer, isTournament, 'crash');
             }
         }, moveDelay);
     }
 
 
 
+    /**
+     * Add the think time, clock and fallback details of a move just played to its ply in the game log
+     * @param {number} player - Player who moved (BLACK or WHITE)
+     * @param {number} thinkTime - Time the strategy took for this move (ms)
+     * @param {number} validMoveCount - Number of valid moves the player had
+     * @param {string|null} fallback - Why a random move replaced the strategy's: 'timeout', 'invalid' or 'crash'; null if none
+     * @param {Object|null} diagnostic - Diagnostics the strategy returned with its move
+     */
+    function logMoveDetails(player, thinkTime, validMoveCount, fallback, diagnostic) {
+        if (fallback) {
+            fallbackMoves[player === GAME_CONSTANTS.BLACK ? 'black' : 'white']++;
+        }
+        if (typeof GameLogger === 'undefined' || !GameLogger.annotateMove) return;
+
+        const timeUsed = player === GAME_CONSTANTS.BLACK ? blackTimeUsed : whiteTimeUsed;
+        GameLogger.annotateMove({
+            thinkTime: Math.round(thinkTime),
+            remainingTime: Math.max(0, Math.round(GAME_CONSTANTS.MAX_AI_TIME_PER_GAME - timeUsed)),
+            validMoveCount,
+            fallback,
+            diagnostic: diagnostic || null
+        });
+    }
+
     /**
      * Use a fallback move when AI strategy fails
      * @param {number} player - Current player (BLACK or WHITE)
      * @param {boolean} isTournament - Whether this is a tournament game
+     * @param {string} cause - Why the strategy's move was replaced: 'timeout', 'invalid' or 'crash' (logged with the move)
      */
-    function useFallbackMove(player, isTournament) {
+    function useFallbackMove(player, isTournament, cause) {
         // Get valid moves for current player
         const validMoves = OthelloCore.getValidMoves(player);
 
@@ -654,11 +799,7 @@ const GameController = (function () {
             }
 
             // Handle pass
-            if (typeof OthelloUI !== 'undefined') {
-                OthelloUI.logPass(player);
-            }
-
-            OthelloCore.setCurrentPlayer(opponent);
+            OthelloCore.passTurn();
 
             if (typeof OthelloUI !== 'undefined') {
                 OthelloUI.updateStatus();
@@ -711,6 +852,7 @@ const GameController = (function () {
 
         // Execute the move
         OthelloCore.makeMove(randomMove.row, randomMove.col, player);
+        logMoveDetails(player, randomStrategyTime, validMoves.length, cause, null);
 
         // Determine next player
         const previousPlayer = player;
@@ -753,6 +895,19 @@ const GameController = (function () {
             gameLoopTimeout = null;
         }
 
+        // Stop any strategy that is still thinking
+        if (typeof StrategyRunner !== 'undefined') {
+            StrategyRunner.terminateAll();
+        }
+
+        // Anyone waiting on the current game learns that it was abandoned
+        abortPendingGame();
+
+        // An abandoned game is not kept in the game log
+        if (typeof GameLogger !== 'undefined') {
+            GameLogger.reset();
+        }
+
         // Reset state
         OthelloCore.setGameRunning(false);
 
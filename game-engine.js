@@ -0,0 +1,265 @@
+/**
+ * game-engine.js
+ *
+ * Headless game engine for Othello
+ * Holds a self-contained game state (board, side to move, stage rules, result)
+ * with no DOM or global side effects. Rules come from game-rules.js; UI and
+ * logging attach as event listeners, so several games can run at once and
+ * games can be played in Node.
+ */
+
+const OthelloEngine = (function (GAME_CONSTANTS, stages, OthelloRules) {
+    /**
+     * GameState class - One independent Othello game
+     *
+     * Events (subscribe with on()):
+     *   'start' - {stage}
+     *   'move'  - {player, row, col, capturedPieces, board}
+     *   'pass'  - {player, nextPlayer}
+     *   'turn'  - {player, previousPlayer}
+     *   'end'   - {winner, black, white, reason, moves} (winner is 0 for a draw)
+     */
+    class GameState {
+        /**
+         * Create a new game for the given stage
+         * @param {Object} stageConfig - Stage configuration (default: first stage)
+         */
+        constructor(stageConfig = null) {
+            this.stage = stageConfig || stages[0];
+            this.boardSize = this.stage.boardSize || 8;
+            this.board = OthelloRules.createInitialBoard(this.stage);
+            this.currentPlayer = GAME_CONSTANTS.BLACK;
+            this.running = false;
+            this.over = false;
+            this.result = null;
+            this.moveCount = 0;
+            this.listeners = {};
+        }
+
+        /**
+         * Subscribe to a game event
+         * @param {string} event - Event name
+         * @param {Function} listener - Listener called with the event payload
+         * @returns {Function} Function that removes the listener
+         */
+        on(event, listener) {
+            if (!this.listeners[event]) this.listeners[event] = [];
+            this.listeners[event].push(listener);
+            return () => this.off(event, listener);
+        }
+
+        /**
+         * Unsubscribe from a game event
+         * @param {string} event - Event name
+         * @param {Function} listener - Listener previously passed to on()
+         */
+        off(event, listener) {
+            if (!this.listeners[event]) return;
+            this.listeners[event] = this.listeners[event].filter(l => l !== listener);
+        }
+
+        /**
+         * Notify listeners of an event
+         * @param {string} event - Event name
+         * @param {Object} payload - Event data
+         * @private
+         */
+        _emit(event, payload) {
+            (this.listeners[event] || []).slice().forEach(listener => listener(payload));
+        }
+
+        /**
+         * Mark the game as running
+         */
+        start() {
+            this.running = true;
+            this.over = false;
+            this.result = null;
+            this._emit('start', { stage: this.stage });
+        }
+
+        /**
+         * Check if a move is valid under this game's stage rules
+         * @param {number} row - Row index
+         * @param {number} col - Column index
+         * @param {number} player - Player (default: side to move)
+         * @param {Array<Array<number>>} board - Board (default: this game's board)
+         * @returns {boolean} True if the move is valid
+         */
+        isValidMove(row, col, player = this.currentPlayer, board = this.board) {
+            return OthelloRules.isValidMove(board, row, col, player, this.stage);
+        }
+
+        /**
+         * Get all valid moves under this game's stage rules
+         * @param {number} player - Player (default: side to move)
+         * @param {Array<Array<number>>} board - Board (default: this game's board)
+         * @returns {Array<Object>} Array of valid move positions {row, col}
+         */
+        getValidMoves(player = this.currentPlayer, board = this.board) {
+            return OthelloRules.getValidMoves(board, player, this.stage);
+        }
+
+        /**
+         * Count discs on this game's board
+         * @param {Array<Array<number>>} board - Board (default: this game's board)
+         * @returns {Object} Object with counts {black, white}
+         */
+        countDiscs(board = this.board) {
+            return OthelloRules.countDiscs(board);
+        }
+
+        /**
+         * Place a piece and flip captured pieces without changing the side to move
+         * @param {number} row - Row index
+         * @param {number} col - Column index
+         * @param {number} player - Player making the move (default: side to move)
+         * @returns {boolean} True if at least one piece was flipped
+         */
+        makeMove(row, col, player = this.currentPlayer) {
+            const capturedPieces = OthelloRules.applyMove(this.board, row, col, player, this.stage);
+            if (capturedPieces === null) return false;
+
+            this.moveCount++;
+            this._emit('move', {
+                player,
+                row,
+                col,
+                capturedPieces,
+                board: this.board.map(r => [...r])
+            });
+
+            return capturedPieces.length > 0;
+        }
+
+        /**
+         * Determine the next player after the side to move has played
+         * @returns {number} Next player (BLACK or WHITE)
+         */
+        determineNextPlayer() {
+            return OthelloRules.determineNextPlayer(this.board, this.currentPlayer, this.stage);
+        }
+
+        /**
+         * Hand the turn to a player
+         * @param {number} player - Player to move next
+         */
+        setCurrentPlayer(player) {
+            const previousPlayer = this.currentPlayer;
+            this.currentPlayer = player;
+            this._emit('turn', { player, previousPlayer });
+        }
+
+        /**
+         * Pass the turn of the side to move to the opponent
+         */
+        pass() {
+            const player = this.currentPlayer;
+            const nextPlayer = OthelloRules.getOpponent(player);
+            this._emit('pass', { player, nextPlayer });
+            this.setCurrentPlayer(nextPlayer);
+        }
+
+        /**
+         * Check if neither player has a valid move
+         * @returns {boolean} True if the game cannot continue
+         */
+        isTerminal() {
+            return this.getValidMoves(GAME_CONSTANTS.BLACK).length === 0 &&
+                this.getValidMoves(GAME_CONSTANTS.WHITE).length === 0;
+        }
+
+        /**
+         * Play a validated move for the side to move, then advance the turn.
+         * Forced passes are applied and the game ends when nobody can move.
+         * @param {number} row - Row index
+         * @param {number} col - Column index
+         * @returns {boolean} True if the move was legal and played
+         * @throws {Error} If the game has not been started
+         */
+        play(row, col) {
+            if (!this.running && !this.over) {
+                throw new Error("Game has not been started; call start() before play()");
+            }
+            if (this.over || !this.isValidMove(row, col)) return false;
+
+            this.makeMove(row, col);
+            this.setCurrentPlayer(this.determineNextPlayer());
+            this.resolvePasses();
+            return true;
+        }
+
+        /**
+         * Apply forced passes for the side to move, ending the game if neither side can move
+         */
+        resolvePasses() {
+            if (this.getValidMoves().length > 0) return;
+
+            if (this.getValidMoves(OthelloRules.getOpponent(this.currentPlayer)).length === 0) {
+                this.end();
+                return;
+            }
+
+            this.pass();
+        }
+
+        /**
+         * End the game and compute the result
+         * @param {number} winner - The winning player (BLACK, WHITE, or null to decide by disc count)
+         * @param {string} reason - How the game ended: 'normal' or 'time-forfeit'
+         * @returns {Object|null} Result {winner, black, white, reason, moves} (winner is 0 for a draw),
+         *                        or null if the game was not running
+         */
+        end(winner = null, reason = 'normal') {
+            if (!this.running) return null;
+
+            this.running = false;
+            this.over = true;
+
+            const scores = OthelloRules.countDiscs(this.board);
+
+            // Determine winner if not provided
+            if (winner === null) {
+                if (scores.black > scores.white) winner = GAME_CONSTANTS.BLACK;
+                else if (scores.white > scores.black) winner = GAME_CONSTANTS.WHITE;
+                else winner = 0;
+            }
+
+            this.result = { winner, black: scores.black, white: scores.white, reason, moves: this.moveCount };
+            this._emit('end', this.result);
+            return this.result;
+        }
+
+        /**
+         * Get the result of a finished game
+         * @returns {Object|null} Result {winner, black, white, reason, moves} (winner is 0 for a draw), or null while in progress
+         */
+        getResult() {
+            return this.result;
+        }
+    }
+
+    /**
+     * Create a new game for the given stage
+     * @param {Object} stageConfig - Stage configuration
+     * @returns {GameState} New game
+     */
+    function createGame(stageConfig) {
+        return new GameState(stageConfig);
+    }
+
+    // Public API
+    return {
+        GameState,
+        createGame
+    };
+})(
+    typeof GAME_CONSTANTS !== 'undefined' ? GAME_CONSTANTS : require('./constant.js'),
+    typeof stages !== 'undefined' ? stages : require('./stages.js'),
+    typeof OthelloRules !== 'undefined' ? OthelloRules : require('./game-rules.js')
+);
+
+// Export as a global object or use module exports if using bundler
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OthelloEngine;
+}
@@ -2,21 +2,170 @@
  * game-logger.js
  * 
  * GameLogger class for Othello
- * Records moves, board states, and game results for playback and analysis
+ * Records each game as a self-contained record (stage snapshot, initial board,
+ * ordered plies with explicit passes, result and termination reason) for
+ * playback and analysis. Game boundaries are explicit, so nothing has to be
+ * inferred from board patterns.
  */
 
-const GameLogger = (function () {
+const GameLogger = (function (GAME_CONSTANTS, stages, OthelloRules) {
+    let nextGameNumber = 1;
+
+    /**
+     * Copy a board
+     * @param {Array<Array<number>>} board - Board
+     * @returns {Array<Array<number>>} Copy
+     */
+    function copyBoard(board) {
+        return board.map(row => [...row]);
+    }
+
+    /**
+     * Create a self-contained game record
+     *
+     * Record format (previousGames entries):
+     *   {id, stage, initialBoard, plies, result: {winner, blackScore, whiteScore}, reason, logText, metadata}
+     *   - stage: snapshot of the stage the game was played on, with the opening's start position applied
+     *   - plies: in play order, {type: 'move', player, position: {row, col}, board (after the move), captured}
+     *            or {type: 'pass', player}. Moves chosen by a strategy also carry thinkTime and remainingTime
+     *            (ms), validMoveCount, fallback ('timeout', 'invalid' or 'crash' if a random move replaced the
+     *            strategy's, otherwise null) and diagnostic (data the strategy returned with its move, or null)
+     *   - winner: BLACK, WHITE or 0 for a draw
+     *   - reason: 'normal', 'time-forfeit', or 'unknown' for games logged before records
+     *   - metadata: {blackStrategy, whiteStrategy, stage (name), opening, blackScore, whiteScore, date, source}
+     * @param {Object} fields - Record fields (an id is assigned if missing)
+     * @returns {Object} Game record
+     */
+    function createGameRecord(fields) {
+        return Object.assign({
+            id: `game-${Date.now()}-${nextGameNumber++}`,
+            stage: null,
+            initialBoard: null,
+            plies: [],
+            result: null,
+            reason: 'normal',
+            logText: '',
+            metadata: {}
+        }, fields);
+    }
+
+    /**
+     * Upgrade a game logged in the older format (parallel moves/boards/players/capturedCounts arrays,
+     * stage by name) to a game record. Passes were not logged then; they are restored where the
+     * player to move had no valid move.
+     * @param {Object} game - previousGames entry in either format
+     * @returns {Object} Game record
+     */
+    function upgradeGame(game) {
+        if (Array.isArray(game.plies)) return game;
+
+        const meta = game.metadata || {};
+        const boards = game.boards || [];
+        let stage = meta.stageConfig || stages.find(s => s.name === meta.stage) ||
+            (boards.length > 0 && stages.find(s => s.boardSize === boards[0].length)) || stages[0];
+        if (meta.opening && !meta.stageConfig) {
+            stage = Object.assign({}, stage, {
+                initialPlayer1: meta.opening.initialPlayer1,
+                initialPlayer2: meta.opening.initialPlayer2,
+                opening: meta.opening.id
+            });
+        }
+        stage = JSON.parse(JSON.stringify(stage));
+
+        const initialBoard = OthelloRules.createInitialBoard(stage);
+        const plies = [];
+        let board = initialBoard;
+        (game.moves || []).forEach((move, i) => {
+            if (!move || !move.position) return;
+            const opponent = OthelloRules.getOpponent(move.player);
+            const previous = plies[plies.length - 1];
+            const lastMover = previous ? previous.player : opponent;
+            if (lastMover === move.player && OthelloRules.getValidMoves(board, opponent, stage).length === 0) {
+                plies.push({ type: 'pass', player: opponent });
+            }
+            board = boards[i] || board;
+            plies.push({
+                type: 'move',
+                player: move.player,
+                position: { row: move.position.row, col: move.position.col },
+                board,
+                captured: (game.capturedCounts || [])[i] || 0
+            });
+        });
+
+        const metadata = Object.assign({}, meta);
+        delete metadata.stageConfig;
+        return createGameRecord({
+            stage,
+            initialBoard,
+            plies,
+            result: {
+                winner: meta.blackScore > meta.whiteScore ? GAME_CONSTANTS.BLACK :
+                    (meta.whiteScore > meta.blackScore ? GAME_CONSTANTS.WHITE : 0),
+                blackScore: meta.blackScore,
+                whiteScore: meta.whiteScore
+            },
+            reason: 'unknown',
+            logText: game.logText || '',
+            metadata
+        });
+    }
+
+    /**
+     * Get the move plies of a game record
+     * @param {Object} game - Game record
+     * @returns {Array<Object>} Plies of type 'move'
+     */
+    function getMovePlies(game) {
+        return (game && game.plies || []).filter(ply => ply.type === 'move');
+    }
+
+    /**
+     * Get the board shown after a ply of a game record
+     * @param {Object} game - Game record
+     * @param {number} plyIndex - Ply index (-1 for the initial board)
+     * @returns {Array<Array<number>>|null} Board after the ply (a pass leaves the previous board)
+     */
+    function getBoardAfterPly(game, plyIndex) {
+        if (!game || plyIndex >= game.plies.length) return null;
+        for (let i = plyIndex; i >= 0; i--) {
+            if (game.plies[i].type === 'move') return game.plies[i].board;
+        }
+        return game.initialBoard;
+    }
+
     /**
      * GameLogger class - Records game data and provides access to game history
      */
     class GameLogger {
         constructor() {
-            this.moves = [];              // Current game moves
-            this.boardStates = [];        // Current game board states
-            this.currentPlayer = [];      // Current game player sequence
-            this.capturedCounts = [];     // Number of pieces captured in each turn
+            this.currentGame = null;      // Record of the game being played {id, stage, initialBoard, plies}
             this.gameResults = [];        // Record of game results (for leaderboard)
-            this.previousGames = [];      // Complete logs of previous games
+            this.previousGames = [];      // Complete records of previous games
+        }
+
+        /**
+         * Start recording a new game
+         * @param {Object} stageConfig - Stage the game is played on
+         * @param {Array<Array<number>>} initialBoard - Board before the first move
+         */
+        startGame(stageConfig, initialBoard) {
+            this.currentGame = createGameRecord({
+                stage: JSON.parse(JSON.stringify(stageConfig)),
+                initialBoard: copyBoard(initialBoard)
+            });
+        }
+
+        /**
+         * Get the record of the game being played, starting one if none was started
+         * @returns {Object} Current game record
+         * @private
+         */
+        _current() {
+            if (!this.currentGame) {
+                this.currentGame = createGameRecord({});
+            }
+            return this.currentGame;
         }
 
         /**
@@ -27,45 +176,52 @@ const GameLogger = (function () {
          * @param {number} capturedCount - Number of pieces captured by this move
          */
         logMove(player, position, resultingBoard, capturedCount = 0) {
-            this.moves.push({ player, position });
-            this.boardStates.push(JSON.parse(JSON.stringify(resultingBoard)));
-            this.currentPlayer.push(player);
-            this.capturedCounts.push(capturedCount);
+            this._current().plies.push({
+                type: 'move',
+                player,
+                position: { row: position.row, col: position.col },
+                board: copyBoard(resultingBoard),
+                captured: capturedCount
+            });
+        }
+
+        /**
+         * Add details to the last move of the current game (see createGameRecord for the fields)
+         * @param {Object} details - {thinkTime, remainingTime, validMoveCount, fallback, diagnostic}
+         */
+        annotateMove(details) {
+            const movePlies = getMovePlies(this.currentGame);
+            if (movePlies.length > 0) {
+                Object.assign(movePlies[movePlies.length - 1], details);
+            }
+        }
+
+        /**
+         * Records a pass in the current game
+         * @param {number} player - The player who passes (BLACK or WHITE)
+         */
+        logPass(player) {
+            this._current().plies.push({ type: 'pass', player });
         }
 
         /**
          * Gets the current game log data
-         * @returns {Object} Current game log data
+         * @returns {Object} Current game log data {moves, boards, players, capturedCounts} (move plies only)
          */
         getLogs() {
-            if (this.moves && this.moves.length > 0) {
-                return {
-                    moves: this.moves,
-                    boards: this.boardStates,
-                    players: this.currentPlayer,
-                    capturedCounts: this.capturedCounts
-                };
-            }
+            let movePlies = getMovePlies(this.currentGame);
 
             // If current game is empty, try to use most recent previous game
-            if (this.previousGames && this.previousGames.length > 0) {
+            if (movePlies.length === 0 && this.previousGames && this.previousGames.length > 0) {
                 console.log("GameLogger.getLogs: Using data from the most recent previous game");
-                const lastGame = this.previousGames[this.previousGames.length - 1];
-
-                return {
-                    moves: lastGame.moves || [],
-                    boards: lastGame.boards || [],
-                    players: lastGame.players || [],
-                    capturedCounts: lastGame.capturedCounts || []
-                };
+                movePlies = getMovePlies(this.previousGames[this.previousGames.length - 1]);
             }
 
-            // Default empty response
             return {
-                moves: [],
-                boards: [],
-                players: [],
-                capturedCounts: []
+                moves: movePlies.map(ply => ({ player: ply.player, position: ply.position })),
+                boards: movePlies.map(ply => ply.board),
+                players: movePlies.map(ply => ply.player),
+                capturedCounts: movePlies.map(ply => ply.captured)
             };
         }
 
@@ -77,33 +233,53 @@ const GameLogger = (function () {
          * @param {string} whiteStrategy - Name of white player's strategy
          * @param {Object} stageConfig - The stage configuration used for the game
          * @param {Array} moveLogArray - Array of text log messages
+         * @param {string} reason - How the game ended: 'normal' or 'time-forfeit'
+         * @param {number|null} winner - Winner (BLACK or WHITE), or null to decide by score
          * @return {Object} The saved game result object
          */
-        saveGameWithLog(blackScore, whiteScore, blackStrategy, whiteStrategy, stageConfig, moveLogArray) {
+        saveGameWithLog(blackScore, whiteScore, blackStrategy, whiteStrategy, stageConfig, moveLogArray,
+            reason = 'normal', winner = null) {
             // Validate input parameters
             blackStrategy = blackStrategy || "Black";
             whiteStrategy = whiteStrategy || "White";
             const stageName = stageConfig && stageConfig.name ? stageConfig.name : "Unknown Stage";
+            if (winner === null) {
+                winner = blackScore > whiteScore ? GAME_CONSTANTS.BLACK :
+                    (whiteScore > blackScore ? GAME_CONSTANTS.WHITE : 0);
+            }
 
             // Create complete log text from move log messages
             const gameLogText = moveLogArray.join('\n');
 
-            // Store complete game data in previousGames
-            this.previousGames.push({
-                moves: [...this.moves],
-                boards: [...this.boardStates],
-                players: [...this.currentPlayer],
-                capturedCounts: [...this.capturedCounts],
+            // A game logged without startGame() takes its stage from here
+            const game = this._current();
+            if (!game.stage && stageConfig) {
+                game.stage = JSON.parse(JSON.stringify(stageConfig));
+            }
+            if (!game.initialBoard && game.stage) {
+                game.initialBoard = OthelloRules.createInitialBoard(game.stage);
+            }
+
+            // Store the complete game record in previousGames
+            this.previousGames.push(Object.assign(game, {
+                result: { winner, blackScore, whiteScore },
+                reason,
                 logText: gameLogText,  // Store the full text log
                 metadata: {
                     blackStrategy: blackStrategy,
                     whiteStrategy: whiteStrategy,
                     stage: stageName,
+                    // Start position of games played from an opening suite
+                    opening: stageConfig && stageConfig.opening ? {
+                        id: stageConfig.opening,
+                        initialPlayer1: stageConfig.initialPlayer1,
+                        initialPlayer2: stageConfig.initialPlayer2
+                    } : null,
                     blackScore: blackScore,
                     whiteScore: whiteScore,
                     date: new Date().toISOString()
                 }
-            });
+            }));
 
             console.log(`Game saved with fixed log: ${blackStrategy}(B) vs ${whiteStrategy}(W) on ${stageName}`);
 
@@ -115,9 +291,8 @@ const GameLogger = (function () {
                 blackStrategy,
                 whiteStrategy,
                 stage: stageName,
-                winner: blackScore > whiteScore ? GAME_CONSTANTS.BLACK :
-                    (whiteScore > blackScore ? GAME_CONSTANTS.WHITE : 0),
-                totalMoves: this.moves.length
+                winner,
+                totalMoves: getMovePlies(game).length
             };
 
             this.gameResults.push(result);
@@ -131,6 +306,17 @@ const GameLogger = (function () {
             return result;
         }
 
+        /**
+         * Add complete games from elsewhere (e.g. an imported game record file) to previousGames
+         * @param {Array<Object>} games - Game records (games in the older format are upgraded)
+         * @returns {number} Number of games now stored
+         */
+        addGames(games) {
+            games.forEach(game => this.previousGames.push(upgradeGame(game)));
+            this.saveToLocalStorage();
+            return this.previousGames.length;
+        }
+
         /**
          * Save game data to session storage
          */
@@ -160,7 +346,7 @@ const GameLogger = (function () {
                 // Load previous games
                 const gamesData = localStorage.getItem('othelloPreviousGames');
                 if (gamesData) {
-                    this.previousGames = JSON.parse(gamesData);
+                    this.previousGames = JSON.parse(gamesData).map(upgradeGame);
                 }
             } catch (e) {
                 console.error("Failed to load game data:", e);
@@ -195,34 +381,39 @@ const GameLogger = (function () {
          * Reset current game data
          */
         reset() {
-            this.moves = [];
-            this.boardStates = [];
-            this.currentPlayer = [];
-            this.capturedCounts = [];
+            this.currentGame = null;
 
             console.log("GameLogger reset: Current game data cleared");
         }
 
         /**
-         * Get board state at specific move index
-         * @param {number} moveIndex - Move index
+         * Get the record of the game being played
+         * @returns {Object|null} Current game record, or null if no game has been started
+         */
+        getCurrentGame() {
+            return this.currentGame;
+        }
+
+        /**
+         * Get board state after a ply of the current game
+         * @param {number} moveIndex - Ply index
          * @returns {Array|null} Board state or null if not found
          */
         getBoardAtMove(moveIndex) {
-            if (moveIndex >= 0 && moveIndex < this.boardStates.length) {
-                return this.boardStates[moveIndex];
+            if (this.currentGame && moveIndex >= 0 && moveIndex < this.currentGame.plies.length) {
+                return getBoardAfterPly(this.currentGame, moveIndex);
             }
             return null;
         }
 
         /**
-         * Get player at specific move index
-         * @param {number} moveIndex - Move index
+         * Get player of a ply of the current game
+         * @param {number} moveIndex - Ply index
          * @returns {number|null} Player (BLACK or WHITE) or null if not found
          */
         getPlayerAtMove(moveIndex) {
-            if (moveIndex >= 0 && moveIndex < this.currentPlayer.length) {
-                return this.currentPlayer[moveIndex];
+            if (this.currentGame && moveIndex >= 0 && moveIndex < this.currentGame.plies.length) {
+                return this.currentGame.plies[moveIndex].player;
             }
             return null;
         }
@@ -234,7 +425,8 @@ const GameLogger = (function () {
          * @returns {string} Formatted log text
          */
         generateHumanReadableLog(playerNames = {}, stageName = "Unknown Stage") {
-            if (!this.moves || this.moves.length === 0) {
+            const plies = this.currentGame ? this.currentGame.plies : [];
+            if (plies.length === 0) {
                 return "No game log data available.";
             }
 
@@ -244,36 +436,22 @@ const GameLogger = (function () {
             // Create game header
             let textLog = `Game started: ${blackName}(B) vs ${whiteName}(W) on Stage: ${stageName}\n`;
 
-            // Add moves
+            // Add moves and passes
             const colLabels = 'abcdefghijklmnopqrstuvwxyz';
-            this.moves.forEach(move => {
-                if (move && move.player && move.position) {
-                    const playerName = move.player === GAME_CONSTANTS.BLACK ? blackName : whiteName;
-                    const colorIndicator = move.player === GAME_CONSTANTS.BLACK ? "(B)" : "(W)";
-
-                    if (typeof move.position === 'object' &&
-                        typeof move.position.row === 'number' &&
-                        typeof move.position.col === 'number') {
-                        const col = colLabels[move.position.col];
-                        const row = move.position.row + 1;
-                        textLog += `${playerName}${colorIndicator}: ${col}${row}\n`;
-                    }
+            plies.forEach(ply => {
+                const playerName = ply.player === GAME_CONSTANTS.BLACK ? blackName : whiteName;
+                if (ply.type === 'pass') {
+                    textLog += `${playerName} passes\n`;
+                } else {
+                    const colorIndicator = ply.player === GAME_CONSTANTS.BLACK ? "(B)" : "(W)";
+                    textLog += `${playerName}${colorIndicator}: ${colLabels[ply.position.col]}${ply.position.row + 1}\n`;
                 }
             });
 
             // If game is over, add result
-            if (this.boardStates && this.boardStates.length > 0) {
-                const finalBoard = this.boardStates[this.boardStates.length - 1];
-                let blackCount = 0;
-                let whiteCount = 0;
-
-                // Count pieces
-                for (let r = 0; r < finalBoard.length; r++) {
-                    for (let c = 0; c < finalBoard[r].length; c++) {
-                        if (finalBoard[r][c] === GAME_CONSTANTS.BLACK) blackCount++;
-                        else if (finalBoard[r][c] === GAME_CONSTANTS.WHITE) whiteCount++;
-                    }
-                }
+            const finalBoard = getBoardAfterPly(this.currentGame, plies.length - 1);
+            if (finalBoard) {
+                const { black: blackCount, white: whiteCount } = OthelloRules.countDiscs(finalBoard);
 
                 textLog += `Game over: Final score ${blackCount}-${whiteCount}\n`;
 
@@ -296,16 +474,27 @@ const GameLogger = (function () {
     // Return the public API
     return {
         // Core logging functions
+        startGame: (stageConfig, initialBoard) => instance.startGame(stageConfig, initialBoard),
         logMove: (player, position, resultingBoard, capturedCount) =>
             instance.logMove(player, position, resultingBoard, capturedCount),
+        annotateMove: (details) => instance.annotateMove(details),
+        logPass: (player) => instance.logPass(player),
 
         // Game management
-        saveGameWithLog: (blackScore, whiteScore, blackStrategy, whiteStrategy, stageConfig, moveLogArray) =>
-            instance.saveGameWithLog(blackScore, whiteScore, blackStrategy, whiteStrategy, stageConfig, moveLogArray),
+        saveGameWithLog: (blackScore, whiteScore, blackStrategy, whiteStrategy, stageConfig, moveLogArray, reason, winner) =>
+            instance.saveGameWithLog(blackScore, whiteScore, blackStrategy, whiteStrategy, stageConfig, moveLogArray, reason, winner),
         reset: () => instance.reset(),
+        addGames: (games) => instance.addGames(games),
+
+        // Game records
+        createGameRecord,
+        upgradeGame,
+        getMovePlies,
+        getBoardAfterPly,
 
         // Data access
         getLogs: () => instance.getLogs(),
+        getCurrentGame: () => instance.getCurrentGame(),
         getBoardAtMove: (moveIndex) => instance.getBoardAtMove(moveIndex),
         getPlayerAtMove: (moveIndex) => instance.getPlayerAtMove(moveIndex),
         getGameResults: (count) => instance.getGameResults(count),
@@ -321,7 +510,11 @@ const GameLogger = (function () {
         get previousGames() { return instance.previousGames; },
         get gameResults() { return instance.gameResults; }
     };
-})();
+})(
+    typeof GAME_CONSTANTS !== 'undefined' ? GAME_CONSTANTS : require('./constant.js'),
+    typeof stages !== 'undefined' ? stages : require('./stages.js'),
+    typeof OthelloRules !== 'undefined' ? OthelloRules : require('./game-rules.js')
+);
 
 // Export as a global object or use module exports if using bundler
 if (typeof module !== 'undefined' && module.exports) {
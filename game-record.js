@@ -0,0 +1,791 @@
+/**
+ * game-record.js
+ *
+ * Game record formats for Othello Arena
+ * Converts the games kept by GameLogger (previousGames entries) to and from:
+ *   - compact: "f5d6c3..." move strings under a "# key: value" header that
+ *     holds the stage configuration as JSON; games are separated by blank lines
+ *   - ggf: Generic Game Format, e.g. (;GM[Othello]PB[..]PW[..]RE[+8]TY[8]BO[8 ... *]B[f5]W[d6];)
+ *   - wthor: the 8x8 WTHOR database format (16-byte header, 68-byte games)
+ * and reads, for the replay viewer:
+ *   - text: the game log transcripts written by Save Log ("Name(B): d3" lines)
+ *   - json: the game data written by Save Log (an array of previousGames entries)
+ *
+ * Standard formats assume an 8x8 board without blocked cells or special rules.
+ * GGF describes other sizes through TY and BO; blocked cells are written as "#"
+ * in BO, and the stage name and rule flags in the extension properties SN and RU,
+ * which other GGF tools ignore. WTHOR has no room for any of this, so only games
+ * on a standard 8x8 start position can be exported to it.
+ *
+ * Every imported game is replayed through the game engine, so moves are checked
+ * against the stage's rules and passes (implicit in compact and WTHOR records)
+ * are recovered. Free of DOM access.
+ */
+
+const GameRecord = (function (GAME_CONSTANTS, stages, OthelloRules, OthelloEngine, StageStore, GameLogger) {
+    const FORMATS = ['compact', 'ggf', 'wthor'];
+    const COLUMNS = 'abcdefghijklmnopqrstuvwxyz';
+
+    const MOVE_DETAILS = ['thinkTime', 'remainingTime', 'validMoveCount', 'fallback', 'diagnostic'];
+
+    const WTHOR_HEADER_SIZE = 16;
+    const WTHOR_GAME_SIZE = 68;
+    const WTHOR_MOVES = 60;
+
+    /**
+     * Convert a move to notation, e.g. {row: 4, col: 5} → "f5"
+     * @param {Object} move - Move {row, col}
+     * @returns {string} Notation
+     */
+    function toNotation(move) {
+        return `${COLUMNS[move.col]}${move.row + 1}`;
+    }
+
+    /**
+     * Parse a move in notation, e.g. "F5" → {row: 4, col: 5}
+     * @param {string} text - Notation
+     * @returns {Object|null} Move {row, col}, or null if the text is not a move
+     */
+    function parseNotation(text) {
+        const match = /^([a-z])(\d{1,2})$/i.exec(text.trim());
+        if (!match) return null;
+        return { row: parseInt(match[2]) - 1, col: COLUMNS.indexOf(match[1].toLowerCase()) };
+    }
+
+    /**
+     * Replay moves from a stage's start position through the game engine
+     * @param {Object} stage - Stage configuration
+     * @param {Array<Object>} moves - Moves {row, col}, with player if known
+     * @returns {Object} {moves, boards, players, capturedCounts, passes, scores, over} with players filled in,
+     *                   or {error} naming the first move that does not fit the rules
+     */
+    function replay(stage, moves) {
+        const game = OthelloEngine.createGame(stage);
+        const played = [];
+        const boards = [];
+        const players = [];
+        const capturedCounts = [];
+        const passes = [];
+
+        // Passes forced by a move come after it
+        let movesPlayed = 0;
+        game.on('pass', ({ player }) => passes.push({ before: movesPlayed, player }));
+        game.start();
+        game.resolvePasses();
+
+        for (let i = 0; i < moves.length; i++) {
+            const move = moves[i];
+            const player = game.currentPlayer;
+            const label = `Move ${i + 1} (${toNotation(move)})`;
+
+            if (game.over) {
+                return { error: `${label} comes after the end of the game.` };
+            }
+            if (move.player && move.player !== player) {
+                return { error: `${label} is played by ${move.player === GAME_CONSTANTS.BLACK ? 'Black' : 'White'}, ` +
+                    `but it is ${player === GAME_CONSTANTS.BLACK ? 'Black' : 'White'}'s turn.` };
+            }
+
+            const captured = game.isValidMove(move.row, move.col) ?
+                OthelloRules.getFlips(game.board, move.row, move.col, player, stage).length : 0;
+            movesPlayed = i + 1;
+            if (!game.play(move.row, move.col)) {
+                return { error: `${label} is not a legal move for ${player === GAME_CONSTANTS.BLACK ? 'Black' : 'White'}.` };
+            }
+
+            played.push({ player, row: move.row, col: move.col });
+            boards.push(game.board.map(r => [...r]));
+            players.push(player);
+            capturedCounts.push(captured);
+        }
+
+        return {
+            moves: played,
+            boards,
+            players,
+            capturedCounts,
+            passes,
+            scores: OthelloRules.countDiscs(game.board),
+            over: game.over
+        };
+    }
+
+    /**
+     * Get the logged details of a move ply (think time, clock, fallback, diagnostics)
+     * @param {Object} ply - Move ply of a game record
+     * @returns {Object|null} Details present on the ply, or null if none
+     */
+    function getMoveDetails(ply) {
+        const details = {};
+        MOVE_DETAILS.forEach((key) => {
+            if (ply[key] !== undefined) details[key] = ply[key];
+        });
+        return Object.keys(details).length > 0 ? details : null;
+    }
+
+    /**
+     * Build a record from a GameLogger game
+     * @param {Object} game - previousGames entry (a game record, or a game in the older format)
+     * @returns {Object} Record {black, white, stage, moves, blackScore, whiteScore, date, winner, reason, logText};
+     *                   moves are {player, row, col, details}
+     */
+    function fromPreviousGame(game) {
+        const gameRecord = GameLogger.upgradeGame(game);
+        const meta = gameRecord.metadata || {};
+
+        return {
+            black: meta.blackStrategy || 'Black',
+            white: meta.whiteStrategy || 'White',
+            stage: gameRecord.stage,
+            moves: GameLogger.getMovePlies(gameRecord)
+                .map(ply => ({ player: ply.player, row: ply.position.row, col: ply.position.col, details: getMoveDetails(ply) })),
+            blackScore: meta.blackScore,
+            whiteScore: meta.whiteScore,
+            date: meta.date || null,
+            winner: gameRecord.result ? gameRecord.result.winner : null,
+            reason: gameRecord.reason,
+            logText: gameRecord.logText || ''
+        };
+    }
+
+    /**
+     * Build a GameLogger game record from a record, replaying it for the boards and passes
+     * @param {Object} record - Record (see fromPreviousGame)
+     * @param {string} source - Format the record was read from
+     * @returns {Object} Game record (see game-logger.js)
+     * @throws {Error} If a move does not fit the stage's rules
+     */
+    function toPreviousGame(record, source) {
+        const replayed = replay(record.stage, record.moves);
+        if (replayed.error) throw new Error(replayed.error);
+
+        const stage = StageStore.normalizeStage(record.stage);
+        delete stage.pack;
+        if (record.stage.opening) stage.opening = record.stage.opening;
+
+        const plies = [];
+        replayed.moves.forEach((move, i) => {
+            replayed.passes.filter(p => p.before === i).forEach(p => plies.push({ type: 'pass', player: p.player }));
+            plies.push(Object.assign({
+                type: 'move',
+                player: move.player,
+                position: { row: move.row, col: move.col },
+                board: replayed.boards[i],
+                captured: replayed.capturedCounts[i]
+            }, record.moves[i].details));
+        });
+        replayed.passes.filter(p => p.before === replayed.moves.length)
+            .forEach(p => plies.push({ type: 'pass', player: p.player }));
+
+        const { black, white } = replayed.scores;
+        const reason = record.reason && record.reason !== 'unknown' ? record.reason :
+            (replayed.over ? 'normal' : 'unknown');
+        return GameLogger.createGameRecord({
+            stage,
+            initialBoard: OthelloRules.createInitialBoard(stage),
+            plies,
+            result: {
+                winner: typeof record.winner === 'number' ? record.winner :
+                    (black > white ? GAME_CONSTANTS.BLACK : (white > black ? GAME_CONSTANTS.WHITE : 0)),
+                blackScore: black,
+                whiteScore: white
+            },
+            reason,
+            logText: record.logText || '',
+            metadata: {
+                blackStrategy: record.black,
+                whiteStrategy: record.white,
+                stage: stage.name,
+                opening: null,
+                blackScore: black,
+                whiteScore: white,
+                date: record.date || new Date().toISOString(),
+                source
+            }
+        });
+    }
+
+    /**
+     * Check that a stage is the standard 8x8 start position without blocked cells or special rules
+     * @param {Object} stage - Stage configuration
+     * @returns {Array<string>} Reasons it is not; empty if it is standard
+     */
+    function nonStandardFeatures(stage) {
+        const problems = [];
+        const cells = list => (list || []).map(p => `${p.r},${p.c}`).sort().join(' ');
+
+        if (stage.boardSize !== 8) problems.push(`${stage.boardSize}x${stage.boardSize} board`);
+        if ((stage.initialBlocked || []).length > 0) problems.push('blocked cells');
+        if (cells(stage.initialPlayer1) !== '3,4 4,3' || cells(stage.initialPlayer2) !== '3,3 4,4') {
+            problems.push('non-standard start position');
+        }
+        StageStore.RULE_FLAGS.forEach((flag) => {
+            if (stage[flag]) problems.push(`rule ${flag}`);
+        });
+        return problems;
+    }
+
+    /**
+     * Replay records before writing them, leaving out those whose moves do not fit the rules
+     * @param {Array<Object>} records - Records
+     * @param {Array<string>} errors - Problems found are appended here
+     * @param {Function} check - Optional check of a record before it is replayed; returns a problem or null
+     * @returns {Array<Object>} {record, replayed} for each record that replays
+     */
+    function replayRecords(records, errors, check = null) {
+        const replayedRecords = [];
+        records.forEach((record, index) => {
+            const problem = check ? check(record) : null;
+            if (problem) {
+                errors.push(`Game ${index + 1}: ${problem}`);
+                return;
+            }
+            const replayed = replay(record.stage, record.moves);
+            if (replayed.error) {
+                errors.push(`Game ${index + 1}: ${replayed.error}`);
+            } else {
+                replayedRecords.push({ record, replayed });
+            }
+        });
+        return replayedRecords;
+    }
+
+    // ---- Compact transcript ----
+
+    /**
+     * Write records as compact transcripts
+     * @param {Array<Object>} records - Records
+     * @returns {Object} {data, errors}; data holds the transcripts separated by blank lines
+     */
+    function toCompact(records) {
+        const errors = [];
+        const transcripts = replayRecords(records, errors).map(({ record, replayed }) => {
+            const stage = StageStore.normalizeStage(record.stage);
+            delete stage.pack;
+            const lines = [
+                '# Othello Arena transcript',
+                `# stage: ${JSON.stringify(stage)}`,
+                `# black: ${record.black}`,
+                `# white: ${record.white}`
+            ];
+            lines.push(`# result: ${replayed.scores.black}-${replayed.scores.white}`);
+            if (record.date) lines.push(`# date: ${record.date}`);
+            lines.push(replayed.moves.map(toNotation).join(''));
+            return lines.join('\n');
+        });
+        return { data: transcripts.length > 0 ? transcripts.join('\n\n') + '\n' : '', errors };
+    }
+
+    /**
+     * Read compact transcripts. A transcript without a stage header is played on the standard 8x8 stage.
+     * @param {string} text - Transcripts separated by blank lines
+     * @returns {Object} {records, errors}
+     */
+    function parseCompact(text) {
+        const records = [];
+        const errors = [];
+        const blocks = text.split(/\r?\n\s*\r?\n/).filter(block => block.trim() !== '');
+
+        blocks.forEach((block, index) => {
+            const label = `Game ${index + 1}`;
+            const header = {};
+            let moveText = '';
+            block.split(/\r?\n/).forEach((line) => {
+                const match = /^#\s*(\w+)\s*:\s*(.*)$/.exec(line.trim());
+                if (match) header[match[1].toLowerCase()] = match[2].trim();
+                else if (!line.trim().startsWith('#')) moveText += line;
+            });
+
+            let stage = stages[0];
+            if (header.stage) {
+                try {
+                    stage = JSON.parse(header.stage);
+                } catch (e) {
+                    errors.push(`${label}: stage header is not valid JSON (${e.message}).`);
+                    return;
+                }
+                const stageErrors = StageStore.validateStage(stage);
+                if (stageErrors.length > 0) {
+                    errors.push(`${label}: ${stageErrors.join(' ')}`);
+                    return;
+                }
+            }
+
+            // Pass markers ("--" or "pa") are skipped; passes are recovered when the game is replayed
+            const tokens = moveText.replace(/--|pa/gi, ' ').match(/[a-z]\d{1,2}/gi) || [];
+            const moves = tokens.map(parseNotation);
+            const outside = moves.findIndex(m => !OthelloRules.isWithinBoard(m.row, m.col, stage.boardSize));
+            if (outside >= 0) {
+                errors.push(`${label}: move ${outside + 1} (${tokens[outside]}) is outside the ` +
+                    `${stage.boardSize}x${stage.boardSize} board.`);
+                return;
+            }
+
+            records.push({
+                black: header.black || 'Black',
+                white: header.white || 'White',
+                stage,
+                moves,
+                date: header.date || null
+            });
+        });
+
+        return { records, errors };
+    }
+
+    // ---- GGF ----
+
+    /**
+     * Escape a GGF property value
+     * @param {string} value - Value
+     * @returns {string} Escaped value
+     */
+    function escapeGGF(value) {
+        return String(value).replace(/\\/g, '\\\\').replace(/]/g, '\\]');
+    }
+
+    /**
+     * Write the evaluation and think time of a move as GGF does, e.g. "/-2.00/1.5"
+     * @param {Object|null} details - Move details (see getMoveDetails)
+     * @returns {string} Suffix for the move value, empty if neither is known
+     */
+    function ggfMoveDetails(details) {
+        if (!details) return '';
+        const evaluation = details.diagnostic && typeof details.diagnostic.eval === 'number' ?
+            details.diagnostic.eval.toFixed(2) : '';
+        const time = typeof details.thinkTime === 'number' ? String(details.thinkTime / 1000) : '';
+        return evaluation || time ? `/${evaluation}/${time}` : '';
+    }
+
+    /**
+     * Write records as GGF games, one per line
+     * @param {Array<Object>} records - Records
+     * @returns {Object} {data, errors}; records whose moves do not fit the rules are left out
+     */
+    function toGGF(records) {
+        const errors = [];
+        const games = replayRecords(records, errors).map(({ record, replayed }) => {
+            const stage = record.stage;
+            const size = stage.boardSize;
+            const board = OthelloRules.createInitialBoard(stage);
+            const symbols = { [GAME_CONSTANTS.EMPTY]: '-', [GAME_CONSTANTS.BLACK]: '*', [GAME_CONSTANTS.WHITE]: 'O', [GAME_CONSTANTS.BLOCKED]: '#' };
+            const position = board.map(row => row.map(cell => symbols[cell]).join('')).join('');
+
+            const date = record.date ? new Date(record.date) : new Date();
+            const pad = n => String(n).padStart(2, '0');
+            const dt = `${date.getUTCFullYear()}.${pad(date.getUTCMonth() + 1)}.${pad(date.getUTCDate())}_` +
+                `${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}:${pad(date.getUTCSeconds())}.GMT`;
+            const diff = replayed.scores.black - replayed.scores.white;
+
+            let text = `(;GM[Othello]PC[Othello Arena]DT[${dt}]PB[${escapeGGF(record.black)}]PW[${escapeGGF(record.white)}]` +
+                `RE[${diff > 0 ? '+' : ''}${diff}]TY[${size}]SN[${escapeGGF(stage.name)}]`;
+            const rules = StageStore.RULE_FLAGS.filter(flag => stage[flag]);
+            if (rules.length > 0) text += `RU[${rules.join(' ')}]`;
+            text += `BO[${size} ${position} *]`;
+
+            replayed.moves.forEach((move, i) => {
+                replayed.passes.filter(p => p.before === i).forEach((p) => {
+                    text += `${p.player === GAME_CONSTANTS.BLACK ? 'B' : 'W'}[PA]`;
+                });
+                text += `${move.player === GAME_CONSTANTS.BLACK ? 'B' : 'W'}[${toNotation(move)}${ggfMoveDetails(record.moves[i].details)}]`;
+            });
+            return `${text};)`;
+        });
+
+        return { data: games.length > 0 ? games.join('\n') + '\n' : '', errors };
+    }
+
+    /**
+     * Read GGF games
+     * @param {string} text - One or more GGF games
+     * @returns {Object} {records, errors}
+     */
+    function parseGGF(text) {
+        const records = [];
+        const errors = [];
+        const games = text.match(/\(;[\s\S]*?;\)/g) || [];
+        if (games.length === 0) errors.push('No GGF games found.');
+
+        games.forEach((gameText, index) => {
+            const label = `Game ${index + 1}`;
+            const props = [];
+            const propPattern = /([A-Z]+)\[((?:\\.|[^\]\\])*)\]/g;
+            let match;
+            while ((match = propPattern.exec(gameText)) !== null) {
+                props.push({ key: match[1], value: match[2].replace(/\\(.)/g, '$1') });
+            }
+            const prop = key => (props.find(p => p.key === key) || {}).value;
+
+            if (prop('GM') && prop('GM').toLowerCase() !== 'othello') {
+                errors.push(`${label}: not an Othello game (GM[${prop('GM')}]).`);
+                return;
+            }
+
+            const bo = (prop('BO') || '').trim().split(/\s+/);
+            const size = parseInt(bo[0]);
+            const cells = (bo.slice(1, -1).join('') || '');
+            if (!bo[0] || isNaN(size) || cells.length !== size * size) {
+                errors.push(`${label}: BO must give the board size and ${isNaN(size) ? 'its' : size * size} cells.`);
+                return;
+            }
+            if (bo[bo.length - 1] !== '*') {
+                errors.push(`${label}: games with White to move first are not supported.`);
+                return;
+            }
+
+            const stage = {
+                name: prop('SN') || `GGF ${size}x${size}`,
+                boardSize: size,
+                initialBlocked: [],
+                initialPlayer1: [],
+                initialPlayer2: []
+            };
+            for (let i = 0; i < cells.length; i++) {
+                const cell = { r: Math.floor(i / size), c: i % size };
+                if (cells[i] === '*') stage.initialPlayer1.push(cell);
+                else if (cells[i] === 'O') stage.initialPlayer2.push(cell);
+                else if (cells[i] === '#') stage.initialBlocked.push(cell);
+            }
+            (prop('RU') || '').split(/\s+/).forEach((flag) => {
+                if (StageStore.RULE_FLAGS.includes(flag)) stage[flag] = true;
+            });
+            const stageErrors = StageStore.validateStage(stage);
+            if (stageErrors.length > 0) {
+                errors.push(`${label}: ${stageErrors.join(' ')}`);
+                return;
+            }
+
+            const moves = [];
+            for (const p of props) {
+                if (p.key !== 'B' && p.key !== 'W') continue;
+                // Moves may carry an evaluation and time, e.g. B[d3/-2.00/1.5]
+                const [square, evaluation, time] = p.value.split('/').map(part => part.trim());
+                if (square.toUpperCase() === 'PA') continue;
+                const move = parseNotation(square);
+                if (!move || !OthelloRules.isWithinBoard(move.row, move.col, size)) {
+                    errors.push(`${label}: move ${moves.length + 1} ${p.key}[${p.value}] is not a square on the board.`);
+                    return;
+                }
+                move.player = p.key === 'B' ? GAME_CONSTANTS.BLACK : GAME_CONSTANTS.WHITE;
+                if (evaluation || time) {
+                    move.details = {};
+                    if (time && !isNaN(parseFloat(time))) move.details.thinkTime = Math.round(parseFloat(time) * 1000);
+                    if (evaluation && !isNaN(parseFloat(evaluation))) move.details.diagnostic = { eval: parseFloat(evaluation) };
+                }
+                moves.push(move);
+            }
+
+            const dt = /^(\d{4})\.(\d{2})\.(\d{2})(?:_(\d{2}):(\d{2}):(\d{2}))?/.exec(prop('DT') || '');
+            records.push({
+                black: prop('PB') || 'Black',
+                white: prop('PW') || 'White',
+                stage,
+                moves,
+                date: dt ? new Date(Date.UTC(+dt[1], dt[2] - 1, +dt[3], +(dt[4] || 0), +(dt[5] || 0), +(dt[6] || 0))).toISOString() : null
+            });
+        });
+
+        return { records, errors };
+    }
+
+    // ---- WTHOR ----
+
+    /**
+     * Write records as a WTHOR database. Player and tournament numbers are 0,
+     * since their names live in separate WTHOR files.
+     * @param {Array<Object>} records - Records
+     * @returns {Object} {data: Uint8Array, errors}; games that WTHOR cannot hold are left out
+     */
+    function toWTHOR(records) {
+        const errors = [];
+        const games = replayRecords(records, errors, (record) => {
+            const problems = nonStandardFeatures(record.stage);
+            return problems.length > 0 ?
+                `WTHOR only holds standard 8x8 games (this one has ${problems.join(', ')}).` : null;
+        }).map(({ replayed }) => replayed);
+
+        const data = new Uint8Array(WTHOR_HEADER_SIZE + games.length * WTHOR_GAME_SIZE);
+        const view = new DataView(data.buffer);
+        const now = new Date();
+        data[0] = Math.floor(now.getFullYear() / 100);
+        data[1] = now.getFullYear() % 100;
+        data[2] = now.getMonth() + 1;
+        data[3] = now.getDate();
+        view.setUint32(4, games.length, true);
+        view.setUint16(8, 0, true);
+        view.setUint16(10, now.getFullYear(), true);
+        data[12] = 8;
+
+        games.forEach((game, i) => {
+            const offset = WTHOR_HEADER_SIZE + i * WTHOR_GAME_SIZE;
+            data[offset + 6] = game.scores.black;
+            data[offset + 7] = game.scores.black;
+            game.moves.forEach((move, j) => {
+                data[offset + 8 + j] = (move.row + 1) * 10 + (move.col + 1);
+            });
+        });
+
+        return { data, errors };
+    }
+
+    /**
+     * Read a WTHOR database (8x8 games only)
+     * @param {ArrayBuffer|Uint8Array} buffer - File content
+     * @returns {Object} {records, errors}
+     */
+    function parseWTHOR(buffer) {
+        const data = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+        const records = [];
+        const errors = [];
+        if (data.length < WTHOR_HEADER_SIZE) {
+            return { records, errors: ['File is too short to be a WTHOR database.'] };
+        }
+
+        const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+        const count = view.getUint32(4, true);
+        if (data[12] !== 0 && data[12] !== 8) {
+            return { records, errors: [`Board size ${data[12]} is not supported (only 8x8 WTHOR files).`] };
+        }
+        if (data.length < WTHOR_HEADER_SIZE + count * WTHOR_GAME_SIZE) {
+            errors.push(`Header lists ${count} games but the file holds ` +
+                `${Math.floor((data.length - WTHOR_HEADER_SIZE) / WTHOR_GAME_SIZE)}.`);
+        }
+
+        const available = Math.min(count, Math.floor((data.length - WTHOR_HEADER_SIZE) / WTHOR_GAME_SIZE));
+        for (let i = 0; i < available; i++) {
+            const offset = WTHOR_HEADER_SIZE + i * WTHOR_GAME_SIZE;
+            const moves = [];
+            let invalid = null;
+            for (let j = 0; j < WTHOR_MOVES; j++) {
+                const code = data[offset + 8 + j];
+                if (code === 0) break;
+                const row = Math.floor(code / 10) - 1;
+                const col = code % 10 - 1;
+                if (!OthelloRules.isWithinBoard(row, col, 8)) {
+                    invalid = `Game ${i + 1}: move ${j + 1} has invalid square code ${code}.`;
+                    break;
+                }
+                moves.push({ row, col });
+            }
+            if (invalid) {
+                errors.push(invalid);
+                continue;
+            }
+
+            records.push({
+                black: `WTHOR player ${view.getUint16(offset + 2, true)}`,
+                white: `WTHOR player ${view.getUint16(offset + 4, true)}`,
+                stage: stages[0],
+                moves,
+                date: null
+            });
+        }
+
+        return { records, errors };
+    }
+
+    // ---- Game log transcripts ----
+
+    /**
+     * Read the text game logs written by Save Log or shown in the game log, e.g.
+     *   === Game 1 ===
+     *   Game started: Greedy(B) vs Corners(W) on Stage: Stage 1
+     *   Greedy(B): d3
+     *   ...
+     * The stage is looked up by name; games played from an opening suite cannot be
+     * told apart from the stage's start position, since the transcript does not hold it.
+     * @param {string} text - One or more transcripts
+     * @returns {Object} {records, errors}
+     */
+    function parseTranscript(text) {
+        const records = [];
+        const errors = [];
+        const headerPattern = /^(?:Game started:\s*)?(.+?)\(B\) vs (.+?)\(W\) on (?:Stage:\s*)?(.+)$/;
+        const movePattern = /^(.+?)\((B|W)\):\s*([a-z]\d{1,2})$/i;
+        let current = null;
+
+        const finish = () => {
+            if (!current) return;
+            const label = `Game ${records.length + errors.length + 1}`;
+            const stage = stages.find(s => s.name === current.stageName);
+            if (!stage) {
+                errors.push(`${label}: stage "${current.stageName}" is not loaded.`);
+            } else if (current.moves.length === 0) {
+                errors.push(`${label}: no moves found.`);
+            } else {
+                const outside = current.moves.findIndex(m => !OthelloRules.isWithinBoard(m.row, m.col, stage.boardSize));
+                if (outside >= 0) {
+                    errors.push(`${label}: move ${outside + 1} (${toNotation(current.moves[outside])}) is outside the ` +
+                        `${stage.boardSize}x${stage.boardSize} board.`);
+                } else {
+                    records.push({ black: current.black, white: current.white, stage, moves: current.moves, date: null });
+                }
+            }
+            current = null;
+        };
+
+        text.split(/\r?\n/).forEach((rawLine) => {
+            const line = rawLine.trim();
+            const header = headerPattern.exec(line);
+            if (header) {
+                finish();
+                current = { black: header[1].trim(), white: header[2].trim(), stageName: header[3].trim(), moves: [] };
+                return;
+            }
+            const move = movePattern.exec(line);
+            if (move && current) {
+                const position = parseNotation(move[3]);
+                position.player = move[2].toUpperCase() === 'B' ? GAME_CONSTANTS.BLACK : GAME_CONSTANTS.WHITE;
+                current.moves.push(position);
+            }
+        });
+        finish();
+
+        if (records.length === 0 && errors.length === 0) {
+            errors.push('No game transcripts found (expected "Name(B) vs Name(W) on Stage: ..." lines).');
+        }
+        return { records, errors };
+    }
+
+    /**
+     * Read the JSON game data written by Save Log: an array of previousGames entries, or a single one
+     * @param {string} text - JSON text
+     * @returns {Object} {records, errors}
+     */
+    function parseGameData(text) {
+        const records = [];
+        const errors = [];
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (e) {
+            return { records, errors: [`Not valid JSON (${e.message}).`] };
+        }
+
+        (Array.isArray(data) ? data : [data]).forEach((game, index) => {
+            if (!game || !(Array.isArray(game.plies) || Array.isArray(game.moves))) {
+                errors.push(`Game ${index + 1}: no move list.`);
+                return;
+            }
+            // Games in the older format name their stage, which must be loaded here
+            const meta = game.metadata || {};
+            if (!game.plies && !meta.stageConfig && !stages.some(s => s.name === meta.stage)) {
+                errors.push(`Game ${index + 1}: stage "${meta.stage}" is not loaded.`);
+                return;
+            }
+            try {
+                records.push(fromPreviousGame(game));
+            } catch (e) {
+                errors.push(`Game ${index + 1}: ${e.message}`);
+            }
+        });
+        return { records, errors };
+    }
+
+    /**
+     * Guess the format of a game file from its name and content
+     * @param {string|ArrayBuffer|Uint8Array} data - File content
+     * @param {string} fileName - File name, if the content comes from a file
+     * @returns {string} 'wthor', 'ggf', 'json', 'text' or 'compact'
+     */
+    function detectFormat(data, fileName = '') {
+        if (/\.wtb$/i.test(fileName) || typeof data !== 'string') return 'wthor';
+        if (/\.ggf$/i.test(fileName)) return 'ggf';
+
+        const text = data.trim();
+        if (/^[[{]/.test(text)) return 'json';
+        if (text.startsWith('(;')) return 'ggf';
+        if (/\(B\) vs .+\(W\) on /.test(text)) return 'text';
+        return 'compact';
+    }
+
+    // ---- GameLogger games ----
+
+    /**
+     * Export GameLogger games in a format
+     * @param {Array<Object>} games - previousGames entries
+     * @param {string} format - One of FORMATS
+     * @returns {Object} {data (string, or Uint8Array for wthor), exported, errors}
+     */
+    function exportGames(games, format) {
+        const errors = [];
+        const records = [];
+        games.forEach((game, index) => {
+            try {
+                records.push(fromPreviousGame(game));
+            } catch (e) {
+                errors.push(`Game ${index + 1}: ${e.message}`);
+            }
+        });
+
+        let result;
+        if (format === 'compact') result = toCompact(records);
+        else if (format === 'ggf') result = toGGF(records);
+        else if (format === 'wthor') result = toWTHOR(records);
+        else throw new Error(`Unknown game record format "${format}"`);
+
+        return { data: result.data, exported: records.length - result.errors.length, errors: errors.concat(result.errors) };
+    }
+
+    /**
+     * Import games in a format as GameLogger games.
+     * Every game is replayed, so errors name the first move that does not fit the stage's rules.
+     * @param {string|ArrayBuffer|Uint8Array} data - File content (binary for wthor)
+     * @param {string} format - One of FORMATS, 'text' or 'json'
+     * @returns {Object} {games (previousGames entries), errors}
+     */
+    function importGames(data, format) {
+        let parsed;
+        if (format === 'text') parsed = parseTranscript(data);
+        else if (format === 'json') parsed = parseGameData(data);
+        else if (format === 'compact') parsed = parseCompact(data);
+        else if (format === 'ggf') parsed = parseGGF(data);
+        else if (format === 'wthor') parsed = parseWTHOR(data);
+        else throw new Error(`Unknown game record format "${format}"`);
+
+        const games = [];
+        const errors = parsed.errors.slice();
+        parsed.records.forEach((record, index) => {
+            try {
+                games.push(toPreviousGame(record, format));
+            } catch (e) {
+                errors.push(`Game ${index + 1}: ${e.message}`);
+            }
+        });
+        return { games, errors };
+    }
+
+    // Public API
+    return {
+        FORMATS,
+        toNotation,
+        parseNotation,
+        getMoveDetails,
+        replay,
+        fromPreviousGame,
+        toPreviousGame,
+        toCompact,
+        parseCompact,
+        toGGF,
+        parseGGF,
+        toWTHOR,
+        parseWTHOR,
+        parseTranscript,
+        parseGameData,
+        detectFormat,
+        exportGames,
+        importGames
+    };
+})(
+    typeof GAME_CONSTANTS !== 'undefined' ? GAME_CONSTANTS : require('./constant.js'),
+    typeof stages !== 'undefined' ? stages : require('./stages.js'),
+    typeof OthelloRules !== 'undefined' ? OthelloRules : require('./game-rules.js'),
+    typeof OthelloEngine !== 'undefined' ? OthelloEngine : require('./game-engine.js'),
+    typeof StageStore !== 'undefined' ? StageStore : require('./stage-store.js'),
+    typeof GameLogger !== 'undefined' ? GameLogger : require('./game-logger.js')
+);
+
+// Export as a global object or use module exports if using bundler
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GameRecord;
+}
@@ -0,0 +1,202 @@
+/**
+ * game-record.test.js
+ *
+ * Round-trip tests for the game record formats (game-record.js)
+ * Plays seeded random games on the standard, 6x6 and blocked-cell stages and
+ * checks that writing and reading them back gives the same games:
+ *   - compact and GGF on every stage, including stage, players and date
+ *   - WTHOR on the standard 8x8 stage, which is the only one it can hold
+ * and that GGF escapes "]" and "\" in player names, that passes left out of
+ * compact records (or written as markers) are recovered by the replay, and that
+ * toWTHOR refuses the 6x6 and blocked-cell stages.
+ *
+ * Run with: node game-record.test.js
+ */
+
+const assert = require('assert');
+
+const GAME_CONSTANTS = require('./constant.js');
+const stages = require('./stages.js');
+const OthelloEngine = require('./game-engine.js');
+const StageStore = require('./stage-store.js');
+const SeededRandom = require('./seeded-random.js');
+const GameRecord = require('./game-record.js');
+
+const GAMES_PER_STAGE = 6;
+const DATE = '2025-05-01T14:03:07.000Z';
+
+const [standardStage, smallStage, blockedStage] = stages;
+
+/**
+ * Play seeded random games on a stage
+ * @param {Object} stage - Stage configuration
+ * @returns {Array<Object>} Records (see GameRecord.fromPreviousGame)
+ */
+function playRecords(stage) {
+    const random = SeededRandom.create(SeededRandom.hashString(stage.name));
+    const records = [];
+
+    for (let i = 0; i < GAMES_PER_STAGE; i++) {
+        const game = OthelloEngine.createGame(stage);
+        const moves = [];
+        game.start();
+        game.resolvePasses();
+        while (!game.over) {
+            const validMoves = game.getValidMoves();
+            const move = validMoves[Math.floor(random() * validMoves.length)];
+            moves.push({ player: game.currentPlayer, row: move.row, col: move.col, details: null });
+            game.play(move.row, move.col);
+        }
+        records.push({ black: `Random ${i}`, white: 'Greedy', stage, moves, date: DATE });
+    }
+    return records;
+}
+
+/**
+ * Normalize a stage for comparison; GGF lists the start cells in board order, so cell lists are sorted
+ * @param {Object} stage - Stage configuration
+ * @returns {Object} Normalized stage
+ */
+function comparableStage(stage) {
+    const normalized = StageStore.normalizeStage(stage);
+    ['initialBlocked', 'initialPlayer1', 'initialPlayer2'].forEach((field) => {
+        normalized[field] = normalized[field].slice().sort((a, b) => a.r - b.r || a.c - b.c);
+    });
+    return normalized;
+}
+
+/**
+ * Replay a record, failing if its moves do not fit the rules
+ * @param {Object} record - Record
+ * @returns {Object} Replay (see GameRecord.replay)
+ */
+function replayRecord(record) {
+    const replayed = GameRecord.replay(record.stage, record.moves);
+    assert.ok(!replayed.error, replayed.error);
+    return replayed;
+}
+
+/**
+ * Check that records read back from a format are the records written
+ * @param {Array<Object>} written - Records written
+ * @param {Object} parsed - {records, errors} read back
+ * @param {Object} options - {names, date}: whether the format keeps player names and dates
+ */
+function assertSameRecords(written, parsed, { names = true, date = true } = {}) {
+    assert.deepStrictEqual(parsed.errors, [], 'no read errors');
+    assert.strictEqual(parsed.records.length, written.length, 'number of games');
+
+    parsed.records.forEach((record, i) => {
+        const label = `game ${i + 1}`;
+        assert.deepStrictEqual(comparableStage(record.stage), comparableStage(written[i].stage), `stage of ${label}`);
+        if (names) {
+            assert.strictEqual(record.black, written[i].black, `Black of ${label}`);
+            assert.strictEqual(record.white, written[i].white, `White of ${label}`);
+        }
+        if (date) assert.strictEqual(record.date, written[i].date, `date of ${label}`);
+
+        const expected = replayRecord(written[i]);
+        const actual = replayRecord(record);
+        assert.deepStrictEqual(actual.moves, expected.moves, `moves of ${label}`);
+        assert.deepStrictEqual(actual.passes, expected.passes, `passes of ${label}`);
+        assert.deepStrictEqual(actual.scores, expected.scores, `score of ${label}`);
+        assert.ok(actual.over, `${label} is over`);
+    });
+}
+
+const recordsByStage = new Map(stages.map(stage => [stage, playRecords(stage)]));
+
+const tests = [];
+const test = (name, fn) => tests.push({ name, fn });
+
+stages.forEach((stage) => {
+    test(`compact round trip on ${stage.name}`, () => {
+        const records = recordsByStage.get(stage);
+        const written = GameRecord.toCompact(records);
+        assert.deepStrictEqual(written.errors, []);
+        assertSameRecords(records, GameRecord.parseCompact(written.data));
+    });
+
+    test(`GGF round trip on ${stage.name}`, () => {
+        const records = recordsByStage.get(stage);
+        const written = GameRecord.toGGF(records);
+        assert.deepStrictEqual(written.errors, []);
+        assertSameRecords(records, GameRecord.parseGGF(written.data));
+    });
+});
+
+test(`WTHOR round trip on ${standardStage.name}`, () => {
+    const records = recordsByStage.get(standardStage);
+    const written = GameRecord.toWTHOR(records);
+    assert.deepStrictEqual(written.errors, []);
+    assertSameRecords(records, GameRecord.parseWTHOR(written.data), { names: false, date: false });
+});
+
+[smallStage, blockedStage].forEach((stage) => {
+    test(`toWTHOR rejects ${stage.name}`, () => {
+        const records = recordsByStage.get(stage);
+        const written = GameRecord.toWTHOR(records);
+        assert.strictEqual(written.errors.length, records.length, 'one error per game');
+        written.errors.forEach(error => assert.match(error, /WTHOR only holds standard 8x8 games/));
+        assert.strictEqual(GameRecord.parseWTHOR(written.data).records.length, 0, 'no games written');
+    });
+});
+
+test('GGF escapes "]" and "\\" in player names', () => {
+    const names = ['Bracket] PW[Injected]', 'Back\\slash \\] both'];
+    const records = [Object.assign({}, recordsByStage.get(standardStage)[0], { black: names[0], white: names[1] })];
+    const written = GameRecord.toGGF(records);
+    assert.ok(written.data.includes('PB[Bracket\\] PW[Injected\\]]'), 'PB is escaped');
+    assert.ok(written.data.includes('PW[Back\\\\slash \\\\\\] both]'), 'PW is escaped');
+    assertSameRecords(records, GameRecord.parseGGF(written.data));
+});
+
+test('passes are recovered from records without them', () => {
+    const withPasses = [];
+    recordsByStage.forEach(records => records.forEach((record) => {
+        if (replayRecord(record).passes.length > 0) withPasses.push(record);
+    }));
+    assert.ok(withPasses.length > 0, 'the seeded games include passes');
+
+    // Compact records leave passes out; markers written by other tools are skipped
+    const written = GameRecord.toCompact(withPasses);
+    assert.ok(!/--|pa/i.test(written.data.split('\n').filter(line => !line.startsWith('#')).join('')),
+        'compact moves have no pass markers');
+    assertSameRecords(withPasses, GameRecord.parseCompact(written.data));
+
+    const marked = withPasses.map((record) => {
+        const { moves, passes } = replayRecord(record);
+        const lines = GameRecord.toCompact([record]).data.trim().split('\n');
+        lines[lines.length - 1] = moves.map((move, i) =>
+            '--'.repeat(passes.filter(p => p.before === i).length) + GameRecord.toNotation(move)).join('');
+        return lines.join('\n');
+    });
+    assertSameRecords(withPasses, GameRecord.parseCompact(marked.join('\n\n')));
+
+    // GGF writes passes as B[PA]/W[PA]; reading skips them and the replay puts them back
+    const ggf = GameRecord.toGGF(withPasses);
+    assert.ok(/[BW]\[PA\]/.test(ggf.data), 'GGF writes passes');
+    assertSameRecords(withPasses, GameRecord.parseGGF(ggf.data));
+
+    // Passes end up as pass plies of the rebuilt game
+    const game = GameRecord.toPreviousGame(withPasses[0], 'compact');
+    const passPlies = game.plies.filter(ply => ply.type === 'pass');
+    assert.deepStrictEqual(passPlies.map(ply => ply.player), replayRecord(withPasses[0]).passes.map(p => p.player));
+    passPlies.forEach(ply => assert.ok(ply.player === GAME_CONSTANTS.BLACK || ply.player === GAME_CONSTANTS.WHITE));
+});
+
+let failures = 0;
+tests.forEach(({ name, fn }) => {
+    try {
+        fn();
+        console.log(`ok - ${name}`);
+    } catch (e) {
+        failures++;
+        console.log(`not ok - ${name}: ${e.message}`);
+    }
+});
+
+if (failures > 0) {
+    console.log(`${failures} test(s) failed`);
+    process.exitCode = 1;
+}
@@ -0,0 +1,350 @@
+/**
+ * game-rules.js
+ *
+ * Othello rules for the Arena
+ * The single implementation of move generation, flipping and turn order,
+ * parameterized by the stage configuration (blocked cells, ignoreOcclusion,
+ * fewerPiecesContinue). The engine, the intelligent-system API and the
+ * built-in strategies all call into this module.
+ */
+
+const OthelloRules = (function (GAME_CONSTANTS, stages) {
+    const DIRECTIONS = [[-1, -1], [-1, 0], [-1, 1], [0, -1], [0, 1], [1, -1], [1, 0], [1, 1]];
+
+    /**
+     * Get the opponent of a player
+     * @param {number} player - Player (BLACK or WHITE)
+     * @returns {number} Opponent (WHITE or BLACK)
+     */
+    function getOpponent(player) {
+        return player === GAME_CONSTANTS.BLACK ? GAME_CONSTANTS.WHITE : GAME_CONSTANTS.BLACK;
+    }
+
+    /**
+     * Check if coordinates are within a board of the given size
+     * @param {number} r - Row index
+     * @param {number} c - Column index
+     * @param {number} size - Board size
+     * @returns {boolean} True if coordinates are valid
+     */
+    function isWithinBoard(r, c, size) {
+        return r >= 0 && r < size && c >= 0 && c < size;
+    }
+
+    /**
+     * Creates a new board based on stage configuration
+     * @param {Object} stageConfig - Stage configuration object (default: first stage)
+     * @returns {Array<Array<number>>} 2D array representing the board
+     */
+    function createInitialBoard(stageConfig) {
+        if (!stageConfig) {
+            stageConfig = stages[0];
+        }
+
+        const boardSize = stageConfig.boardSize || 8;
+        const newBoard = Array(boardSize).fill().map(() => Array(boardSize).fill(GAME_CONSTANTS.EMPTY));
+
+        // Place blocked cells
+        (stageConfig.initialBlocked || []).forEach(p => {
+            if (isWithinBoard(p.r, p.c, boardSize)) newBoard[p.r][p.c] = GAME_CONSTANTS.BLOCKED;
+        });
+
+        // Place Player 1 (Black) initial pieces
+        (stageConfig.initialPlayer1 || []).forEach(p => {
+            if (isWithinBoard(p.r, p.c, boardSize) && newBoard[p.r][p.c] === GAME_CONSTANTS.EMPTY)
+                newBoard[p.r][p.c] = GAME_CONSTANTS.BLACK;
+        });
+
+        // Place Player 2 (White) initial pieces
+        (stageConfig.initialPlayer2 || []).forEach(p => {
+            if (isWithinBoard(p.r, p.c, boardSize) && newBoard[p.r][p.c] === GAME_CONSTANTS.EMPTY)
+                newBoard[p.r][p.c] = GAME_CONSTANTS.WHITE;
+        });
+
+        return newBoard;
+    }
+
+    /**
+     * Collect the opponent pieces captured in one direction
+     * @param {Array<Array<number>>} board - Board state
+     * @param {number} row - Row index of the placed piece
+     * @param {number} col - Column index of the placed piece
+     * @param {number} dr - Row step
+     * @param {number} dc - Column step
+     * @param {number} player - Player making the move (BLACK or WHITE)
+     * @param {boolean} ignoreOcclusion - Whether blocked cells can be jumped over
+     * @returns {Array<Array<number>>} Captured positions [r, c] (empty if none)
+     */
+    function scanDirection(board, row, col, dr, dc, player, ignoreOcclusion) {
+        const size = board.length;
+        const opponent = getOpponent(player);
+        const toFlip = [];
+        let foundBlocked = false;
+        let r = row + dr;
+        let c = col + dc;
+
+        while (isWithinBoard(r, c, size)) {
+            const cell = board[r][c];
+
+            if (cell === opponent) {
+                toFlip.push([r, c]);
+            }
+            else if (cell === GAME_CONSTANTS.BLOCKED) {
+                foundBlocked = true;
+                // In normal rules, a blocked cell ends the search.
+                // With ignoreOcclusion=true, we continue through blocked cells
+                if (!ignoreOcclusion) {
+                    return [];
+                }
+            }
+            else if (cell === player) {
+                // Bounded by the player's own piece: captured if anything lies between
+                return toFlip.length > 0 && (!foundBlocked || ignoreOcclusion) ? toFlip : [];
+            }
+            else {
+                // An empty cell always ends the search
+                return [];
+            }
+
+            r += dr;
+            c += dc;
+        }
+
+        // Ran off the board without reaching one of the player's pieces
+        return [];
+    }
+
+    /**
+     * Get every opponent piece a move would flip
+     * @param {Array<Array<number>>} board - Board state
+     * @param {number} row - Row index
+     * @param {number} col - Column index
+     * @param {number} player - Player making the move (BLACK or WHITE)
+     * @param {Object} stageConfig - Stage configuration (for ignoreOcclusion)
+     * @returns {Array<Array<number>>} Flipped positions [r, c] (empty if the move is invalid)
+     */
+    function getFlips(board, row, col, player, stageConfig) {
+        if (!board || !isWithinBoard(row, col, board.length) || board[row][col] !== GAME_CONSTANTS.EMPTY) {
+            return [];
+        }
+
+        const ignoreOcclusion = (stageConfig && stageConfig.ignoreOcclusion) || false;
+        const flips = [];
+
+        for (const [dr, dc] of DIRECTIONS) {
+            flips.push(...scanDirection(board, row, col, dr, dc, player, ignoreOcclusion));
+        }
+
+        return flips;
+    }
+
+    /**
+     * Check if a move is valid according to Othello rules
+     * @param {Array<Array<number>>} board - Board to check against
+     * @param {number} row - Row index
+     * @param {number} col - Column index
+     * @param {number} player - Player making the move (BLACK or WHITE)
+     * @param {Object} stageConfig - Stage configuration (for ignoreOcclusion)
+     * @returns {boolean} True if the move is valid
+     */
+    function isValidMove(board, row, col, player, stageConfig) {
+        if (!board || !isWithinBoard(row, col, board.length) || board[row][col] !== GAME_CONSTANTS.EMPTY) {
+            return false;
+        }
+
+        const ignoreOcclusion = (stageConfig && stageConfig.ignoreOcclusion) || false;
+
+        for (const [dr, dc] of DIRECTIONS) {
+            if (scanDirection(board, row, col, dr, dc, player, ignoreOcclusion).length > 0) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Get all valid moves for a player
+     * @param {Array<Array<number>>} board - Board to check against
+     * @param {number} player - Player to check moves for (BLACK or WHITE)
+     * @param {Object} stageConfig - Stage configuration
+     * @returns {Array<Object>} Array of valid move positions {row, col}
+     */
+    function getValidMoves(board, player, stageConfig) {
+        const moves = [];
+        if (!board) return moves;
+
+        const size = board.length;
+        for (let r = 0; r < size; r++) {
+            for (let c = 0; c < size; c++) {
+                if (isValidMove(board, r, c, player, stageConfig)) {
+                    moves.push({ row: r, col: c });
+                }
+            }
+        }
+
+        return moves;
+    }
+
+    /**
+     * Place a piece and flip captured pieces on the given board (mutates the board)
+     * @param {Array<Array<number>>} board - Board to modify
+     * @param {number} row - Row index
+     * @param {number} col - Column index
+     * @param {number} player - Player making the move (BLACK or WHITE)
+     * @param {Object} stageConfig - Stage configuration (for ignoreOcclusion)
+     * @returns {Array<Array<number>>|null} Flipped positions [r, c], or null if the cell is not playable
+     */
+    function applyMove(board, row, col, player, stageConfig) {
+        if (!isWithinBoard(row, col, board.length) || board[row][col] !== GAME_CONSTANTS.EMPTY) return null;
+
+        const capturedPieces = getFlips(board, row, col, player, stageConfig);
+
+        board[row][col] = player;
+        for (const [fr, fc] of capturedPieces) {
+            board[fr][fc] = player;
+        }
+
+        return capturedPieces;
+    }
+
+    /**
+     * Count the number of discs for each player
+     * @param {Array<Array<number>>} board - Board state to count from
+     * @returns {Object} Object with counts {black, white}
+     */
+    function countDiscs(board) {
+        let black = 0, white = 0;
+
+        for (let r = 0; r < board.length; r++) {
+            for (let c = 0; c < board[r].length; c++) {
+                if (board[r][c] === GAME_CONSTANTS.BLACK) black++;
+                else if (board[r][c] === GAME_CONSTANTS.WHITE) white++;
+            }
+        }
+
+        return { black, white };
+    }
+
+    /**
+     * Determine who moves after a player, given the board after their move
+     * @param {Array<Array<number>>} board - Board after the move
+     * @param {number} player - Player who just moved
+     * @param {Object} stageConfig - Stage configuration (for fewerPiecesContinue)
+     * @returns {number} Next player (BLACK or WHITE)
+     */
+    function determineNextPlayer(board, player, stageConfig) {
+        // If rule isn't active, just alternate turns as usual
+        if (!stageConfig || !stageConfig.fewerPiecesContinue) {
+            return getOpponent(player);
+        }
+
+        // The side with fewer pieces plays again; equal counts alternate
+        const scores = countDiscs(board);
+        if (scores.black < scores.white) return GAME_CONSTANTS.BLACK;
+        if (scores.white < scores.black) return GAME_CONSTANTS.WHITE;
+        return getOpponent(player);
+    }
+
+    /**
+     * Simulate a move on a copy of the board
+     * @param {Array<Array<number>>} board - Board state (not modified)
+     * @param {number} player - Player making the move (BLACK or WHITE)
+     * @param {number} row - Row index
+     * @param {number} col - Column index
+     * @param {Object} stageConfig - Stage configuration
+     * @returns {Object} {valid, resultingBoard, capturedCount, capturedPieces} or {valid: false}
+     */
+    function simulateMove(board, player, row, col, stageConfig) {
+        if (!isValidMove(board, row, col, player, stageConfig)) {
+            return { valid: false };
+        }
+
+        const resultingBoard = board.map(r => [...r]);
+        const capturedPieces = applyMove(resultingBoard, row, col, player, stageConfig);
+
+        return {
+            valid: true,
+            resultingBoard,
+            capturedCount: capturedPieces.length,
+            capturedPieces
+        };
+    }
+
+    /**
+     * Play a move on a copy of the board and report who moves next
+     * @param {Array<Array<number>>} board - Board state (not modified)
+     * @param {number} player - Player making the move (BLACK or WHITE)
+     * @param {number} row - Row index
+     * @param {number} col - Column index
+     * @param {Object} stageConfig - Stage configuration
+     * @returns {Object|null} {board, flipped, nextPlayer}, or null if the move is invalid
+     */
+    function simulate(board, player, row, col, stageConfig) {
+        const result = simulateMove(board, player, row, col, stageConfig);
+        if (!result.valid) return null;
+
+        return {
+            board: result.resultingBoard,
+            flipped: result.capturedPieces,
+            nextPlayer: determineNextPlayer(result.resultingBoard, player, stageConfig)
+        };
+    }
+
+    /**
+     * Create the simulate function passed to strategies as their fourth argument.
+     * Strategies written against the old makeMove(row, col, player) argument get a
+     * deprecated alias that only reports whether the move would flip pieces on the
+     * board they were given; with strict set (tournaments) the alias throws instead.
+     * @param {Object} stageConfig - Stage configuration of the running game
+     * @param {Array<Array<number>>} boardSnapshot - Board copy handed to the strategy
+     * @param {boolean} strict - Whether the deprecated call form is rejected
+     * @returns {Function} simulate(board, player, row, col)
+     */
+    function createSimulator(stageConfig, boardSnapshot, strict) {
+        let warned = false;
+
+        return function strategySimulate(board, player, row, col) {
+            // Deprecated makeMove(row, col, player) call
+            if (!Array.isArray(board)) {
+                if (strict) {
+                    throw new Error("makeMove(row, col, player) is no longer supported in tournaments. " +
+                        "Use simulate(board, player, row, col), which returns {board, flipped, nextPlayer}.");
+                }
+                if (!warned) {
+                    warned = true;
+                    console.warn("[simulate] makeMove(row, col, player) is deprecated and no longer changes the game. " +
+                        "Use simulate(board, player, row, col) instead.");
+                }
+                // Arguments arrive as (row, col, player)
+                return getFlips(boardSnapshot, board, player, row, stageConfig).length > 0;
+            }
+
+            return simulate(board, player, row, col, stageConfig);
+        };
+    }
+
+    // Public API
+    return {
+        getOpponent,
+        isWithinBoard,
+        createInitialBoard,
+        isValidMove,
+        getValidMoves,
+        getFlips,
+        applyMove,
+        simulateMove,
+        simulate,
+        createSimulator,
+        countDiscs,
+        determineNextPlayer
+    };
+})(
+    typeof GAME_CONSTANTS !== 'undefined' ? GAME_CONSTANTS : require('./constant.js'),
+    typeof stages !== 'undefined' ? stages : require('./stages.js')
+);
+
+// Export as a global object or use module exports if using bundler
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OthelloRules;
+}
@@ -0,0 +1,213 @@
+/**
+ * game-rules.test.js
+ *
+ * Conformance tests for the shared rules module
+ * Plays seeded random games on every stage in stages.js, and on each stage with
+ * ignoreOcclusion and fewerPiecesContinue switched on, and checks that every
+ * caller of the rules agrees with OthelloRules in every position reached:
+ *   - GameState (game-engine.js): legal moves, board after a move, next player
+ *   - IntelligentSystemInterface.getValidMoves/simulateMove
+ *   - EnvironmentAPI: getValidMoves/simulateMove and the discovery-mode step
+ *   - builtInStrategies.greedy through the simulate function strategies get
+ * Illegal moves (every other empty cell) must be rejected by all of them.
+ *
+ * Run with: node game-rules.test.js
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const GAME_CONSTANTS = require('./constant.js');
+const stages = require('./stages.js');
+const OthelloRules = require('./game-rules.js');
+const OthelloEngine = require('./game-engine.js');
+const EnvironmentAPI = require('./environment-api.js');
+const OthelloStrategies = require('./strategies.js');
+const SeededRandom = require('./seeded-random.js');
+
+const GAMES_PER_STAGE = 4;
+
+/**
+ * Load IntelligentSystemInterface, which is a page script that sets window.IntelligentSystemInterface
+ * @returns {Object} IntelligentSystemInterface
+ */
+function loadIntelligentSystemInterface() {
+    const context = vm.createContext({
+        window: {},
+        console: { log() { }, warn: console.warn, error: console.error },
+        GAME_CONSTANTS,
+        OthelloRules,
+        EnvironmentAPI
+    });
+    const file = path.join(__dirname, 'intelligent-system-loader.js');
+    vm.runInContext(fs.readFileSync(file, 'utf8'), context, { filename: file });
+    return context.window.IntelligentSystemInterface;
+}
+
+const IntelligentSystemInterface = loadIntelligentSystemInterface();
+const greedy = OthelloStrategies.getBuiltInStrategy('greedy');
+
+/**
+ * Every stage in stages.js, plain and with each special rule switched on
+ * @returns {Array<Object>} Stage configurations
+ */
+function stageVariants() {
+    const variants = [];
+    stages.forEach((stage) => {
+        variants.push(stage);
+        variants.push(Object.assign({}, stage, { name: `${stage.name} + ignoreOcclusion`, ignoreOcclusion: true }));
+        variants.push(Object.assign({}, stage, { name: `${stage.name} + fewerPiecesContinue`, fewerPiecesContinue: true }));
+        variants.push(Object.assign({}, stage, {
+            name: `${stage.name} + both rules`,
+            ignoreOcclusion: true,
+            fewerPiecesContinue: true
+        }));
+    });
+    return variants;
+}
+
+const sortCells = cells => cells.map(([r, c]) => `${r},${c}`).sort();
+const sortMoves = moves => moves.map(m => `${m.row},${m.col}`).sort();
+
+/**
+ * Play one move with a fresh GameState set up on a position
+ * @param {Object} stage - Stage configuration
+ * @param {Array<Array<number>>} board - Position
+ * @param {number} player - Side to move
+ * @param {Object} move - Move {row, col}
+ * @returns {Object} {played, board, nextPlayer}; nextPlayer is null once the game is over
+ */
+function playOnEngine(stage, board, player, move) {
+    const game = OthelloEngine.createGame(stage);
+    game.start();
+    game.board = board.map(r => [...r]);
+    game.currentPlayer = player;
+    const played = game.play(move.row, move.col);
+    return { played, board: game.board, nextPlayer: game.over ? null : game.currentPlayer };
+}
+
+/**
+ * Check that every rules caller agrees with OthelloRules on one position
+ * @param {Object} stage - Stage configuration
+ * @param {Array<Array<number>>} board - Position
+ * @param {number} player - Side to move
+ * @param {Object} env - EnvironmentAPI object for the stage
+ * @param {Object} discovery - Discovery-mode EnvironmentAPI object for the stage
+ */
+function checkPosition(stage, board, player, env, discovery) {
+    const expectedMoves = sortMoves(OthelloRules.getValidMoves(board, player, stage));
+
+    const engineGame = OthelloEngine.createGame(stage);
+    engineGame.board = board.map(r => [...r]);
+    assert.deepStrictEqual(sortMoves(engineGame.getValidMoves(player)), expectedMoves, 'GameState legal moves');
+    assert.deepStrictEqual(sortMoves(IntelligentSystemInterface.getValidMoves(board, player, stage)), expectedMoves,
+        'IntelligentSystemInterface legal moves');
+    assert.deepStrictEqual(sortMoves(env.getValidMoves(board, player)), expectedMoves, 'EnvironmentAPI legal moves');
+
+    for (let row = 0; row < board.length; row++) {
+        for (let col = 0; col < board.length; col++) {
+            if (board[row][col] !== GAME_CONSTANTS.EMPTY) continue;
+            const label = `${player === GAME_CONSTANTS.BLACK ? 'Black' : 'White'} at (${row}, ${col})`;
+            const legal = expectedMoves.includes(`${row},${col}`);
+
+            const engine = playOnEngine(stage, board, player, { row, col });
+            const system = IntelligentSystemInterface.simulateMove(board, player, row, col, stage);
+            const simulated = env.simulateMove(board, player, row, col);
+            const stepped = discovery.step(board, player, { row, col });
+            assert.strictEqual(engine.played, legal, `GameState.play ${label}`);
+            assert.strictEqual(system.valid, legal, `IntelligentSystemInterface.simulateMove ${label}`);
+            assert.strictEqual(simulated.valid, legal, `EnvironmentAPI.simulateMove ${label}`);
+            assert.strictEqual(stepped.valid, legal, `EnvironmentAPI step ${label}`);
+            if (!legal) continue;
+
+            const flips = OthelloRules.getFlips(board, row, col, player, stage);
+            const expectedBoard = board.map(r => [...r]);
+            OthelloRules.applyMove(expectedBoard, row, col, player, stage);
+            const turn = OthelloRules.determineNextPlayer(expectedBoard, player, stage);
+            const opponent = OthelloRules.getOpponent(turn);
+            const expectedNext = OthelloRules.getValidMoves(expectedBoard, turn, stage).length > 0 ? turn :
+                (OthelloRules.getValidMoves(expectedBoard, opponent, stage).length > 0 ? opponent : null);
+
+            assert.deepStrictEqual(engine.board, expectedBoard, `GameState board after ${label}`);
+            assert.strictEqual(engine.nextPlayer, expectedNext, `GameState next player after ${label}`);
+
+            assert.deepStrictEqual(system.resultingBoard, expectedBoard, `IntelligentSystemInterface board after ${label}`);
+            assert.strictEqual(system.capturedCount, flips.length, `IntelligentSystemInterface flips of ${label}`);
+            assert.deepStrictEqual(simulated.resultingBoard, expectedBoard, `EnvironmentAPI board after ${label}`);
+            assert.strictEqual(simulated.capturedCount, flips.length, `EnvironmentAPI flips of ${label}`);
+
+            assert.deepStrictEqual(stepped.board, expectedBoard, `EnvironmentAPI step board after ${label}`);
+            assert.deepStrictEqual(sortMoves(stepped.flips), sortCells(flips), `EnvironmentAPI step flips of ${label}`);
+            assert.strictEqual(stepped.nextPlayer, expectedNext, `EnvironmentAPI step next player after ${label}`);
+        }
+    }
+
+    // greedy counts flips through the simulate function strategies are given
+    if (expectedMoves.length > 0) {
+        const simulate = OthelloRules.createSimulator(stage, board.map(r => [...r]), true);
+        const flipCounts = {};
+        const recordingSimulate = (b, p, row, col) => {
+            const result = simulate(b, p, row, col);
+            const flips = OthelloRules.getFlips(board, row, col, player, stage);
+            assert.deepStrictEqual(sortCells(result.flipped), sortCells(flips), `simulate flips of (${row}, ${col})`);
+            assert.strictEqual(result.nextPlayer, OthelloRules.determineNextPlayer(result.board, player, stage),
+                `simulate next player after (${row}, ${col})`);
+            flipCounts[`${row},${col}`] = flips.length;
+            return result;
+        };
+        const validMoves = OthelloRules.getValidMoves(board, player, stage);
+        const move = greedy(board.map(r => [...r]), player, validMoves, recordingSimulate);
+        assert.strictEqual(Object.keys(flipCounts).length, validMoves.length, 'greedy simulates every legal move');
+        assert.strictEqual(flipCounts[`${move.row},${move.col}`], Math.max(...Object.values(flipCounts)),
+            'greedy picks a move with the most flips');
+    }
+}
+
+/**
+ * Play seeded random games on a stage, checking every position reached
+ * @param {Object} stage - Stage configuration
+ * @returns {number} Number of positions checked
+ */
+function checkStage(stage) {
+    const random = SeededRandom.create(SeededRandom.hashString(stage.name));
+    const budget = { budget: Number.MAX_SAFE_INTEGER };
+    const env = EnvironmentAPI.create(stage, budget);
+    const discovery = EnvironmentAPI.create(stage, Object.assign({ discovery: true }, budget));
+    let positions = 0;
+
+    for (let i = 0; i < GAMES_PER_STAGE; i++) {
+        const game = OthelloEngine.createGame(stage);
+        game.start();
+        game.resolvePasses();
+
+        while (!game.over) {
+            checkPosition(stage, game.board, game.currentPlayer, env, discovery);
+            positions++;
+
+            const moves = game.getValidMoves();
+            const move = moves[Math.floor(random() * moves.length)];
+            assert.ok(game.play(move.row, move.col), 'random legal move is played');
+        }
+        assert.strictEqual(game.getValidMoves(GAME_CONSTANTS.BLACK).length, 0, 'Black cannot move at the end');
+        assert.strictEqual(game.getValidMoves(GAME_CONSTANTS.WHITE).length, 0, 'White cannot move at the end');
+    }
+    return positions;
+}
+
+let failures = 0;
+stageVariants().forEach((stage) => {
+    try {
+        const positions = checkStage(stage);
+        console.log(`ok - ${stage.name} (${positions} positions)`);
+    } catch (e) {
+        failures++;
+        console.log(`not ok - ${stage.name}: ${e.message}`);
+    }
+});
+
+if (failures > 0) {
+    console.log(`${failures} stage(s) failed`);
+    process.exitCode = 1;
+}
@@ -174,11 +174,16 @@ const OthelloUI = (function () {
 
     /**
      * Update the game log display
+     * Messages are shown as text, one per line, since they carry strategy, stage and pack names.
      */
     function updateGameLog() {
         if (!elements.gameLog) return;
 
-        elements.gameLog.innerHTML = moveLog.join('<br>');
+        elements.gameLog.textContent = '';
+        moveLog.forEach((msg, i) => {
+            if (i > 0) elements.gameLog.appendChild(document.createElement('br'));
+            elements.gameLog.appendChild(document.createTextNode(msg));
+        });
         elements.gameLog.scrollTop = elements.gameLog.scrollHeight;
     }
 
@@ -239,7 +244,7 @@ const OthelloUI = (function () {
 
     /**
      * Update the game status display
-     * @param {number} winner - Optional winner to display (BLACK, WHITE, or null for in-progress)
+     * @param {number} winner - Optional winner to display (BLACK, WHITE, 0 for a draw, or null to decide by score)
      */
     function updateStatus(winner = null) {
         if (!elements.status) return;
@@ -288,7 +293,7 @@ const OthelloUI = (function () {
             let msg = `Game over. `;
 
             // If loss was due to timeout
-            if (winner !== null) {
+            if (winner === GAME_CONSTANTS.BLACK || winner === GAME_CONSTANTS.WHITE) {
                 const winnerName = winner === GAME_CONSTANTS.BLACK ? "Black" : "White";
                 msg += `${winnerName} wins! (${scores.black}-${scores.white})`;
 
@@ -414,7 +419,6 @@ const OthelloUI = (function () {
             // If human has no valid moves, handle passing automatically
             if (validMoves.length === 0) {
                 console.log(`Human player ${currentPlayer} has no valid moves. Passing automatically.`);
-                logPass(currentPlayer);
 
                 // Determine next player
                 const opponent = currentPlayer === GAME_CONSTANTS.BLACK ? GAME_CONSTANTS.WHITE : GAME_CONSTANTS.BLACK;
@@ -428,7 +432,7 @@ const OthelloUI = (function () {
                 }
 
                 // Pass to opponent
-                OthelloCore.setCurrentPlayer(opponent);
+                OthelloCore.passTurn();
                 updateStatus();
 
                 // Trigger opponent's turn (AI)
@@ -470,11 +474,9 @@ const OthelloUI = (function () {
                 const nextMoves = OthelloCore.getValidMoves(nextPlayer);
                 if (nextMoves.length === 0) {
                     console.log(`Continuing player ${nextPlayer} has no valid moves. Passing.`);
-                    logPass(nextPlayer);
 
                     // Force switch to other player
-                    const otherPlayer = nextPlayer === GAME_CONSTANTS.BLACK ? GAME_CONSTANTS.WHITE : GAME_CONSTANTS.BLACK;
-                    OthelloCore.setCurrentPlayer(otherPlayer);
+                    OthelloCore.passTurn();
                     updateStatus();
                 }
             }
@@ -532,7 +534,7 @@ const OthelloUI = (function () {
             }
 
             updateBoardDisplay(board);
-            OthelloCore.endGame(opponent);
+            OthelloCore.endGame(opponent, 'time-forfeit');
             return true;
         }
         return false;
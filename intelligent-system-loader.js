@@ -8,8 +8,9 @@ if (!window.compiledIntelligentSystems) {
 
 // 인터페이스 구현
 window.IntelligentSystemInterface = {
-    // 스테이지 분석 함수
-    analyzeStageWithSystem: async function (systemName, stageConfig, systemCode) {
+    // 스테이지 분석 함수 - 분석 시간 제한(MAX_ANALYSIS_TIME) 적용
+    // options.discovery: 특수 규칙을 숨기고 step/playOut 환경만 제공 (environment-api.js 참고)
+    analyzeStageWithSystem: async function (systemName, stageConfig, systemCode, options = {}) {
         console.log("analyzeStageWithSystem called with:", systemName, stageConfig);
 
         // UI 요소 참조
@@ -31,8 +32,9 @@ window.IntelligentSystemInterface = {
             progressBar.style.width = '30%';
         }
 
-        // 원본 콘솔 저장
-        const originalConsole = window.console;
+        const timeLimit = GAME_CONSTANTS.MAX_ANALYSIS_TIME;
+        const startTime = Date.now();
+        let progressInterval = null;
 
         try {
             // 코드 유효성 검사
@@ -44,130 +46,131 @@ window.IntelligentSystemInterface = {
                 throw new Error("The intelligent system must implement an 'analyzeStage' function");
             }
 
-            // 코드 컴파일 시도
-            console.log("Compiling system code...");
-            if (progressBar) progressBar.style.width = '40%';
-
-            // analyzeStage 함수 추출
-            const analyzeStageFunc = this.compileSystem(systemCode);
-
-            if (typeof analyzeStageFunc !== 'function') {
-                throw new Error("Failed to extract analyzeStage function");
+            // 전략 이름 생성
+            const generatedStrategyName = this.getGeneratedStrategyName(systemName, stageConfig);
+
+            // 경과 시간 기반 진행 표시
+            progressInterval = setInterval(() => {
+                const elapsed = Date.now() - startTime;
+                const remainingSeconds = Math.max(0, Math.ceil((timeLimit - elapsed) / 1000));
+                if (progressBar) {
+                    progressBar.style.width = `${30 + Math.min(65, Math.floor((elapsed / timeLimit) * 65))}%`;
+                }
+                if (statusElement) {
+                    statusElement.textContent = `Analyzing ${stageConfig.name} with ${systemName}... (${remainingSeconds}s remaining)`;
+                }
+            }, 250);
+
+            // 분석 실행 - 가능하면 워커에서 실행하여 제한 시간에 강제 종료
+            let strategyFunction = null;
+            let timedOut = false;
+            let analyzedInWorker = false;
+            let runOnMainThread = true;
+            let usage = null;
+
+            if (typeof StrategyRunner !== 'undefined' && StrategyRunner.isSupported()) {
+                const result = await StrategyRunner.analyze(`custom_${generatedStrategyName}`, systemCode, stageConfig, timeLimit, options);
+
+                // 워커 스크립트를 불러오지 못한 경우에만 메인 스레드에서 다시 실행
+                if (!result.error || StrategyRunner.isSupported()) {
+                    runOnMainThread = false;
+                    if (result.error) {
+                        throw new Error(result.error);
+                    }
+                    if (result.noStrategy) {
+                        console.error("The analyzeStage function did not return a function");
+                    }
+                    timedOut = result.timedOut;
+                    usage = result.usage;
+                    analyzedInWorker = !result.timedOut && !result.noStrategy;
+                }
             }
 
-            // 로깅을 위한 콘솔 래퍼
-            const logs = [];
-            const wrappedConsole = {
-                log: function (...args) {
-                    logs.push({ type: 'log', args });
-                    originalConsole.log('[Strategy]', ...args);
-                },
-                warn: function (...args) {
-                    logs.push({ type: 'warn', args });
-                    originalConsole.warn('[Strategy]', ...args);
-                },
-                error: function (...args) {
-                    logs.push({ type: 'error', args });
-                    originalConsole.error('[Strategy]', ...args);
+            if (runOnMainThread) {
+                // 워커가 없는 환경: 메인 스레드에서 실행 (강제 종료 불가, 시간 초과 시 결과 폐기)
+                // async analyzeStage는 제한 시간까지만 기다림
+                let limitTimer = null;
+                const analysis = await Promise.race([
+                    this.runAnalysisOnMainThread(systemCode, stageConfig, options),
+                    new Promise((resolve) => { limitTimer = setTimeout(() => resolve(null), timeLimit); })
+                ]).finally(() => clearTimeout(limitTimer));
+                if (analysis) {
+                    strategyFunction = analysis.strategyFunction;
+                    usage = analysis.usage;
                 }
-            };
-
-            // 초기 보드와 유효 이동 생성
-            const initialBoard = this.createInitialBoard(stageConfig);
-            const initialValidMoves = this.getValidMoves(initialBoard, 1); // 1 = BLACK
+                timedOut = !analysis || Date.now() - startTime > timeLimit;
+            }
 
-            // 환경 API 생성
-            const environmentAPI = {
-                getValidMoves: (board, player) => this.getValidMoves(board, player),
-                simulateMove: (board, player, row, col) => this.simulateMove(board, player, row, col),
-                evaluateBoard: (board, player) => this.evaluateBoard(board, player)
-            };
+            clearInterval(progressInterval);
+            const elapsedSeconds = ((Date.now() - startTime) / 1000).toFixed(1);
 
             // 진행 업데이트
-            if (progressBar) progressBar.style.width = '50%';
-
-            // 원본 콘솔을 래퍼로 대체
-            window.console = wrappedConsole;
-
-            // analyzeStage 함수 실행하여 전략 생성 함수 얻기
-            let strategyFunction;
-            try {
-                // 분석 실행
-                const result = analyzeStageFunc(
-                    stageConfig,
-                    initialBoard,
-                    initialValidMoves,
-                    environmentAPI
-                );
-
-                // 반환 값 확인
-                if (typeof result !== 'function') {
-                    console.error("The analyzeStage function did not return a function");
-                    strategyFunction = null;
-                } else {
-                    strategyFunction = result;
-                }
-            } finally {
-                // 콘솔 복원
-                window.console = originalConsole;
-
-                // 로그 출력
-                console.log("---- Strategy Analysis Logs ----");
-                logs.forEach(log => {
-                    const method = log.type || 'log';
-                    console[method](...log.args);
-                });
-                console.log("-------------------------------");
+            if (progressBar) progressBar.style.width = '95%';
+
+            // 시간 초과 또는 전략 함수가 없으면 기본 랜덤 전략 사용
+            // 환경 API 사용량 (시간 초과로 워커가 종료되면 알 수 없음)
+            const usageNote = usage ? `, ${usage.used}/${usage.limit} environment steps` : '';
+            let analysisNote = `complete in ${elapsedSeconds}s${usageNote}${options.discovery ? ' (discovery mode)' : ''}`;
+            if (timedOut) {
+                console.warn(`Analysis timed out after ${timeLimit / 1000}s. Using fallback random strategy`);
+                analysisNote = `timed out after ${timeLimit / 1000}s - using fallback random strategy`;
+                strategyFunction = null;
             }
-
-            // 진행 업데이트
-            if (progressBar) progressBar.style.width = '70%';
-
-            // 전략 함수가 없으면 기본 랜덤 전략 사용
-            if (!strategyFunction) {
-                console.warn("Using fallback random strategy");
+            if (!analyzedInWorker && !strategyFunction) {
+                if (!timedOut) {
+                    console.warn("Using fallback random strategy");
+                    analysisNote = `no strategy returned${usageNote} - using fallback random strategy`;
+                }
                 strategyFunction = function (board, player, validMoves) {
                     if (!validMoves || validMoves.length === 0) return null;
                     return validMoves[Math.floor(Math.random() * validMoves.length)];
                 };
             }
 
-            // 전략 이름 생성
-            const generatedStrategyName = `intelligent_${systemName}_${stageConfig.name.replace(/\s+/g, '_')}`;
-
             // 중요: 클로저 보존을 위해 전략 함수를 전역 객체에 저장
-            window.compiledIntelligentSystems[generatedStrategyName] = strategyFunction;
+            // (워커에서 분석된 전략은 워커 안에서 실행됨)
+            if (strategyFunction) {
+                window.compiledIntelligentSystems[generatedStrategyName] = strategyFunction;
+            } else {
+                delete window.compiledIntelligentSystems[generatedStrategyName];
+            }
 
             // 전략 코드 생성 - 저장된 함수를 참조하는 래퍼
             const strategyCode = `
-function studentStrategy(board, player, validMoves, makeMove) {
+function studentStrategy(board, player, validMoves, simulate) {
     // Generated for ${stageConfig.name} by ${systemName}
+    // Analysis: ${analysisNote}
     
-    // 컴파일된 전략 함수 참조
+    // 컴파일된 전략 함수 참조 - 페이지를 새로 불러온 뒤에는 재분석이 필요함
     if (typeof window.compiledIntelligentSystems === 'undefined' || 
-        !window.compiledIntelligentSystems["${generatedStrategyName}"]) {
-        console.error("Strategy function not found");
-        return validMoves && validMoves.length > 0 ? validMoves[0] : null;
+        !window.compiledIntelligentSystems[${JSON.stringify(generatedStrategyName)}]) {
+        throw new Error(${JSON.stringify(`${generatedStrategyName} needs re-analysis (its intelligent system has not been analyzed since the page was loaded)`)});
     }
     
     try {
         // 저장된 전략 함수 호출 - 클로저 보존
-        return window.compiledIntelligentSystems["${generatedStrategyName}"](board, player, validMoves, makeMove);
+        return window.compiledIntelligentSystems[${JSON.stringify(generatedStrategyName)}](board, player, validMoves, simulate);
     } catch (error) {
         console.error("Error in strategy execution:", error);
         return validMoves && validMoves.length > 0 ? validMoves[0] : null;
     }
 }`;
 
-            // 전략 저장
+            // 전략 저장 - 새로고침 후 재분석할 수 있도록 시스템 코드와 스테이지도 저장
             if (typeof OthelloStrategies !== 'undefined' && OthelloStrategies.saveStrategy) {
                 OthelloStrategies.saveStrategy(generatedStrategyName, strategyCode);
+                this.recordSystem(generatedStrategyName, systemName, stageConfig, systemCode, analysisNote, options, usage);
 
                 // 완료 UI 업데이트
                 if (progressBar) progressBar.style.width = '100%';
                 if (statusElement) {
-                    statusElement.textContent = `Analysis complete! Generated strategy: ${generatedStrategyName}`;
-                    statusElement.className = 'intelligent-system-status upload-success';
+                    statusElement.textContent = timedOut ?
+                        `Analysis timed out after ${timeLimit / 1000}s - using fallback strategy: ${generatedStrategyName}` :
+                        `Analysis complete! Generated strategy: ${generatedStrategyName}` +
+                        (usage ? ` (used ${usage.used} of ${usage.limit} environment steps)` : '');
+                    statusElement.className = timedOut ?
+                        'intelligent-system-status upload-error' :
+                        'intelligent-system-status upload-success';
                 }
 
                 // UI 업데이트
@@ -175,7 +178,13 @@ function studentStrategy(board, player, validMoves, makeMove) {
                 if (typeof updateAISelectors === 'function') updateAISelectors();
             }
 
-            return true;
+            return {
+                strategyName: generatedStrategyName,
+                timedOut,
+                elapsed: Date.now() - startTime,
+                note: analysisNote,
+                usage
+            };
         } catch (error) {
             console.error("Error analyzing system:", error);
 
@@ -188,10 +197,7 @@ function studentStrategy(board, player, validMoves, makeMove) {
 
             return false;
         } finally {
-            // 콘솔이 복원되었는지 확인
-            if (window.console !== originalConsole) {
-                window.console = originalConsole;
-            }
+            clearInterval(progressInterval);
 
             // 업로드 버튼 재활성화
             const uploadButton = document.getElementById('upload-intelligent-system');
@@ -201,213 +207,245 @@ function studentStrategy(board, player, validMoves, makeMove) {
         }
     },
 
-    // 시스템 코드 컴파일
-    compileSystem: function (systemCode) {
-        try {
-            // 함수 컴파일
-            const compiledFunc = new Function(`
-                ${systemCode}
-                return typeof analyzeStage === 'function' ? analyzeStage : null;
-            `);
+    // 메인 스레드 분석 함수 (워커를 사용할 수 없을 때) - {strategyFunction (없으면 null), usage}로 resolve
+    // analyzeStage가 async여도 결과를 기다림 (워커와 같음)
+    runAnalysisOnMainThread: async function (systemCode, stageConfig, options = {}) {
+        // 원본 콘솔 저장
+        const originalConsole = window.console;
 
-            // 실행하여 analyzeStage 함수 얻기
-            return compiledFunc();
-        } catch (error) {
-            console.error("Error compiling system:", error);
-            return null;
+        // analyzeStage 함수 추출
+        const analyzeStageFunc = this.compileSystem(systemCode);
+
+        if (typeof analyzeStageFunc !== 'function') {
+            throw new Error("Failed to extract analyzeStage function");
         }
-    },
 
-    // 초기 보드 생성 함수
-    createInitialBoard: function (stageConfig) {
-        if (!stageConfig) return null;
+        // 로깅을 위한 콘솔 래퍼
+        const logs = [];
+        const wrappedConsole = {
+            log: function (...args) {
+                logs.push({ type: 'log', args });
+                originalConsole.log('[Strategy]', ...args);
+            },
+            warn: function (...args) {
+                logs.push({ type: 'warn', args });
+                originalConsole.warn('[Strategy]', ...args);
+            },
+            error: function (...args) {
+                logs.push({ type: 'error', args });
+                originalConsole.error('[Strategy]', ...args);
+            }
+        };
 
-        const boardSize = stageConfig.boardSize || 8;
-        const board = Array(boardSize).fill().map(() => Array(boardSize).fill(0)); // 0 = EMPTY
+        // 초기 보드와 유효 이동 생성
+        const initialBoard = this.createInitialBoard(stageConfig);
+        const initialValidMoves = this.getValidMoves(initialBoard, 1, stageConfig); // 1 = BLACK
 
-        // 초기 차단된 셀 설정
-        if (stageConfig.initialBlocked) {
-            stageConfig.initialBlocked.forEach(p => {
-                if (p.r >= 0 && p.r < boardSize && p.c >= 0 && p.c < boardSize) {
-                    board[p.r][p.c] = 3; // 3 = BLOCKED
-                }
-            });
-        }
+        // 환경 API 생성 - 실제 엔진과 같은 스테이지 규칙 사용 (discovery 모드에서는 step/playOut만 제공)
+        const environmentAPI = EnvironmentAPI.create(stageConfig, options);
 
-        // 초기 플레이어1 (검은색) 말 설정
-        if (stageConfig.initialPlayer1) {
-            stageConfig.initialPlayer1.forEach(p => {
-                if (p.r >= 0 && p.r < boardSize && p.c >= 0 && p.c < boardSize) {
-                    board[p.r][p.c] = 1; // 1 = BLACK
-                }
-            });
-        }
+        // 원본 콘솔을 래퍼로 대체
+        window.console = wrappedConsole;
 
-        // 초기 플레이어2 (흰색) 말 설정
-        if (stageConfig.initialPlayer2) {
-            stageConfig.initialPlayer2.forEach(p => {
-                if (p.r >= 0 && p.r < boardSize && p.c >= 0 && p.c < boardSize) {
-                    board[p.r][p.c] = 2; // 2 = WHITE
-                }
+        // analyzeStage 함수 실행하여 전략 생성 함수 얻기
+        try {
+            const result = await analyzeStageFunc(
+                EnvironmentAPI.visibleStage(stageConfig, options),
+                initialBoard,
+                initialValidMoves,
+                environmentAPI
+            );
+
+            // 반환 값 확인
+            const usage = environmentAPI.getBudget();
+            if (typeof result !== 'function') {
+                console.error("The analyzeStage function did not return a function");
+                return { strategyFunction: null, usage };
+            }
+            return { strategyFunction: result, usage };
+        } finally {
+            // 콘솔 복원
+            window.console = originalConsole;
+
+            // 로그 출력
+            console.log("---- Strategy Analysis Logs ----");
+            logs.forEach(log => {
+                const method = log.type || 'log';
+                console[method](...log.args);
             });
+            console.log("-------------------------------");
         }
-
-        return board;
     },
 
-    // 유효한 이동 계산 함수
-    getValidMoves: function (board, player) {
-        if (!board) return [];
+    // 저장된 인텔리전트 시스템 기록: 생성된 전략 이름 → {systemName, stageConfig, code, note, options, usage, analyzedAt}
+    systemRecords: {},
 
-        const boardSize = board.length;
-        const validMoves = [];
+    // 재분석 중인 전략 이름
+    reanalyzing: {},
 
-        for (let r = 0; r < boardSize; r++) {
-            for (let c = 0; c < boardSize; c++) {
-                if (this.isValidMove(board, r, c, player)) {
-                    validMoves.push({ row: r, col: c });
-                }
-            }
+    // 시스템 기록 불러오기
+    loadSystemRecords: function () {
+        try {
+            this.systemRecords = JSON.parse(localStorage.getItem('othelloIntelligentSystems')) || {};
+        } catch (e) {
+            console.error("Error loading intelligent systems:", e);
+            this.systemRecords = {};
         }
+    },
 
-        return validMoves;
+    // 시스템 기록 저장
+    saveSystemRecords: function () {
+        try {
+            localStorage.setItem('othelloIntelligentSystems', JSON.stringify(this.systemRecords));
+        } catch (e) {
+            console.error("Failed to save intelligent systems to localStorage:", e);
+        }
     },
 
-    // 이동 유효성 확인 함수
-    isValidMove: function (board, row, col, player) {
-        if (!board) return false;
+    // 생성된 전략의 원본 시스템 코드와 스테이지 기록
+    recordSystem: function (strategyName, systemName, stageConfig, code, note, options = {}, usage = null) {
+        this.systemRecords[strategyName] = {
+            systemName,
+            stageConfig,
+            code,
+            note,
+            options,
+            usage,
+            analyzedAt: new Date().toISOString()
+        };
+        this.saveSystemRecords();
+    },
 
-        const boardSize = board.length;
+    // 전략 삭제 시 시스템 기록 삭제
+    removeSystemRecord: function (strategyName) {
+        if (!this.systemRecords[strategyName]) return;
+        delete this.systemRecords[strategyName];
+        this.saveSystemRecords();
+    },
 
-        // 범위 확인
-        if (row < 0 || row >= boardSize || col < 0 || col >= boardSize) {
-            return false;
-        }
+    // 생성된 전략의 시스템 기록 조회
+    getSystemRecord: function (strategyName) {
+        return this.systemRecords[strategyName] || null;
+    },
 
-        // 빈 칸인지 확인
-        if (board[row][col] !== 0) { // 0 = EMPTY
-            return false;
-        }
+    // 시스템과 스테이지로 생성된 전략 이름 계산
+    getGeneratedStrategyName: function (systemName, stageConfig) {
+        return `intelligent_${systemName}_${stageConfig.name.replace(/\s+/g, '_')}`;
+    },
 
-        const opponent = player === 1 ? 2 : 1; // 1 = BLACK, 2 = WHITE
-        const directions = [[-1, -1], [-1, 0], [-1, 1], [0, -1], [0, 1], [1, -1], [1, 0], [1, 1]];
+    // 저장된 시스템 목록: 시스템 이름 → 가장 최근에 분석된 코드
+    getSystems: function () {
+        const latest = {};
+        Object.values(this.systemRecords).forEach(record => {
+            const current = latest[record.systemName];
+            if (!current || current.analyzedAt < record.analyzedAt) {
+                latest[record.systemName] = record;
+            }
+        });
 
-        // 각 방향 확인
-        for (const [dr, dc] of directions) {
-            let r = row + dr;
-            let c = col + dc;
-            let foundOpponent = false;
+        const systems = {};
+        Object.keys(latest).forEach(name => { systems[name] = latest[name].code; });
+        return systems;
+    },
 
-            // 해당 방향에 적의 말이 있는지 확인
-            while (r >= 0 && r < boardSize && c >= 0 && c < boardSize && board[r][c] === opponent) {
-                foundOpponent = true;
-                r += dr;
-                c += dc;
+    // 시스템이 가장 최근에 분석된 옵션 (discovery 모드 등)
+    getSystemOptions: function (systemName) {
+        let latest = null;
+        Object.values(this.systemRecords).forEach(record => {
+            if (record.systemName === systemName && (!latest || latest.analyzedAt < record.analyzedAt)) {
+                latest = record;
             }
+        });
+        return latest && latest.options ? latest.options : {};
+    },
 
-            // 적의 말 뒤에 자신의 말이 있는지 확인
-            if (foundOpponent && r >= 0 && r < boardSize && c >= 0 && c < boardSize && board[r][c] === player) {
-                return true;
-            }
-        }
+    // 전략 함수가 현재 페이지에 로드되어 있는지 확인 (메인 스레드 또는 워커)
+    isSystemLoaded: function (strategyName) {
+        return !!window.compiledIntelligentSystems[strategyName] ||
+            (typeof StrategyRunner !== 'undefined' && StrategyRunner.hasSystem(`custom_${strategyName}`));
+    },
 
-        return false;
+    // 인텔리전트 시스템 전략이 재분석을 기다리는지 확인
+    needsReanalysis: function (strategyName) {
+        const code = typeof OthelloStrategies !== 'undefined' ? OthelloStrategies.getStrategyCode(strategyName) : null;
+        return !!code && code.includes('compiledIntelligentSystems') && !this.isSystemLoaded(strategyName);
     },
 
-    // 이동 시뮬레이션 함수
-    simulateMove: function (board, player, row, col) {
-        if (!board || !this.isValidMove(board, row, col, player)) {
-            return { valid: false };
+    // 저장된 시스템 코드와 스테이지로 전략 재분석
+    reanalyzeSystem: async function (strategyName) {
+        const record = this.systemRecords[strategyName];
+        if (!record) {
+            console.warn(`No intelligent system source stored for ${strategyName}; upload the system again.`);
+            return false;
         }
+        if (this.reanalyzing[strategyName]) return false;
 
-        const boardSize = board.length;
-        const resultBoard = board.map(row => [...row]);
-        const opponent = player === 1 ? 2 : 1; // 1 = BLACK, 2 = WHITE
-        const directions = [[-1, -1], [-1, 0], [-1, 1], [0, -1], [0, 1], [1, -1], [1, 0], [1, 1]];
-
-        resultBoard[row][col] = player;
-        let capturedCount = 0;
-
-        // 각 방향으로 뒤집기
-        for (const [dr, dc] of directions) {
-            let r = row + dr;
-            let c = col + dc;
-            const toFlip = [];
-
-            // 해당 방향에 적의 말 수집
-            while (r >= 0 && r < boardSize && c >= 0 && c < boardSize && resultBoard[r][c] === opponent) {
-                toFlip.push([r, c]);
-                r += dr;
-                c += dc;
-            }
+        this.reanalyzing[strategyName] = true;
+        if (typeof updateStrategyList === 'function') updateStrategyList();
 
-            // 적의 말 뒤에 자신의 말이 있으면 뒤집기
-            if (toFlip.length > 0 && r >= 0 && r < boardSize && c >= 0 && c < boardSize && resultBoard[r][c] === player) {
-                for (const [fr, fc] of toFlip) {
-                    resultBoard[fr][fc] = player;
-                }
-                capturedCount += toFlip.length;
-            }
+        try {
+            return await this.analyzeStageWithSystem(record.systemName, record.stageConfig, record.code, record.options || {});
+        } finally {
+            delete this.reanalyzing[strategyName];
+            if (typeof updateStrategyList === 'function') updateStrategyList();
         }
+    },
 
-        return {
-            valid: true,
-            resultingBoard: resultBoard,
-            capturedCount: capturedCount
-        };
+    // 처음 사용할 때 재분석: 선택된 전략 중 페이지 로드 후 분석되지 않은 인텔리전트 시스템 전략을 차례로 재분석
+    // (페이지 로드 시에는 재분석하지 않고 목록에 "(needs re-analysis)"로 표시)
+    ensureAnalyzed: async function (controllerIds) {
+        const names = [...new Set(controllerIds)]
+            .filter(id => typeof id === 'string' && id.startsWith('custom_'))
+            .map(id => id.slice('custom_'.length))
+            .filter(name => this.systemRecords[name] && this.needsReanalysis(name));
+
+        for (const name of names) {
+            console.log(`Re-analyzing ${name} before its first game since the page was loaded...`);
+            await this.reanalyzeSystem(name);
+        }
     },
 
-    // 보드 평가 함수
-    evaluateBoard: function (board, player) {
-        if (!board) return { totalScore: 0 };
+    // 시스템 코드 컴파일
+    compileSystem: function (systemCode) {
+        try {
+            // 함수 컴파일
+            const compiledFunc = new Function(`
+                ${systemCode}
+                return typeof analyzeStage === 'function' ? analyzeStage : null;
+            `);
 
-        const boardSize = board.length;
-        const opponent = player === 1 ? 2 : 1; // 1 = BLACK, 2 = WHITE
+            // 실행하여 analyzeStage 함수 얻기
+            return compiledFunc();
+        } catch (error) {
+            console.error("Error compiling system:", error);
+            return null;
+        }
+    },
 
-        let playerCount = 0;
-        let opponentCount = 0;
-        let cornerScore = 0;
-        let edgeScore = 0;
+    // 초기 보드 생성 함수 (OthelloRules 사용)
+    createInitialBoard: function (stageConfig) {
+        if (!stageConfig) return null;
+        return OthelloRules.createInitialBoard(stageConfig);
+    },
 
-        // 기본 점수 계산
-        for (let r = 0; r < boardSize; r++) {
-            for (let c = 0; c < boardSize; c++) {
-                if (board[r][c] === player) {
-                    playerCount++;
+    // 유효한 이동 계산 함수 (OthelloRules 사용)
+    getValidMoves: function (board, player, stageConfig) {
+        return OthelloRules.getValidMoves(board, player, stageConfig);
+    },
 
-                    // 모서리 점수
-                    if ((r === 0 || r === boardSize - 1) && (c === 0 || c === boardSize - 1)) {
-                        cornerScore += 100;
-                    }
-                    // 가장자리 점수
-                    else if (r === 0 || r === boardSize - 1 || c === 0 || c === boardSize - 1) {
-                        edgeScore += 20;
-                    }
-                }
-                else if (board[r][c] === opponent) {
-                    opponentCount++;
-                }
-            }
-        }
+    // 이동 유효성 확인 함수 (OthelloRules 사용)
+    isValidMove: function (board, row, col, player, stageConfig) {
+        return OthelloRules.isValidMove(board, row, col, player, stageConfig);
+    },
 
-        // 이동성 점수
-        const playerMoves = this.getValidMoves(board, player).length;
-        const opponentMoves = this.getValidMoves(board, opponent).length;
-        const mobilityScore = playerMoves - opponentMoves;
-
-        // 종합 점수
-        const totalScore = (playerCount - opponentCount) +
-            (mobilityScore * 2) +
-            cornerScore +
-            (edgeScore * 0.5);
-
-        return {
-            pieceScore: playerCount - opponentCount,
-            mobilityScore: mobilityScore,
-            cornerScore: cornerScore,
-            edgeScore: edgeScore,
-            totalScore: totalScore
-        };
+    // 이동 시뮬레이션 함수 (EnvironmentAPI 사용)
+    simulateMove: function (board, player, row, col, stageConfig) {
+        return EnvironmentAPI.simulateMove(board, player, row, col, stageConfig);
+    },
+
+    // 보드 평가 함수 (EnvironmentAPI 사용)
+    evaluateBoard: function (board, player, stageConfig) {
+        return EnvironmentAPI.evaluateBoard(board, player, stageConfig);
     }
 };
 
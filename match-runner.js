@@ -0,0 +1,235 @@
+/**
+ * match-runner.js
+ *
+ * Match mode for Othello Arena
+ * Plays a series of colour-alternating games between the strategies selected
+ * as Black (A) and White (B) on the selected stage, streams the results and
+ * reports the win rate, Elo difference and an SPRT verdict (match-stats.js).
+ * The match ends early once the SPRT accepts either hypothesis.
+ */
+
+const MatchRunner = (function () {
+    let isMatchRunning = false;
+
+    // UI element references
+    let matchStatusElement = null;
+    let matchResultsElement = null;
+    let runMatchButton = null;
+    let stopMatchButton = null;
+
+    function initElements() {
+        matchStatusElement = document.getElementById('match-status');
+        matchResultsElement = document.getElementById('match-results');
+        runMatchButton = document.getElementById('run-match-btn');
+        stopMatchButton = document.getElementById('stop-match-btn');
+    }
+
+    function logMessage(msg) {
+        if (typeof OthelloUI !== 'undefined' && OthelloUI.logMessage) {
+            OthelloUI.logMessage(msg);
+        } else {
+            console.log(msg);
+        }
+    }
+
+    function setStatus(text) {
+        if (matchStatusElement) {
+            matchStatusElement.textContent = text;
+        }
+    }
+
+    /**
+     * Read a number input
+     * @param {string} id - Element id
+     * @param {number} fallback - Value used if the input is missing or not a number
+     * @returns {number} Value
+     */
+    function readNumber(id, fallback) {
+        const input = document.getElementById(id);
+        const value = input ? parseFloat(input.value) : NaN;
+        return isNaN(value) ? fallback : value;
+    }
+
+    /**
+     * Format an Elo difference with its sign
+     * @param {number} elo - Elo difference
+     * @returns {string} Formatted value, e.g. "+35.2" or "-∞"
+     */
+    function formatElo(elo) {
+        if (!isFinite(elo)) return elo > 0 ? '+∞' : '-∞';
+        return `${elo >= 0 ? '+' : ''}${elo.toFixed(1)}`;
+    }
+
+    /**
+     * Show the statistics of the match so far
+     * @param {Object} match - {nameA, nameB, total, counts, sprtOptions}
+     * @returns {Object} SPRT result
+     */
+    function renderResults(match) {
+        const summary = MatchStats.summarize(match.counts);
+        const test = MatchStats.sprt(match.counts, match.sprtOptions);
+        const percent = value => `${(value * 100).toFixed(1)}%`;
+        const verdict = test.decision === 'H1' ? `H1 accepted (Elo difference ≥ ${match.sprtOptions.elo1})` :
+            test.decision === 'H0' ? `H0 accepted (Elo difference ≤ ${match.sprtOptions.elo0})` :
+                'undecided';
+
+        if (matchResultsElement) {
+            matchResultsElement.innerHTML = '';
+            const lines = [
+                `${match.nameA} vs ${match.nameB}: ${summary.games}/${match.total} games, ` +
+                `W-D-L ${summary.wins}-${summary.draws}-${summary.losses}`,
+                `Score: ${percent(summary.score)} (95% CI ${percent(summary.low)} – ${percent(summary.high)})`,
+                `Elo difference: ${formatElo(summary.elo)} (95% CI ${formatElo(summary.eloLow)} – ${formatElo(summary.eloHigh)})`,
+                `SPRT [${match.sprtOptions.elo0}, ${match.sprtOptions.elo1}]: LLR ${test.llr.toFixed(2)} ` +
+                `(${test.lower.toFixed(2)}, ${test.upper.toFixed(2)}) – ${verdict}`
+            ];
+            lines.forEach((line) => {
+                const div = document.createElement('div');
+                div.textContent = line;
+                matchResultsElement.appendChild(div);
+            });
+        }
+
+        return test;
+    }
+
+    /**
+     * Update the run and stop buttons
+     */
+    function updateButtons() {
+        if (runMatchButton) runMatchButton.disabled = isMatchRunning;
+        if (stopMatchButton) stopMatchButton.disabled = !isMatchRunning;
+    }
+
+    /**
+     * Play a match between the selected Black (A) and White (B) strategies on the selected stage.
+     * A plays Black in odd-numbered games and White in even-numbered ones; with varied openings,
+     * each opening is played once with each colour.
+     * @returns {Promise<Object|null>} Final {summary, sprt}, or null if the match could not start
+     */
+    async function runMatch() {
+        if (isMatchRunning) return null;
+        initElements();
+
+        if (typeof Tournament !== 'undefined' && Tournament.isRunning()) {
+            setStatus('A tournament is running; stop it before starting a match.');
+            return null;
+        }
+
+        const blackAISelect = document.getElementById('black-ai');
+        const whiteAISelect = document.getElementById('white-ai');
+        const stageSelect = document.getElementById('stageSelect');
+        if (!blackAISelect || !whiteAISelect || blackAISelect.selectedIndex < 0 || whiteAISelect.selectedIndex < 0) {
+            setStatus('Select two strategies as Black and White first.');
+            return null;
+        }
+
+        const idA = blackAISelect.value;
+        const idB = whiteAISelect.value;
+        const nameA = blackAISelect.options[blackAISelect.selectedIndex].text;
+        const nameB = whiteAISelect.options[whiteAISelect.selectedIndex].text;
+        const stageIndex = parseInt(stageSelect && stageSelect.value || 0);
+        const stageConfig = stages[stageIndex] || stages[0];
+
+        const match = {
+            nameA,
+            nameB,
+            total: Math.max(1, Math.round(readNumber('match-games', 100))),
+            counts: { wins: 0, draws: 0, losses: 0 },
+            sprtOptions: Object.assign({}, MatchStats.DEFAULT_SPRT, {
+                elo0: readNumber('match-elo0', MatchStats.DEFAULT_SPRT.elo0),
+                elo1: readNumber('match-elo1', MatchStats.DEFAULT_SPRT.elo1)
+            })
+        };
+        if (!(match.sprtOptions.elo1 > match.sprtOptions.elo0)) {
+            setStatus(`SPRT elo1 (${match.sprtOptions.elo1}) must be greater than elo0 (${match.sprtOptions.elo0}).`);
+            return null;
+        }
+
+        const openings = RunSetup.createOpenings(stageConfig, match.total, 'match-openings');
+
+        isMatchRunning = true;
+        updateButtons();
+
+        setStatus('Re-analyzing intelligent systems...');
+        await RunSetup.ensureStrategies([idA, idB]);
+        const pack = stageConfig.pack ? ` from pack "${stageConfig.pack.name}" ${stageConfig.pack.hash}` : '';
+        logMessage(`=== Match: ${nameA} vs ${nameB} on ${stageConfig.name}${pack} (${match.total} games) ===`);
+        renderResults(match);
+
+        let test = null;
+        let interrupted = false;
+        for (let i = 0; i < match.total && isMatchRunning; i++) {
+            const { aIsBlack, opening, stage: gameStage } = RunSetup.setupGame(stageConfig, openings, i);
+
+            blackAISelect.value = aIsBlack ? idA : idB;
+            whiteAISelect.value = aIsBlack ? idB : idA;
+            setStatus(`Running... game ${i + 1}/${match.total}`);
+
+            await new Promise((r) => setTimeout(r, 10));
+            const result = typeof GameController !== 'undefined' ?
+                await GameController.startGame(true, gameStage) : null;
+
+            if (!result || result.reason === 'aborted') {
+                interrupted = true;
+                break;
+            }
+
+            const winnerIsA = result.winner === (aIsBlack ? GAME_CONSTANTS.BLACK : GAME_CONSTANTS.WHITE);
+            if (result.winner === 0) match.counts.draws++;
+            else if (winnerIsA) match.counts.wins++;
+            else match.counts.losses++;
+
+            logMessage(`Match game ${i + 1}: ${aIsBlack ? nameA : nameB}(B) ${result.scores.black}-${result.scores.white} ` +
+                `${aIsBlack ? nameB : nameA}(W)${opening ? ` from ${opening.id}` : ''}`);
+
+            test = renderResults(match);
+            if (test.decision) break;
+        }
+
+        // Put the selectors back the way the user chose them
+        blackAISelect.value = idA;
+        whiteAISelect.value = idB;
+
+        const played = match.counts.wins + match.counts.draws + match.counts.losses;
+        if (interrupted) {
+            setStatus(`Match interrupted after ${played} games.`);
+        } else if (test && test.decision) {
+            setStatus(`Stopped early by SPRT after ${played} games (${test.decision} accepted).`);
+        } else if (!isMatchRunning) {
+            setStatus(`Match stopped after ${played} games.`);
+        } else {
+            setStatus(`Complete! (${played} games)`);
+        }
+        logMessage(`=== Match finished: ${nameA} W-D-L ${match.counts.wins}-${match.counts.draws}-${match.counts.losses} ===`);
+
+        isMatchRunning = false;
+        updateButtons();
+
+        return { summary: MatchStats.summarize(match.counts), sprt: MatchStats.sprt(match.counts, match.sprtOptions) };
+    }
+
+    /**
+     * Stop the running match after the current game
+     * @returns {boolean} True if a match was running
+     */
+    function stopMatch() {
+        if (!isMatchRunning) return false;
+
+        isMatchRunning = false;
+        setStatus('Stopping after the current game...');
+        return true;
+    }
+
+    // Public API
+    return {
+        runMatch,
+        stopMatch,
+        isRunning: () => isMatchRunning
+    };
+})();
+
+// Export as a global object or use module exports if using bundler
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MatchRunner;
+}
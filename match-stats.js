@@ -0,0 +1,133 @@
+/**
+ * match-stats.js
+ *
+ * Statistics for a match between two strategies
+ * Win rate with a confidence interval, Elo difference with error bars and a
+ * sequential probability ratio test (SPRT) that decides between two Elo
+ * hypotheses as the games come in. Scores are from the first player's view
+ * (win 1, draw 0.5, loss 0). Free of DOM access.
+ */
+
+const MatchStats = (function () {
+    // z for a two-sided 95% interval
+    const Z_95 = 1.96;
+
+    const DEFAULT_SPRT = {
+        elo0: 0,
+        elo1: 30,
+        alpha: 0.05,
+        beta: 0.05
+    };
+
+    /**
+     * Convert an expected score to an Elo difference
+     * @param {number} score - Expected score in [0, 1]
+     * @returns {number} Elo difference (±Infinity for a score of 1 or 0)
+     */
+    function eloFromScore(score) {
+        if (score >= 1) return Infinity;
+        if (score <= 0) return -Infinity;
+        return -400 * Math.log10(1 / score - 1);
+    }
+
+    /**
+     * Convert an Elo difference to an expected score
+     * @param {number} elo - Elo difference
+     * @returns {number} Expected score
+     */
+    function scoreFromElo(elo) {
+        return 1 / (1 + Math.pow(10, -elo / 400));
+    }
+
+    /**
+     * Mean and per-game variance of the score for given result counts
+     * @param {number} wins - Wins
+     * @param {number} draws - Draws
+     * @param {number} losses - Losses
+     * @returns {Object} {mean, variance}
+     */
+    function scoreMoments(wins, draws, losses) {
+        const n = wins + draws + losses;
+        if (n === 0) return { mean: 0.5, variance: 0 };
+
+        const mean = (wins + draws / 2) / n;
+        const variance = (wins * Math.pow(1 - mean, 2) + draws * Math.pow(0.5 - mean, 2) +
+            losses * Math.pow(mean, 2)) / n;
+        return { mean, variance };
+    }
+
+    /**
+     * Summarize the results of a match
+     * @param {Object} counts - {wins, draws, losses} of the first player
+     * @returns {Object} {games, wins, draws, losses, score, low, high, elo, eloLow, eloHigh},
+     *   where low/high bound the 95% interval of the score (win rate counting draws as half)
+     */
+    function summarize(counts) {
+        const { wins, draws, losses } = counts;
+        const games = wins + draws + losses;
+        const { mean, variance } = scoreMoments(wins, draws, losses);
+        const margin = games > 0 ? Z_95 * Math.sqrt(variance / games) : 0.5;
+        const low = Math.max(0, mean - margin);
+        const high = Math.min(1, mean + margin);
+
+        return {
+            games,
+            wins,
+            draws,
+            losses,
+            score: mean,
+            low,
+            high,
+            elo: eloFromScore(mean),
+            eloLow: eloFromScore(low),
+            eloHigh: eloFromScore(high)
+        };
+    }
+
+    /**
+     * Sequential probability ratio test of H0 (Elo difference elo0) against H1 (elo1),
+     * using the normal approximation of the log-likelihood ratio.
+     * A result count of zero is taken as 0.5 so a one-sided start does not end the test at once.
+     * @param {Object} counts - {wins, draws, losses} of the first player
+     * @param {Object} options - {elo0, elo1, alpha, beta} (optional)
+     * @returns {Object} {llr, lower, upper, decision}, decision being 'H0', 'H1' or null while undecided
+     * @throws {Error} If elo1 is not greater than elo0
+     */
+    function sprt(counts, options = {}) {
+        const { elo0, elo1, alpha, beta } = Object.assign({}, DEFAULT_SPRT, options);
+        if (!(elo1 > elo0)) {
+            throw new Error(`SPRT needs elo1 greater than elo0 (got elo0 ${elo0}, elo1 ${elo1})`);
+        }
+        const lower = Math.log(beta / (1 - alpha));
+        const upper = Math.log((1 - beta) / alpha);
+
+        const games = counts.wins + counts.draws + counts.losses;
+        if (games === 0) return { llr: 0, lower, upper, decision: null };
+
+        const pseudo = n => n || 0.5;
+        const { mean, variance } = scoreMoments(pseudo(counts.wins), pseudo(counts.draws), pseudo(counts.losses));
+        const s0 = scoreFromElo(elo0);
+        const s1 = scoreFromElo(elo1);
+        const llr = games * (s1 - s0) * (2 * mean - s0 - s1) / (2 * variance);
+
+        let decision = null;
+        if (llr >= upper) decision = 'H1';
+        else if (llr <= lower) decision = 'H0';
+
+        return { llr, lower, upper, decision };
+    }
+
+    // Public API
+    return {
+        DEFAULT_SPRT,
+        eloFromScore,
+        scoreFromElo,
+        summarize,
+        sprt
+    };
+})();
+
+// Export as a global object or use module exports if using bundler
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MatchStats;
+}
@@ -0,0 +1,152 @@
+/**
+ * opening-suite.js
+ *
+ * Opening suites for Othello Arena
+ * Deterministic strategies play the same game every time they meet. An opening
+ * suite is a set of balanced positions a few plies deep, generated per stage
+ * from a seed; tournaments play each opening once with each colour.
+ * Free of DOM access.
+ */
+
+const OpeningSuite = (function (GAME_CONSTANTS, OthelloRules, SeededRandom) {
+    const DEFAULT_OPTIONS = {
+        plies: 4,
+        count: 4,
+        // Largest disc difference an opening may leave
+        maxDiscDiff: 2
+    };
+
+    // Random walks tried per requested opening before giving up
+    const ATTEMPTS_PER_OPENING = 50;
+
+    /**
+     * Write a move in board notation (column letter, row number), e.g. "d3"
+     * @param {Object} move - Move {row, col}
+     * @returns {string} Notation
+     */
+    function moveToNotation(move) {
+        return String.fromCharCode(97 + move.col) + (move.row + 1);
+    }
+
+    /**
+     * Play the moves of an opening from the stage's initial position
+     * @param {Object} stageConfig - Stage configuration
+     * @param {Array<Object>} moves - Moves {row, col}
+     * @returns {Object|null} {board, player} with the side to move, or null if a move is illegal
+     */
+    function playMoves(stageConfig, moves) {
+        const board = OthelloRules.createInitialBoard(stageConfig);
+        let player = GAME_CONSTANTS.BLACK;
+
+        for (const move of moves) {
+            if (!OthelloRules.isValidMove(board, move.row, move.col, player, stageConfig)) return null;
+            OthelloRules.applyMove(board, move.row, move.col, player, stageConfig);
+            player = OthelloRules.determineNextPlayer(board, player, stageConfig);
+        }
+
+        return { board, player };
+    }
+
+    /**
+     * Check if a position is a fair start: Black to move with a legal move,
+     * no corner taken and a small disc difference
+     * @param {Array<Array<number>>} board - Board state
+     * @param {number} player - Side to move
+     * @param {Object} stageConfig - Stage configuration
+     * @param {number} maxDiscDiff - Largest allowed disc difference
+     * @returns {boolean} True if the position is balanced
+     */
+    function isBalanced(board, player, stageConfig, maxDiscDiff) {
+        // Games always start with Black to move
+        if (player !== GAME_CONSTANTS.BLACK) return false;
+        if (OthelloRules.getValidMoves(board, player, stageConfig).length === 0) return false;
+
+        const last = board.length - 1;
+        const corners = [board[0][0], board[0][last], board[last][0], board[last][last]];
+        if (corners.some(cell => cell === GAME_CONSTANTS.BLACK || cell === GAME_CONSTANTS.WHITE)) return false;
+
+        const discs = OthelloRules.countDiscs(board);
+        return Math.abs(discs.black - discs.white) <= maxDiscDiff;
+    }
+
+    /**
+     * Generate an opening suite for a stage by seeded random play.
+     * Positions reached by different move orders count once. Fewer openings
+     * than requested are returned if the stage does not have enough.
+     * @param {Object} stageConfig - Stage configuration
+     * @param {Object} options - {plies, count, seed, maxDiscDiff} (optional);
+     *        plies should be even with normal turn order, since Black must be to move
+     * @returns {Array<Object>} Openings {id, moves}, id being the moves in notation
+     */
+    function generate(stageConfig, options = {}) {
+        const opts = Object.assign({}, DEFAULT_OPTIONS, options);
+        const seed = opts.seed !== undefined && opts.seed !== null ? opts.seed : SeededRandom.hashString(stageConfig.name || '');
+        const random = SeededRandom.create(seed);
+        const openings = [];
+        const seen = {};
+
+        for (let attempt = 0; attempt < opts.count * ATTEMPTS_PER_OPENING && openings.length < opts.count; attempt++) {
+            const board = OthelloRules.createInitialBoard(stageConfig);
+            let player = GAME_CONSTANTS.BLACK;
+            const moves = [];
+
+            while (moves.length < opts.plies) {
+                const validMoves = OthelloRules.getValidMoves(board, player, stageConfig);
+                if (validMoves.length === 0) break;
+
+                const move = validMoves[Math.floor(random() * validMoves.length)];
+                OthelloRules.applyMove(board, move.row, move.col, player, stageConfig);
+                moves.push({ row: move.row, col: move.col });
+                player = OthelloRules.determineNextPlayer(board, player, stageConfig);
+            }
+
+            if (moves.length < opts.plies || !isBalanced(board, player, stageConfig, opts.maxDiscDiff)) continue;
+
+            const key = board.map(row => row.join('')).join('/');
+            if (seen[key]) continue;
+            seen[key] = true;
+
+            openings.push({ id: moves.map(moveToNotation).join(''), moves });
+        }
+
+        return openings;
+    }
+
+    /**
+     * Derive a stage configuration that starts from an opening's position.
+     * The stage keeps its name and rules; its initial pieces are replaced.
+     * @param {Object} stageConfig - Stage configuration
+     * @param {Object} opening - Opening {id, moves}
+     * @returns {Object|null} Stage configuration with an `opening` id, or null if the opening does not fit the stage
+     */
+    function toStageConfig(stageConfig, opening) {
+        const position = playMoves(stageConfig, opening.moves);
+        if (!position || position.player !== GAME_CONSTANTS.BLACK) return null;
+
+        const initialPlayer1 = [];
+        const initialPlayer2 = [];
+        position.board.forEach((row, r) => row.forEach((cell, c) => {
+            if (cell === GAME_CONSTANTS.BLACK) initialPlayer1.push({ r, c });
+            else if (cell === GAME_CONSTANTS.WHITE) initialPlayer2.push({ r, c });
+        }));
+
+        return Object.assign({}, stageConfig, { initialPlayer1, initialPlayer2, opening: opening.id });
+    }
+
+    // Public API
+    return {
+        DEFAULT_OPTIONS,
+        moveToNotation,
+        generate,
+        toStageConfig
+    };
+})(
+    typeof GAME_CONSTANTS !== 'undefined' ? GAME_CONSTANTS : require('./constant.js'),
+    typeof OthelloRules !== 'undefined' ? OthelloRules : require('./game-rules.js'),
+    typeof SeededRandom !== 'undefined' ? SeededRandom : require('./seeded-random.js')
+);
+
+// Export as a global object or use module exports if using bundler
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OpeningSuite;
+}
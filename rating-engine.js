@@ -0,0 +1,250 @@
+/**
+ * rating-engine.js
+ *
+ * Elo and Glicko-2 ratings for Othello Arena
+ * Ratings are always recomputed from the match history (leaderboardData.matches),
+ * so they can be rebuilt for any subset of matches, e.g. one stage.
+ * Free of DOM access.
+ */
+
+const RatingEngine = (function () {
+    const INITIAL_RATING = 1500;
+    const ELO_K = 32;
+
+    // Glicko-2 defaults (Glickman, "Example of the Glicko-2 system")
+    const INITIAL_RD = 350;
+    const INITIAL_VOLATILITY = 0.06;
+    const TAU = 0.5;
+    const GLICKO_SCALE = 173.7178;
+    const CONVERGENCE = 0.000001;
+
+    // z for a two-sided 95% interval
+    const Z_95 = 1.96;
+
+    /**
+     * Get the score of the black player in a match
+     * @param {Object} match - Match record {black, white, winner}
+     * @returns {number} 1 for a black win, 0 for a white win, 0.5 for a draw
+     */
+    function blackScore(match) {
+        if (match.winner === 1) return 1;
+        if (match.winner === 2) return 0;
+        return 0.5;
+    }
+
+    /**
+     * Compute Elo ratings by replaying the matches in order
+     * @param {Array<Object>} matches - Match records {black, white, winner}
+     * @param {Object} options - {k, initialRating} (optional)
+     * @returns {Object} Ratings keyed by player name {rating, games}
+     */
+    function computeElo(matches, options = {}) {
+        const k = options.k || ELO_K;
+        const initialRating = options.initialRating || INITIAL_RATING;
+        const ratings = {};
+
+        const get = (name) => {
+            if (!ratings[name]) ratings[name] = { rating: initialRating, games: 0 };
+            return ratings[name];
+        };
+
+        matches.forEach((match) => {
+            const black = get(match.black);
+            const white = get(match.white);
+            const expected = 1 / (1 + Math.pow(10, (white.rating - black.rating) / 400));
+            const delta = k * (blackScore(match) - expected);
+
+            black.rating += delta;
+            white.rating -= delta;
+            black.games++;
+            white.games++;
+        });
+
+        return ratings;
+    }
+
+    /**
+     * Glicko-2 g function
+     * @param {number} phi - Rating deviation on the Glicko-2 scale
+     * @returns {number} Weight of an opponent's rating
+     */
+    function g(phi) {
+        return 1 / Math.sqrt(1 + 3 * phi * phi / (Math.PI * Math.PI));
+    }
+
+    /**
+     * Compute the new volatility of a player (step 5 of Glicko-2, Illinois algorithm)
+     * @param {number} phi - Rating deviation on the Glicko-2 scale
+     * @param {number} sigma - Current volatility
+     * @param {number} v - Estimated variance from the period's games
+     * @param {number} delta - Estimated improvement from the period's games
+     * @param {number} tau - System constant
+     * @returns {number} New volatility
+     */
+    function updateVolatility(phi, sigma, v, delta, tau) {
+        const a = Math.log(sigma * sigma);
+        const f = (x) => {
+            const ex = Math.exp(x);
+            const d = phi * phi + v + ex;
+            return ex * (delta * delta - d) / (2 * d * d) - (x - a) / (tau * tau);
+        };
+
+        let A = a;
+        let B;
+        if (delta * delta > phi * phi + v) {
+            B = Math.log(delta * delta - phi * phi - v);
+        } else {
+            let k = 1;
+            while (f(a - k * tau) < 0) k++;
+            B = a - k * tau;
+        }
+
+        let fA = f(A);
+        let fB = f(B);
+        while (Math.abs(B - A) > CONVERGENCE) {
+            const C = A + (A - B) * fA / (fB - fA);
+            const fC = f(C);
+            if (fC * fB <= 0) {
+                A = B;
+                fA = fB;
+            } else {
+                fA = fA / 2;
+            }
+            B = C;
+            fB = fC;
+        }
+
+        return Math.exp(A / 2);
+    }
+
+    /**
+     * Update one player after a rating period
+     * @param {Object} player - {mu, phi, sigma} on the Glicko-2 scale
+     * @param {Array<Object>} results - Games of the period {mu, phi, score} of the opponents
+     * @param {number} tau - System constant
+     * @returns {Object} New {mu, phi, sigma}
+     */
+    function updateGlicko2(player, results, tau) {
+        if (results.length === 0) {
+            // No games: only the deviation grows
+            return {
+                mu: player.mu,
+                phi: Math.sqrt(player.phi * player.phi + player.sigma * player.sigma),
+                sigma: player.sigma
+            };
+        }
+
+        let vInv = 0;
+        let sum = 0;
+        results.forEach((r) => {
+            const gPhi = g(r.phi);
+            const expected = 1 / (1 + Math.exp(-gPhi * (player.mu - r.mu)));
+            vInv += gPhi * gPhi * expected * (1 - expected);
+            sum += gPhi * (r.score - expected);
+        });
+
+        const v = 1 / vInv;
+        const delta = v * sum;
+        const sigma = updateVolatility(player.phi, player.sigma, v, delta, tau);
+        const phiStar = Math.sqrt(player.phi * player.phi + sigma * sigma);
+        const phi = 1 / Math.sqrt(1 / (phiStar * phiStar) + 1 / v);
+
+        return { mu: player.mu + phi * phi * sum, phi, sigma };
+    }
+
+    /**
+     * Compute Glicko-2 ratings by replaying the matches in order.
+     * Every match is its own rating period for the two players in it.
+     * @param {Array<Object>} matches - Match records {black, white, winner}
+     * @param {Object} options - {tau, initialRating, initialRd, initialVolatility} (optional)
+     * @returns {Object} Ratings keyed by player name {rating, rd, volatility, low, high, games}
+     */
+    function computeGlicko2(matches, options = {}) {
+        const tau = options.tau || TAU;
+        const initialRating = options.initialRating || INITIAL_RATING;
+        const initialRd = options.initialRd || INITIAL_RD;
+        const initialVolatility = options.initialVolatility || INITIAL_VOLATILITY;
+        const players = {};
+
+        const get = (name) => {
+            if (!players[name]) {
+                players[name] = {
+                    mu: (initialRating - INITIAL_RATING) / GLICKO_SCALE,
+                    phi: initialRd / GLICKO_SCALE,
+                    sigma: initialVolatility,
+                    games: 0
+                };
+            }
+            return players[name];
+        };
+
+        matches.forEach((match) => {
+            const black = get(match.black);
+            const white = get(match.white);
+            const score = blackScore(match);
+
+            // Both players are updated from their ratings before the game
+            const newBlack = updateGlicko2(black, [{ mu: white.mu, phi: white.phi, score }], tau);
+            const newWhite = updateGlicko2(white, [{ mu: black.mu, phi: black.phi, score: 1 - score }], tau);
+
+            Object.assign(black, newBlack);
+            Object.assign(white, newWhite);
+            black.games++;
+            white.games++;
+        });
+
+        const ratings = {};
+        Object.keys(players).forEach((name) => {
+            const p = players[name];
+            const rating = p.mu * GLICKO_SCALE + INITIAL_RATING;
+            const rd = p.phi * GLICKO_SCALE;
+            ratings[name] = {
+                rating,
+                rd,
+                volatility: p.sigma,
+                low: rating - Z_95 * rd,
+                high: rating + Z_95 * rd,
+                games: p.games
+            };
+        });
+
+        return ratings;
+    }
+
+    /**
+     * Compute Elo and Glicko-2 ratings for every player in the matches
+     * @param {Array<Object>} matches - Match records {black, white, winner}
+     * @param {Object} options - Options passed to computeElo and computeGlicko2 (optional)
+     * @returns {Object} Ratings keyed by player name {elo, rating, rd, low, high}
+     */
+    function compute(matches, options = {}) {
+        const elo = computeElo(matches, options.elo);
+        const glicko = computeGlicko2(matches, options.glicko);
+        const ratings = {};
+
+        Object.keys(glicko).forEach((name) => {
+            ratings[name] = {
+                elo: elo[name].rating,
+                rating: glicko[name].rating,
+                rd: glicko[name].rd,
+                low: glicko[name].low,
+                high: glicko[name].high
+            };
+        });
+
+        return ratings;
+    }
+
+    // Public API
+    return {
+        INITIAL_RATING,
+        computeElo,
+        computeGlicko2,
+        compute
+    };
+})();
+
+// Export as a global object or use module exports if using bundler
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RatingEngine;
+}
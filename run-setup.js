@@ -0,0 +1,70 @@
+/**
+ * run-setup.js
+ *
+ * Shared setup of games run from the page: single games (game-controller.js)
+ * and the colour-alternating series of match mode (match-runner.js) and
+ * self-play generation (self-play-runner.js).
+ *   - Intelligent-system strategies keep their compiled strategy in page memory
+ *     only, so after a page load each one is analyzed again on its first use.
+ *   - Deterministic strategies repeat the same game from the same position, so a
+ *     series can vary the start position: each pair of games (A as Black, then A
+ *     as White) starts from its own opening of an opening suite.
+ */
+
+const RunSetup = (function () {
+    /**
+     * Re-analyze the intelligent-system strategies among the players if they have not been analyzed since the page was loaded
+     * @param {Array<string>} controllerIds - Strategy IDs of the players
+     * @returns {Promise<void>}
+     */
+    async function ensureStrategies(controllerIds) {
+        if (typeof IntelligentSystemInterface === 'undefined') return;
+        await IntelligentSystemInterface.ensureAnalyzed(controllerIds);
+    }
+
+    /**
+     * Generate the openings of a series if the given checkbox asks for varied openings
+     * @param {Object} stageConfig - Stage configuration
+     * @param {number} games - Number of games in the series
+     * @param {string} checkboxId - Id of the "vary openings" checkbox
+     * @returns {Array<Object>} Openings {id, moves}, one per pair of games; empty to play from the stage's start position
+     */
+    function createOpenings(stageConfig, games, checkboxId) {
+        const varyOpenings = document.getElementById(checkboxId);
+        if (!varyOpenings || !varyOpenings.checked || typeof OpeningSuite === 'undefined') return [];
+
+        return OpeningSuite.generate(stageConfig, {
+            count: Math.ceil(games / 2),
+            seed: Math.floor(Math.random() * 0x100000000)
+        });
+    }
+
+    /**
+     * Set up one game of a series
+     * @param {Object} stageConfig - Stage configuration
+     * @param {Array<Object>} openings - Openings of the series (see createOpenings)
+     * @param {number} index - Game index, from 0
+     * @returns {Object} {aIsBlack, opening, stage}: A plays Black in even-indexed games;
+     *                   opening is null without openings, and stage starts from the opening
+     */
+    function setupGame(stageConfig, openings, index) {
+        const opening = openings.length > 0 ? openings[Math.floor(index / 2) % openings.length] : null;
+        return {
+            aIsBlack: index % 2 === 0,
+            opening,
+            stage: opening ? OpeningSuite.toStageConfig(stageConfig, opening) || stageConfig : stageConfig
+        };
+    }
+
+    // Public API
+    return {
+        ensureStrategies,
+        createOpenings,
+        setupGame
+    };
+})();
+
+// Export as a global object or use module exports if using bundler
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RunSetup;
+}
@@ -0,0 +1,49 @@
+/**
+ * seeded-random.js
+ *
+ * Reproducible pseudo-random numbers for Othello Arena
+ * Tournament draws and generated openings are derived from a seed so a run
+ * can be repeated or resumed exactly. Free of DOM access.
+ */
+
+const SeededRandom = (function () {
+    /**
+     * Create a seeded pseudo-random number generator (mulberry32)
+     * @param {number} seed - 32-bit seed
+     * @returns {Function} Function returning numbers in [0, 1)
+     */
+    function create(seed) {
+        let t = seed >>> 0;
+        return function () {
+            t = (t + 0x6D2B79F5) >>> 0;
+            let r = Math.imul(t ^ (t >>> 15), 1 | t);
+            r = (r + Math.imul(r ^ (r >>> 7), 61 | r)) ^ r;
+            return ((r ^ (r >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    /**
+     * Hash a string to a 32-bit seed (FNV-1a)
+     * @param {string} text - Text to hash
+     * @returns {number} Unsigned 32-bit hash
+     */
+    function hashString(text) {
+        let hash = 0x811C9DC5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    // Public API
+    return {
+        create,
+        hashString
+    };
+})();
+
+// Export as a global object or use module exports if using bundler
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SeededRandom;
+}
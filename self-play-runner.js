@@ -0,0 +1,207 @@
+/**
+ * self-play-runner.js
+ *
+ * Self-play data generation for Othello Arena
+ * Plays a batch of headless games (self-play.js) between the strategies
+ * selected as Black (A) and White (B) on the selected stage, alternating
+ * colours, and offers the transitions as a JSONL download.
+ */
+
+const SelfPlayRunner = (function () {
+    let isRunning = false;
+    let dataset = null;
+
+    // UI element references
+    let statusElement = null;
+    let runButton = null;
+    let stopButton = null;
+    let downloadButton = null;
+
+    function initElements() {
+        statusElement = document.getElementById('selfplay-status');
+        runButton = document.getElementById('run-selfplay-btn');
+        stopButton = document.getElementById('stop-selfplay-btn');
+        downloadButton = document.getElementById('download-selfplay-btn');
+    }
+
+    function setStatus(text) {
+        if (statusElement) {
+            statusElement.textContent = text;
+        }
+    }
+
+    /**
+     * Update the run, stop and download buttons
+     */
+    function updateButtons() {
+        if (runButton) runButton.disabled = isRunning;
+        if (stopButton) stopButton.disabled = !isRunning;
+        if (downloadButton) downloadButton.disabled = isRunning || !dataset;
+    }
+
+    /**
+     * Build the move function of a strategy for SelfPlay.playGame.
+     * Strategies that can run in a worker are asked there, as in normal games;
+     * others are called on the main thread with the stage's simulate function.
+     * @param {string} controllerId - Strategy ID
+     * @returns {Function|null} chooseMove(board, player, validMoves, stageConfig), or null if the strategy is unavailable
+     */
+    function createMoveFunction(controllerId) {
+        if (typeof StrategyRunner !== 'undefined' && StrategyRunner.canRunInWorker(controllerId)) {
+            return (board, player, validMoves, stageConfig) =>
+                StrategyRunner.requestMove(controllerId, player, board, validMoves, stageConfig,
+                    GAME_CONSTANTS.MAX_AI_TIME_PER_GAME, false).then(result => result.move);
+        }
+
+        const strategyFn = OthelloStrategies.getCompiledStrategy(controllerId);
+        if (!strategyFn) return null;
+
+        return async (board, player, validMoves, stageConfig) => OthelloStrategies.readStrategyResult(
+            await strategyFn(board, player, validMoves, OthelloRules.createSimulator(stageConfig, board.map(r => [...r]), false))).move;
+    }
+
+    /**
+     * Generate a self-play dataset between the selected Black (A) and White (B) strategies on the selected stage.
+     * A plays Black in odd-numbered games and White in even-numbered ones.
+     * @returns {Promise<Array<Object>|null>} Dataset records, or null if generation could not start
+     */
+    async function run() {
+        if (isRunning) return null;
+        initElements();
+
+        if ((typeof Tournament !== 'undefined' && Tournament.isRunning()) ||
+            (typeof MatchRunner !== 'undefined' && MatchRunner.isRunning())) {
+            setStatus('A tournament or match is running; stop it first.');
+            return null;
+        }
+
+        const blackAISelect = document.getElementById('black-ai');
+        const whiteAISelect = document.getElementById('white-ai');
+        const stageSelect = document.getElementById('stageSelect');
+        if (!blackAISelect || !whiteAISelect || blackAISelect.selectedIndex < 0 || whiteAISelect.selectedIndex < 0) {
+            setStatus('Select two strategies as Black and White first.');
+            return null;
+        }
+
+        const nameA = blackAISelect.options[blackAISelect.selectedIndex].text;
+        const nameB = whiteAISelect.options[whiteAISelect.selectedIndex].text;
+        isRunning = true;
+        updateButtons();
+        setStatus('Re-analyzing intelligent systems...');
+        await RunSetup.ensureStrategies([blackAISelect.value, whiteAISelect.value]);
+        const stopped = !isRunning;
+        isRunning = false;
+        updateButtons();
+        if (stopped) {
+            setStatus('Stopped.');
+            return null;
+        }
+
+        const moveA = createMoveFunction(blackAISelect.value);
+        const moveB = createMoveFunction(whiteAISelect.value);
+        if (!moveA || !moveB) {
+            setStatus(`Strategy ${moveA ? nameB : nameA} could not be loaded.`);
+            return null;
+        }
+
+        const stageIndex = parseInt(stageSelect && stageSelect.value || 0);
+        const stageConfig = stages[stageIndex] || stages[0];
+        const gamesInput = document.getElementById('selfplay-games');
+        const total = Math.max(1, parseInt(gamesInput && gamesInput.value) || 100);
+
+        const openings = RunSetup.createOpenings(stageConfig, total, 'selfplay-openings');
+
+        isRunning = true;
+        dataset = null;
+        updateButtons();
+
+        const records = [SelfPlay.createHeader(stageConfig, [nameA, nameB], total)];
+        let transitions = 0;
+        let played = 0;
+
+        for (let i = 0; i < total && isRunning; i++) {
+            const { aIsBlack, opening, stage: gameStage } = RunSetup.setupGame(stageConfig, openings, i);
+            const players = {
+                [GAME_CONSTANTS.BLACK]: aIsBlack ? moveA : moveB,
+                [GAME_CONSTANTS.WHITE]: aIsBlack ? moveB : moveA
+            };
+
+            const game = await SelfPlay.playGame(gameStage, players, i);
+            game.transitions.forEach(t => records.push(t));
+            records.push({
+                type: 'game',
+                game: i,
+                black: aIsBlack ? nameA : nameB,
+                white: aIsBlack ? nameB : nameA,
+                opening: opening ? opening.id : null,
+                winner: game.winner,
+                scores: game.scores,
+                plies: game.plies,
+                fallbackMoves: game.fallbackMoves
+            });
+            transitions += game.plies;
+            played++;
+
+            setStatus(`Running... game ${played}/${total} (${transitions} transitions)`);
+            // Let the page update between games
+            await new Promise((r) => setTimeout(r, 0));
+        }
+
+        records[0].games = played;
+        dataset = records;
+        isRunning = false;
+        updateButtons();
+        setStatus(`${played < total ? 'Stopped' : 'Complete'}: ${played} games, ${transitions} transitions on ${stageConfig.name}.`);
+
+        return records;
+    }
+
+    /**
+     * Stop generating after the current game
+     * @returns {boolean} True if generation was running
+     */
+    function stop() {
+        if (!isRunning) return false;
+
+        isRunning = false;
+        setStatus('Stopping after the current game...');
+        return true;
+    }
+
+    /**
+     * Download the last generated dataset as JSONL
+     * @returns {boolean} True if there was a dataset to download
+     */
+    function download() {
+        if (!dataset) return false;
+
+        const header = dataset[0];
+        const blob = new Blob([SelfPlay.toJSONL(dataset)], { type: 'application/x-ndjson' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `SelfPlay_${header.stage.name.replace(/[^\w-]+/g, '_')}_${header.games}games.jsonl`;
+        link.style.display = 'none';
+        document.body.appendChild(link);
+        link.click();
+        setTimeout(() => {
+            document.body.removeChild(link);
+            URL.revokeObjectURL(url);
+        }, 100);
+        return true;
+    }
+
+    // Public API
+    return {
+        run,
+        stop,
+        download,
+        isRunning: () => isRunning,
+        getDataset: () => dataset
+    };
+})();
+
+// Export as a global object or use module exports if using bundler
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SelfPlayRunner;
+}
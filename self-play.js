@@ -0,0 +1,135 @@
+/**
+ * self-play.js
+ *
+ * Self-play data for world-model learning
+ * Plays headless games on the game engine (no UI, no delays) and records every
+ * move as a transition (board, player, move, next board, flips, next player,
+ * terminal reward). Datasets are written as JSONL: a header line with the
+ * stage configuration (including its special rules), then the transitions and
+ * a summary line of each game in play order. Free of DOM access.
+ *
+ * Records (one JSON object per line):
+ *   {type: "header", format: "othello-arena-selfplay", version: 1, stage, players, games, createdAt}
+ *   {type: "transition", game, ply, board, player, move, nextBoard, flips, nextPlayer, terminal, reward}
+ *   {type: "game", game, black, white, opening, winner, scores, plies, fallbackMoves}
+ * Forced passes are not transitions: nextPlayer is the side that actually
+ * moves next, and null once the game is over. reward is 1, -1 or 0 for the
+ * player who moved on the final transition (by disc count), and 0 before it.
+ */
+
+const SelfPlay = (function (OthelloRules, OthelloEngine) {
+    const FORMAT = 'othello-arena-selfplay';
+    const VERSION = 1;
+
+    /**
+     * Play one game headless and record its transitions
+     * @param {Object} stageConfig - Stage configuration (with the opening applied, if any)
+     * @param {Object} players - {[BLACK]: chooseMove, [WHITE]: chooseMove}; chooseMove(board, player, validMoves, stageConfig)
+     *                           returns a move {row, col} or a promise of one
+     * @param {number} gameIndex - Index of the game in the dataset
+     * @returns {Promise<Object>} {transitions, winner, scores, plies, fallbackMoves}; a move that is
+     *                            illegal, missing or thrown is replaced by a random legal move
+     */
+    async function playGame(stageConfig, players, gameIndex = 0) {
+        const game = OthelloEngine.createGame(stageConfig);
+        const transitions = [];
+        let fallbackMoves = 0;
+
+        game.start();
+        game.resolvePasses();
+
+        while (!game.over) {
+            const player = game.currentPlayer;
+            const board = game.board.map(r => [...r]);
+            const validMoves = game.getValidMoves();
+
+            let move = null;
+            try {
+                move = await players[player](board.map(r => [...r]), player, validMoves, stageConfig);
+            } catch (e) {
+                move = null;
+            }
+            if (!move || !validMoves.some(m => m.row === move.row && m.col === move.col)) {
+                move = validMoves[Math.floor(Math.random() * validMoves.length)];
+                fallbackMoves++;
+            }
+
+            const flips = OthelloRules.getFlips(board, move.row, move.col, player, stageConfig)
+                .map(([row, col]) => ({ row, col }));
+            game.play(move.row, move.col);
+
+            transitions.push({
+                type: 'transition',
+                game: gameIndex,
+                ply: transitions.length,
+                board,
+                player,
+                move: { row: move.row, col: move.col },
+                nextBoard: game.board.map(r => [...r]),
+                flips,
+                nextPlayer: game.over ? null : game.currentPlayer,
+                terminal: game.over,
+                reward: 0
+            });
+        }
+
+        const result = game.getResult();
+        const last = transitions[transitions.length - 1];
+        if (last && result.winner) {
+            last.reward = result.winner === last.player ? 1 : -1;
+        }
+
+        return {
+            transitions,
+            winner: result.winner,
+            scores: { black: result.black, white: result.white },
+            plies: transitions.length,
+            fallbackMoves
+        };
+    }
+
+    /**
+     * Build the header record of a dataset
+     * @param {Object} stageConfig - Stage the games were played on
+     * @param {Array<string>} players - Names of the strategies taking part
+     * @param {number} games - Number of games
+     * @returns {Object} Header record
+     */
+    function createHeader(stageConfig, players, games) {
+        return {
+            type: 'header',
+            format: FORMAT,
+            version: VERSION,
+            stage: JSON.parse(JSON.stringify(stageConfig)),
+            players,
+            games,
+            createdAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Serialize dataset records as JSONL
+     * @param {Array<Object>} records - Header, transition and game records
+     * @returns {string} One JSON object per line
+     */
+    function toJSONL(records) {
+        return records.map(record => JSON.stringify(record)).join('\n') + '\n';
+    }
+
+    // Public API
+    return {
+        FORMAT,
+        VERSION,
+        playGame,
+        createHeader,
+        toJSONL
+    };
+})(
+    typeof OthelloRules !== 'undefined' ? OthelloRules : require('./game-rules.js'),
+    typeof OthelloEngine !== 'undefined' ? OthelloEngine : require('./game-engine.js')
+);
+
+// Export as a global object or use module exports if using bundler
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SelfPlay;
+}
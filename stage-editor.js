@@ -0,0 +1,387 @@
+/**
+ * stage-editor.js
+ *
+ * In-page stage editor for Othello Arena
+ * Click a cell to cycle it through empty, black, white and blocked; pick the
+ * board size and rule flags, then save the stage through StageStore so it
+ * shows up in the stage selector. Custom stages can be exported and imported
+ * as stage packs (stage-pack.js) or generated from a seed (stage-generator.js).
+ */
+
+const StageEditor = (function () {
+    // Cell cycle on click
+    const CELL_CYCLE = [GAME_CONSTANTS.EMPTY, GAME_CONSTANTS.BLACK, GAME_CONSTANTS.WHITE, GAME_CONSTANTS.BLOCKED];
+
+    let cells = [];
+    let elements = {};
+    // Whether the status line shows a name problem that checkName should clear once the name is fixed
+    let nameErrorShown = false;
+
+    function initElements() {
+        elements = {
+            name: document.getElementById('stage-editor-name'),
+            size: document.getElementById('stage-editor-size'),
+            ignoreOcclusion: document.getElementById('stage-editor-ignore-occlusion'),
+            fewerPiecesContinue: document.getElementById('stage-editor-fewer-pieces'),
+            interactionBudget: document.getElementById('stage-editor-budget'),
+            board: document.getElementById('stage-editor-board'),
+            status: document.getElementById('stage-editor-status'),
+            newButton: document.getElementById('stage-editor-new'),
+            loadButton: document.getElementById('stage-editor-load'),
+            saveButton: document.getElementById('stage-editor-save'),
+            deleteButton: document.getElementById('stage-editor-delete'),
+            packName: document.getElementById('stage-pack-name'),
+            packFile: document.getElementById('stage-pack-file'),
+            exportButton: document.getElementById('stage-pack-export'),
+            importButton: document.getElementById('stage-pack-import'),
+            generateSeed: document.getElementById('stage-generate-seed'),
+            generateCount: document.getElementById('stage-generate-count'),
+            generateButton: document.getElementById('stage-generate')
+        };
+    }
+
+    /**
+     * Show a message, or a list of validation errors, below the editor
+     * @param {string|Array<string>} message - Message or errors
+     * @param {boolean} isError - Whether to show it as an error
+     */
+    function showStatus(message, isError = false) {
+        if (!elements.status) return;
+        nameErrorShown = false;
+
+        elements.status.innerHTML = '';
+        elements.status.className = isError ? 'stage-editor-status error' : 'stage-editor-status';
+        if (Array.isArray(message)) {
+            const list = document.createElement('ul');
+            message.forEach((text) => {
+                const item = document.createElement('li');
+                item.textContent = text;
+                list.appendChild(item);
+            });
+            elements.status.appendChild(list);
+        } else {
+            elements.status.textContent = message;
+        }
+    }
+
+    /**
+     * Draw the editor board from the cell states
+     */
+    function renderBoard() {
+        if (!elements.board) return;
+
+        const size = cells.length;
+        elements.board.innerHTML = '';
+        elements.board.style.gridTemplateColumns = `repeat(${size}, 24px)`;
+
+        cells.forEach((row, r) => row.forEach((value, c) => {
+            const cell = document.createElement('div');
+            cell.className = value === GAME_CONSTANTS.BLOCKED ? 'cell blocked' : 'cell';
+            cell.title = `${String.fromCharCode(97 + c)}${r + 1}`;
+            if (value === GAME_CONSTANTS.BLACK || value === GAME_CONSTANTS.WHITE) {
+                const disc = document.createElement('div');
+                disc.className = value === GAME_CONSTANTS.BLACK ? 'disc black' : 'disc white';
+                cell.appendChild(disc);
+            }
+            cell.addEventListener('click', () => {
+                cells[r][c] = CELL_CYCLE[(CELL_CYCLE.indexOf(cells[r][c]) + 1) % CELL_CYCLE.length];
+                renderBoard();
+            });
+            elements.board.appendChild(cell);
+        }));
+    }
+
+    /**
+     * Start a new board of the chosen size with the usual four centre discs
+     */
+    function newBoard() {
+        const size = Math.min(StageStore.MAX_BOARD_SIZE,
+            Math.max(StageStore.MIN_BOARD_SIZE, parseInt(elements.size && elements.size.value) || 8));
+        if (elements.size) elements.size.value = size;
+
+        const mid = Math.floor(size / 2);
+        loadStage({
+            name: elements.name ? elements.name.value : '',
+            boardSize: size,
+            initialBlocked: [],
+            initialPlayer1: [{ r: mid - 1, c: mid }, { r: mid, c: mid - 1 }],
+            initialPlayer2: [{ r: mid - 1, c: mid - 1 }, { r: mid, c: mid }],
+            ignoreOcclusion: elements.ignoreOcclusion ? elements.ignoreOcclusion.checked : false,
+            fewerPiecesContinue: elements.fewerPiecesContinue ? elements.fewerPiecesContinue.checked : false,
+            interactionBudget: readBudget()
+        });
+    }
+
+    /**
+     * Put a stage into the editor
+     * @param {Object} stage - Stage configuration
+     */
+    function loadStage(stage) {
+        const size = stage.boardSize || 8;
+        cells = Array(size).fill().map(() => Array(size).fill(GAME_CONSTANTS.EMPTY));
+        (stage.initialBlocked || []).forEach((p) => { cells[p.r][p.c] = GAME_CONSTANTS.BLOCKED; });
+        (stage.initialPlayer1 || []).forEach((p) => { cells[p.r][p.c] = GAME_CONSTANTS.BLACK; });
+        (stage.initialPlayer2 || []).forEach((p) => { cells[p.r][p.c] = GAME_CONSTANTS.WHITE; });
+
+        if (elements.name) elements.name.value = stage.name || '';
+        if (elements.size) elements.size.value = size;
+        if (elements.ignoreOcclusion) elements.ignoreOcclusion.checked = !!stage.ignoreOcclusion;
+        if (elements.fewerPiecesContinue) elements.fewerPiecesContinue.checked = !!stage.fewerPiecesContinue;
+        if (elements.interactionBudget) elements.interactionBudget.value = stage.interactionBudget || '';
+
+        renderBoard();
+        showStatus('');
+    }
+
+    /**
+     * Load the stage chosen in the stage selector into the editor
+     */
+    function loadSelectedStage() {
+        const stageSelect = document.getElementById('stageSelect');
+        const stage = stages[parseInt(stageSelect && stageSelect.value || 0)] || stages[0];
+        loadStage(stage);
+    }
+
+    /**
+     * Read the interaction budget input
+     * @returns {number|undefined} Budget, or undefined when blank (the default budget applies)
+     */
+    function readBudget() {
+        if (!elements.interactionBudget || elements.interactionBudget.value.trim() === '') return undefined;
+        return Number(elements.interactionBudget.value);
+    }
+
+    /**
+     * Check the name in the editor as it is typed and show its problems, if any
+     * @returns {boolean} True if the name can be used
+     */
+    function checkName() {
+        const errors = StageStore.validateName(elements.name ? elements.name.value.trim() : '');
+        if (errors.length > 0) {
+            showStatus(errors, true);
+            nameErrorShown = true;
+        } else if (nameErrorShown) {
+            showStatus('');
+        }
+        return errors.length === 0;
+    }
+
+    /**
+     * Build a stage configuration from the editor
+     * @returns {Object} Stage configuration
+     */
+    function getEditedStage() {
+        const stage = {
+            name: elements.name ? elements.name.value.trim() : '',
+            boardSize: cells.length,
+            initialBlocked: [],
+            initialPlayer1: [],
+            initialPlayer2: [],
+            ignoreOcclusion: elements.ignoreOcclusion ? elements.ignoreOcclusion.checked : false,
+            fewerPiecesContinue: elements.fewerPiecesContinue ? elements.fewerPiecesContinue.checked : false
+        };
+        const budget = readBudget();
+        if (budget !== undefined) stage.interactionBudget = budget;
+        cells.forEach((row, r) => row.forEach((value, c) => {
+            if (value === GAME_CONSTANTS.BLOCKED) stage.initialBlocked.push({ r, c });
+            else if (value === GAME_CONSTANTS.BLACK) stage.initialPlayer1.push({ r, c });
+            else if (value === GAME_CONSTANTS.WHITE) stage.initialPlayer2.push({ r, c });
+        }));
+        return stage;
+    }
+
+    /**
+     * Refresh every stage list and select a stage
+     * @param {number} index - Index in `stages` to select
+     */
+    function refreshStageLists(index) {
+        if (typeof OthelloUI !== 'undefined') OthelloUI.populateStageSelect();
+        if (typeof Tournament !== 'undefined') Tournament.populateTournamentStages();
+
+        const stageSelect = document.getElementById('stageSelect');
+        if (stageSelect) {
+            stageSelect.value = Math.max(0, Math.min(index, stages.length - 1));
+            stageSelect.dispatchEvent(new Event('change'));
+        }
+    }
+
+    /**
+     * Validate and save the edited stage
+     * @returns {boolean} Success status
+     */
+    function saveStage() {
+        if (!checkName()) return false;
+
+        const result = StageStore.saveCustomStage(getEditedStage());
+        if (!result.success) {
+            showStatus(result.errors, true);
+            return false;
+        }
+
+        refreshStageLists(result.index);
+        showStatus(`Saved "${stages[result.index].name}".`);
+        return true;
+    }
+
+    /**
+     * Delete the custom stage named in the editor
+     * @returns {boolean} Success status
+     */
+    function deleteStage() {
+        const name = elements.name ? elements.name.value.trim() : '';
+        if (!StageStore.isCustomStage(name)) {
+            showStatus(`"${name}" is not a custom stage.`, true);
+            return false;
+        }
+        if (!confirm(`Delete stage "${name}"?`)) return false;
+
+        StageStore.deleteCustomStage(name);
+        refreshStageLists(0);
+        showStatus(`Deleted "${name}".`);
+        return true;
+    }
+
+    /**
+     * Download the custom stages as a stage pack
+     * @returns {Object|null} Exported pack, or null if there are no custom stages
+     */
+    function exportPack() {
+        const customStages = StageStore.getCustomStages();
+        if (customStages.length === 0) {
+            showStatus('There are no custom stages to export.', true);
+            return null;
+        }
+
+        const name = elements.packName && elements.packName.value.trim() || 'Custom stages';
+        if (StageStore.validateName(name).length > 0) {
+            showStatus(`Pack name ${JSON.stringify(name)} may only use letters, digits, spaces and ( ) [ ] _ . , : + # -.`, true);
+            return null;
+        }
+        const pack = StagePack.createPack(name, customStages);
+
+        const blob = new Blob([JSON.stringify(pack, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `StagePack_${name.replace(/[^\w-]+/g, '_')}_${pack.hash}.json`;
+        link.style.display = 'none';
+        document.body.appendChild(link);
+        link.click();
+        setTimeout(() => {
+            document.body.removeChild(link);
+            URL.revokeObjectURL(url);
+        }, 100);
+
+        showStatus(`Exported ${pack.stages.length} stage${pack.stages.length === 1 ? '' : 's'} as "${name}" (${pack.hash}).`);
+        return pack;
+    }
+
+    /**
+     * Import a stage pack from text and merge its stages into the stage list
+     * @param {string} text - Stage pack JSON
+     * @returns {boolean} Success status
+     */
+    function importPackText(text) {
+        const { pack, errors } = StagePack.parsePack(text);
+        if (!pack) {
+            showStatus(errors, true);
+            return false;
+        }
+
+        const result = StagePack.importPack(pack);
+        if (!result.success) {
+            showStatus(result.errors, true);
+            return false;
+        }
+
+        refreshStageLists(stages.findIndex(stage => stage.name === pack.stages[0].name));
+        showStatus(`Imported "${pack.name}" (${result.hash}): ${result.added} added, ${result.skipped} already present.`);
+        return true;
+    }
+
+    /**
+     * Import the stage pack chosen in the file input
+     */
+    function importPackFile() {
+        const file = elements.packFile && elements.packFile.files[0];
+        if (!file) {
+            showStatus('Choose a stage pack file first.', true);
+            return;
+        }
+
+        const reader = new FileReader();
+        reader.onload = e => importPackText(e.target.result);
+        reader.onerror = () => showStatus(`Could not read ${file.name}.`, true);
+        reader.readAsText(file);
+    }
+
+    /**
+     * Generate stages from the seed and count inputs and save them as custom stages
+     * A blank seed draws a random one, which is written back to the input.
+     * @returns {Array<Object>} Generated stages
+     */
+    function generateStages() {
+        let seed = parseInt(elements.generateSeed && elements.generateSeed.value);
+        if (isNaN(seed)) {
+            seed = Math.floor(Math.random() * 0x100000000);
+            if (elements.generateSeed) elements.generateSeed.value = seed;
+        }
+        const count = Math.max(1, parseInt(elements.generateCount && elements.generateCount.value) || 1);
+
+        const generated = StageGenerator.generateMany(count, seed);
+        const result = StageStore.saveCustomStages(generated);
+        if (!result.success) {
+            showStatus(result.errors, true);
+            return generated;
+        }
+
+        if (result.indices.length > 0) {
+            const lastIndex = result.indices[result.indices.length - 1];
+            refreshStageLists(lastIndex);
+            loadStage(stages[lastIndex]);
+        }
+        showStatus(`Generated ${generated.length} of ${count} stages from seed ${seed}.`);
+        return generated;
+    }
+
+    /**
+     * Bind the editor controls and show the selected stage
+     */
+    function init() {
+        initElements();
+        if (!elements.board) return;
+
+        if (elements.size) {
+            elements.size.min = StageStore.MIN_BOARD_SIZE;
+            elements.size.max = StageStore.MAX_BOARD_SIZE;
+            elements.size.addEventListener('change', newBoard);
+        }
+        if (elements.name) elements.name.addEventListener('input', checkName);
+        if (elements.newButton) elements.newButton.addEventListener('click', newBoard);
+        if (elements.loadButton) elements.loadButton.addEventListener('click', loadSelectedStage);
+        if (elements.saveButton) elements.saveButton.addEventListener('click', saveStage);
+        if (elements.deleteButton) elements.deleteButton.addEventListener('click', deleteStage);
+        if (elements.exportButton) elements.exportButton.addEventListener('click', exportPack);
+        if (elements.importButton) elements.importButton.addEventListener('click', importPackFile);
+        if (elements.generateButton) elements.generateButton.addEventListener('click', generateStages);
+
+        loadSelectedStage();
+    }
+
+    // Public API
+    return {
+        init,
+        loadStage,
+        getEditedStage,
+        saveStage,
+        deleteStage,
+        exportPack,
+        importPackText,
+        generateStages
+    };
+})();
+
+// Export as a global object or use module exports if using bundler
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StageEditor;
+}
@@ -0,0 +1,227 @@
+/**
+ * stage-generator.js
+ *
+ * Procedural stage generator for Othello Arena
+ * Builds random stage configurations from a seed: board size, symmetric or
+ * asymmetric blocked cells, alternative starting positions and rule flags.
+ * Degenerate stages (invalid, no first move for Black, or games that end
+ * almost at once) are rejected, so an intelligent system's analyzeStage can
+ * be tried on many unseen stages. The same seed always gives the same stages.
+ * Free of DOM access.
+ */
+
+const StageGenerator = (function (GAME_CONSTANTS, OthelloRules, SeededRandom, StageStore) {
+    const DEFAULT_OPTIONS = {
+        minSize: 6,
+        maxSize: 10,
+        // Largest share of the board that may be blocked
+        maxBlockedFraction: 0.12,
+        // Chance of each rule flag being set
+        ruleFlagChance: 0.25,
+        // Random games played to check the stage is not degenerate
+        playouts: 8,
+        // Shortest acceptable random game, as a share of the empty cells
+        minGameFraction: 0.5,
+        maxAttempts: 50
+    };
+
+    const SYMMETRIES = ['none', 'mirror', 'rotational', 'four-fold'];
+    const OPENINGS = ['standard', 'swapped', 'parallel', 'offset'];
+
+    /**
+     * Cells that a symmetry maps a cell to (including the cell itself)
+     * @param {number} r - Row
+     * @param {number} c - Column
+     * @param {number} size - Board size
+     * @param {string} symmetry - One of SYMMETRIES
+     * @returns {Array<Object>} Cells {r, c}
+     */
+    function symmetricCells(r, c, size, symmetry) {
+        const n = size - 1;
+        const cells = [{ r, c }];
+        if (symmetry === 'mirror') {
+            cells.push({ r, c: n - c });
+        } else if (symmetry === 'rotational') {
+            cells.push({ r: n - r, c: n - c });
+        } else if (symmetry === 'four-fold') {
+            cells.push({ r: c, c: n - r }, { r: n - r, c: n - c }, { r: n - c, c: r });
+        }
+        return cells;
+    }
+
+    /**
+     * Starting discs around the centre of the board
+     * @param {number} size - Board size
+     * @param {string} opening - One of OPENINGS
+     * @param {Function} random - Seeded random function
+     * @returns {Object} {initialPlayer1, initialPlayer2}
+     */
+    function startingPosition(size, opening, random) {
+        let top = Math.floor(size / 2) - 1;
+        let left = top;
+        if (opening === 'offset' && size >= 8) {
+            top += Math.floor(random() * 3) - 1;
+            left += Math.floor(random() * 3) - 1;
+        }
+
+        const a = { r: top, c: left };
+        const b = { r: top, c: left + 1 };
+        const c = { r: top + 1, c: left };
+        const d = { r: top + 1, c: left + 1 };
+
+        if (opening === 'swapped') return { initialPlayer1: [a, d], initialPlayer2: [b, c] };
+        if (opening === 'parallel') return { initialPlayer1: [a, b], initialPlayer2: [c, d] };
+        return { initialPlayer1: [b, c], initialPlayer2: [a, d] };
+    }
+
+    /**
+     * Play one random game and count its plies
+     * @param {Object} stage - Stage configuration
+     * @param {Function} random - Seeded random function
+     * @returns {number} Plies played before neither side could move
+     */
+    function randomGameLength(stage, random) {
+        const board = OthelloRules.createInitialBoard(stage);
+        const maxPlies = stage.boardSize * stage.boardSize * 2;
+        let player = GAME_CONSTANTS.BLACK;
+        let plies = 0;
+
+        while (plies < maxPlies) {
+            let moves = OthelloRules.getValidMoves(board, player, stage);
+            if (moves.length === 0) {
+                player = OthelloRules.getOpponent(player);
+                moves = OthelloRules.getValidMoves(board, player, stage);
+                if (moves.length === 0) break;
+            }
+
+            const move = moves[Math.floor(random() * moves.length)];
+            OthelloRules.applyMove(board, move.row, move.col, player, stage);
+            player = OthelloRules.determineNextPlayer(board, player, stage);
+            plies++;
+        }
+
+        return plies;
+    }
+
+    /**
+     * Check a generated stage for problems
+     * @param {Object} stage - Stage configuration
+     * @param {Object} options - Generator options
+     * @param {Function} random - Seeded random function (for the test games)
+     * @returns {Array<string>} Reasons the stage is degenerate; empty if it is usable
+     */
+    function checkStage(stage, options, random) {
+        const errors = StageStore.validateStage(stage);
+        if (errors.length > 0) return errors;
+
+        const size = stage.boardSize;
+        const emptyCells = size * size - stage.initialBlocked.length -
+            stage.initialPlayer1.length - stage.initialPlayer2.length;
+        const minPlies = Math.max(4, Math.floor(emptyCells * options.minGameFraction));
+
+        for (let i = 0; i < options.playouts; i++) {
+            const plies = randomGameLength(stage, random);
+            if (plies < minPlies) {
+                return [`A random game ended after ${plies} plies (minimum ${minPlies}).`];
+            }
+        }
+        return [];
+    }
+
+    /**
+     * Build one random stage (not yet checked)
+     * @param {Function} random - Seeded random function
+     * @param {Object} options - Generator options
+     * @param {string} name - Stage name
+     * @returns {Object} Stage configuration
+     */
+    function buildStage(random, options, name) {
+        const pick = list => list[Math.floor(random() * list.length)];
+        const size = options.minSize + Math.floor(random() * (options.maxSize - options.minSize + 1));
+        const symmetry = pick(SYMMETRIES);
+        const stage = Object.assign({ name, boardSize: size, initialBlocked: [] },
+            startingPosition(size, pick(OPENINGS), random));
+
+        const taken = {};
+        stage.initialPlayer1.concat(stage.initialPlayer2).forEach((p) => { taken[`${p.r},${p.c}`] = true; });
+
+        const maxBlocked = Math.floor(size * size * options.maxBlockedFraction * random());
+        for (let tries = 0; stage.initialBlocked.length < maxBlocked && tries < size * size; tries++) {
+            const orbit = symmetricCells(Math.floor(random() * size), Math.floor(random() * size), size, symmetry);
+            if (orbit.some(p => taken[`${p.r},${p.c}`])) continue;
+            orbit.forEach((p) => {
+                if (taken[`${p.r},${p.c}`]) return;
+                taken[`${p.r},${p.c}`] = true;
+                stage.initialBlocked.push(p);
+            });
+        }
+
+        StageStore.RULE_FLAGS.forEach((flag) => {
+            if (random() < options.ruleFlagChance) stage[flag] = true;
+        });
+
+        return stage;
+    }
+
+    /**
+     * Generate one stage from a seed, retrying with the same random sequence until a stage passes the checks
+     * @param {number} seed - 32-bit seed
+     * @param {Object} options - Generator options (optional, see DEFAULT_OPTIONS)
+     * @returns {Object|null} Stage configuration named after the seed, or null if every attempt was degenerate
+     */
+    function generate(seed, options = {}) {
+        const opts = Object.assign({}, DEFAULT_OPTIONS, options);
+        opts.minSize = Math.max(StageStore.MIN_BOARD_SIZE, opts.minSize);
+        opts.maxSize = Math.min(StageStore.MAX_BOARD_SIZE, Math.max(opts.minSize, opts.maxSize));
+
+        const random = SeededRandom.create(seed);
+        const name = `Generated ${(seed >>> 0).toString(16).padStart(8, '0')}`;
+
+        for (let attempt = 0; attempt < opts.maxAttempts; attempt++) {
+            const stage = buildStage(random, opts, name);
+            if (checkStage(stage, opts, random).length === 0) {
+                stage.name = `${name} (${stage.boardSize}x${stage.boardSize})`;
+                return stage;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Generate a set of stages; stage i uses the i-th seed drawn from the set's seed
+     * @param {number} count - Number of stages
+     * @param {number} seed - 32-bit seed of the set
+     * @param {Object} options - Generator options (optional)
+     * @returns {Array<Object>} Stage configurations (degenerate seeds are left out)
+     */
+    function generateMany(count, seed, options = {}) {
+        const random = SeededRandom.create(seed);
+        const generated = [];
+        for (let i = 0; i < count; i++) {
+            const stage = generate(Math.floor(random() * 0x100000000), options);
+            if (stage) generated.push(stage);
+        }
+        return generated;
+    }
+
+    // Public API
+    return {
+        DEFAULT_OPTIONS,
+        SYMMETRIES,
+        OPENINGS,
+        checkStage: (stage, options = {}, seed = 0) =>
+            checkStage(stage, Object.assign({}, DEFAULT_OPTIONS, options), SeededRandom.create(seed)),
+        generate,
+        generateMany
+    };
+})(
+    typeof GAME_CONSTANTS !== 'undefined' ? GAME_CONSTANTS : require('./constant.js'),
+    typeof OthelloRules !== 'undefined' ? OthelloRules : require('./game-rules.js'),
+    typeof SeededRandom !== 'undefined' ? SeededRandom : require('./seeded-random.js'),
+    typeof StageStore !== 'undefined' ? StageStore : require('./stage-store.js')
+);
+
+// Export as a global object or use module exports if using bundler
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StageGenerator;
+}
@@ -0,0 +1,204 @@
+/**
+ * stage-pack.js
+ *
+ * Stage packs for Othello Arena
+ * A stage pack is a versioned JSON file holding stage configurations, so
+ * instructors can share test sets and students can reproduce them. Each pack
+ * is identified by a hash of its stages' content; imported stages keep the
+ * pack's name and hash, and game results record the hash.
+ *
+ * Schema (version 1):
+ *   {format: "othello-arena-stage-pack", version: 1, name, hash, stages: [
+ *     {name, boardSize, initialBlocked, initialPlayer1, initialPlayer2, ignoreOcclusion, fewerPiecesContinue,
+ *      interactionBudget}
+ *   ]}
+ * Cells are {r, c}; rule flags are optional booleans; interactionBudget is an
+ * optional positive integer; hash is optional on import.
+ */
+
+const StagePack = (function (stages, StageStore) {
+    const FORMAT = 'othello-arena-stage-pack';
+    const VERSION = 1;
+
+    const STAGE_FIELDS = ['name', 'boardSize', 'initialBlocked', 'initialPlayer1', 'initialPlayer2', 'interactionBudget']
+        .concat(StageStore.RULE_FLAGS);
+
+    /**
+     * Canonical form of a stage for hashing and comparison: fixed key order,
+     * cells sorted, rule flags always present, interaction budget only when set
+     * (so packs made before it existed keep their hash)
+     * @param {Object} stage - Stage configuration
+     * @returns {Object} Canonical stage
+     */
+    function canonicalStage(stage) {
+        const sortCells = cells => (cells || []).map(p => ({ r: p.r, c: p.c })).sort((a, b) => a.r - b.r || a.c - b.c);
+        const canonical = {
+            name: stage.name,
+            boardSize: stage.boardSize,
+            initialBlocked: sortCells(stage.initialBlocked),
+            initialPlayer1: sortCells(stage.initialPlayer1),
+            initialPlayer2: sortCells(stage.initialPlayer2)
+        };
+        StageStore.RULE_FLAGS.forEach((flag) => {
+            canonical[flag] = !!stage[flag];
+        });
+        if (stage.interactionBudget) canonical.interactionBudget = stage.interactionBudget;
+        return canonical;
+    }
+
+    /**
+     * Hash the content of a list of stages (64-bit FNV-1a over the canonical JSON)
+     * @param {Array<Object>} packStages - Stage configurations, in pack order
+     * @returns {string} 16 hex digits
+     */
+    function computeHash(packStages) {
+        const text = JSON.stringify(packStages.map(canonicalStage));
+        const prime = BigInt('0x100000001b3');
+        const mask = BigInt('0xffffffffffffffff');
+        let hash = BigInt('0xcbf29ce484222325');
+        for (let i = 0; i < text.length; i++) {
+            hash ^= BigInt(text.charCodeAt(i));
+            hash = (hash * prime) & mask;
+        }
+        return hash.toString(16).padStart(16, '0');
+    }
+
+    /**
+     * Build a stage pack
+     * @param {string} name - Pack name
+     * @param {Array<Object>} packStages - Stage configurations
+     * @returns {Object} Stage pack
+     */
+    function createPack(name, packStages) {
+        const exported = packStages.map((stage) => {
+            const copy = StageStore.normalizeStage(stage);
+            delete copy.pack;
+            return copy;
+        });
+        return {
+            format: FORMAT,
+            version: VERSION,
+            name,
+            hash: computeHash(exported),
+            stages: exported
+        };
+    }
+
+    /**
+     * Check a parsed stage pack against the schema
+     * @param {Object} data - Parsed JSON
+     * @returns {Array<string>} Problems found, each naming where it is; empty if the pack is valid
+     */
+    function validatePack(data) {
+        const errors = [];
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            return ['The file must contain a JSON object.'];
+        }
+
+        if (data.format !== FORMAT) errors.push(`format must be "${FORMAT}".`);
+        if (data.version !== VERSION) {
+            errors.push(`version ${JSON.stringify(data.version)} is not supported (expected ${VERSION}).`);
+        }
+        if (typeof data.name !== 'string' || data.name.trim() === '') {
+            errors.push('name must be a non-empty string.');
+        } else if (StageStore.validateName(data.name).length > 0) {
+            errors.push(`name ${JSON.stringify(data.name)} may only use letters, digits, spaces and ( ) [ ] _ . , : + # -.`);
+        }
+        if (!Array.isArray(data.stages) || data.stages.length === 0) {
+            errors.push('stages must be a non-empty list.');
+            return errors;
+        }
+
+        const names = {};
+        data.stages.forEach((stage, i) => {
+            const label = stage && typeof stage.name === 'string' ? `stages[${i}] "${stage.name}"` : `stages[${i}]`;
+
+            if (stage && typeof stage === 'object') {
+                Object.keys(stage).forEach((key) => {
+                    if (!STAGE_FIELDS.includes(key)) errors.push(`${label}: unknown field "${key}".`);
+                });
+                if (typeof stage.name === 'string') {
+                    if (names[stage.name] !== undefined) {
+                        errors.push(`${label}: same name as stages[${names[stage.name]}].`);
+                    } else {
+                        names[stage.name] = i;
+                    }
+                }
+            }
+
+            StageStore.validateStage(stage).forEach(error => errors.push(`${label}: ${error}`));
+        });
+
+        if (errors.length === 0 && data.hash !== undefined && data.hash !== computeHash(data.stages)) {
+            errors.push(`hash ${data.hash} does not match the stages (${computeHash(data.stages)}); the pack was modified.`);
+        }
+
+        return errors;
+    }
+
+    /**
+     * Parse a stage pack file
+     * @param {string} text - File content
+     * @returns {Object} {pack, errors}; pack is null when there are errors
+     */
+    function parsePack(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (e) {
+            return { pack: null, errors: [`Not valid JSON: ${e.message}`] };
+        }
+
+        const errors = validatePack(data);
+        return { pack: errors.length === 0 ? data : null, errors };
+    }
+
+    /**
+     * Merge a validated pack into the custom stages.
+     * A stage whose name is already taken is skipped if its content is identical
+     * and rejected otherwise; nothing is imported if any stage is rejected.
+     * @param {Object} pack - Stage pack (see validatePack)
+     * @returns {Object} {success, errors, hash, added, skipped}
+     */
+    function importPack(pack) {
+        const errors = validatePack(pack);
+        if (errors.length > 0) return { success: false, errors, hash: null, added: 0, skipped: 0 };
+
+        const hash = computeHash(pack.stages);
+        const toAdd = [];
+        pack.stages.forEach((stage, i) => {
+            const existing = stages.find(s => s.name === stage.name);
+            if (!existing) {
+                toAdd.push(stage);
+            } else if (JSON.stringify(canonicalStage(existing)) !== JSON.stringify(canonicalStage(stage))) {
+                errors.push(`stages[${i}] "${stage.name}": a different stage with this name already exists; rename one of them.`);
+            }
+        });
+        if (errors.length > 0) return { success: false, errors, hash, added: 0, skipped: 0 };
+
+        toAdd.forEach((stage) => {
+            StageStore.saveCustomStage(Object.assign({}, stage, { pack: { name: pack.name, hash } }));
+        });
+
+        return { success: true, errors: [], hash, added: toAdd.length, skipped: pack.stages.length - toAdd.length };
+    }
+
+    // Public API
+    return {
+        FORMAT,
+        VERSION,
+        computeHash,
+        createPack,
+        validatePack,
+        parsePack,
+        importPack
+    };
+})(
+    typeof stages !== 'undefined' ? stages : require('./stages.js'),
+    typeof StageStore !== 'undefined' ? StageStore : require('./stage-store.js')
+);
+
+// Export as a global object or use module exports if using bundler
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StagePack;
+}
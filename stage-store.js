@@ -0,0 +1,306 @@
+/**
+ * stage-store.js
+ *
+ * Custom stages for Othello Arena
+ * Validates stage configurations and keeps user-made stages in localStorage.
+ * Loaded custom stages are appended to the `stages` array, so everything that
+ * looks stages up by index or name (stage selector, tournaments, replays)
+ * sees them alongside the built-ins.
+ */
+
+const StageStore = (function (GAME_CONSTANTS, stages, OthelloRules) {
+    const STORAGE_KEY = 'othelloCustomStages';
+    const MIN_BOARD_SIZE = 4;
+    const MAX_BOARD_SIZE = 12;
+
+    // Rule flags a stage may set (see game-rules.js)
+    const RULE_FLAGS = ['ignoreOcclusion', 'fewerPiecesContinue'];
+
+    // Characters a stage name may use; names end up in the game log (HTML) and in generated strategy code
+    const NAME_PATTERN = /^[\p{L}\p{N} ()\[\]_.,:+#-]+$/u;
+
+    // Names of the stages that came from storage
+    const customStageNames = new Set();
+
+    /**
+     * Check a stage name
+     * @param {*} name - Stage name
+     * @returns {Array<string>} Problems found; empty if the name can be used
+     */
+    function validateName(name) {
+        if (typeof name !== 'string' || name.trim() === '') {
+            return ['Stage needs a name.'];
+        }
+        if (!NAME_PATTERN.test(name)) {
+            return [`Stage name ${JSON.stringify(name)} may only use letters, digits, spaces and ( ) [ ] _ . , : + # -.`];
+        }
+        return [];
+    }
+
+    /**
+     * Check a stage configuration
+     * @param {Object} stage - Stage configuration
+     * @returns {Array<string>} Problems found; empty if the stage is playable
+     */
+    function validateStage(stage) {
+        if (!stage || typeof stage !== 'object') {
+            return ['Stage must be an object.'];
+        }
+
+        const errors = validateName(stage.name);
+
+        const size = stage.boardSize;
+        if (!Number.isInteger(size) || size < MIN_BOARD_SIZE || size > MAX_BOARD_SIZE) {
+            errors.push(`boardSize must be an integer from ${MIN_BOARD_SIZE} to ${MAX_BOARD_SIZE}.`);
+            return errors;
+        }
+
+        const occupied = {};
+        ['initialBlocked', 'initialPlayer1', 'initialPlayer2'].forEach((field) => {
+            const cells = stage[field] === undefined ? [] : stage[field];
+            if (!Array.isArray(cells)) {
+                errors.push(`${field} must be a list of {r, c} cells.`);
+                return;
+            }
+            cells.forEach((p, i) => {
+                if (!p || !Number.isInteger(p.r) || !Number.isInteger(p.c)) {
+                    errors.push(`${field}[${i}] must be a cell {r, c} with integer coordinates.`);
+                } else if (!OthelloRules.isWithinBoard(p.r, p.c, size)) {
+                    errors.push(`${field}[${i}] (${p.r}, ${p.c}) is outside the ${size}x${size} board.`);
+                } else if (occupied[`${p.r},${p.c}`]) {
+                    errors.push(`${field}[${i}] (${p.r}, ${p.c}) is already used by ${occupied[`${p.r},${p.c}`]}.`);
+                } else {
+                    occupied[`${p.r},${p.c}`] = field;
+                }
+            });
+        });
+
+        RULE_FLAGS.forEach((flag) => {
+            if (stage[flag] !== undefined && typeof stage[flag] !== 'boolean') {
+                errors.push(`${flag} must be true or false.`);
+            }
+        });
+
+        if (stage.interactionBudget !== undefined &&
+            (!Number.isInteger(stage.interactionBudget) || stage.interactionBudget < 1)) {
+            errors.push('interactionBudget must be a positive integer.');
+        }
+
+        if (errors.length > 0) return errors;
+
+        if ((stage.initialPlayer1 || []).length === 0) errors.push('Black (initialPlayer1) has no pieces.');
+        if ((stage.initialPlayer2 || []).length === 0) errors.push('White (initialPlayer2) has no pieces.');
+
+        if (errors.length === 0) {
+            const board = OthelloRules.createInitialBoard(stage);
+            if (OthelloRules.getValidMoves(board, GAME_CONSTANTS.BLACK, stage).length === 0) {
+                errors.push('Black has no legal first move.');
+            }
+        }
+
+        return errors;
+    }
+
+    /**
+     * Copy the known fields of a stage configuration; rule flags and the interaction budget are kept only when set
+     * @param {Object} stage - Stage configuration
+     * @returns {Object} Clean stage configuration
+     */
+    function normalizeStage(stage) {
+        const copyCells = cells => (cells || []).map(p => ({ r: p.r, c: p.c }));
+        const normalized = {
+            name: stage.name.trim(),
+            boardSize: stage.boardSize,
+            initialBlocked: copyCells(stage.initialBlocked),
+            initialPlayer1: copyCells(stage.initialPlayer1),
+            initialPlayer2: copyCells(stage.initialPlayer2)
+        };
+        RULE_FLAGS.forEach((flag) => {
+            if (stage[flag]) normalized[flag] = true;
+        });
+        // Environment API steps an intelligent system may use analyzing the stage (see environment-api.js)
+        if (stage.interactionBudget) normalized.interactionBudget = stage.interactionBudget;
+        // Stage pack the stage was imported from (see stage-pack.js)
+        if (stage.pack) normalized.pack = { name: stage.pack.name, hash: stage.pack.hash };
+        return normalized;
+    }
+
+    /**
+     * Check if a stage came from storage rather than stages.js
+     * @param {string} name - Stage name
+     * @returns {boolean} True for a custom stage
+     */
+    function isCustomStage(name) {
+        return customStageNames.has(name);
+    }
+
+    /**
+     * Get the custom stages
+     * @returns {Array<Object>} Custom stage configurations
+     */
+    function getCustomStages() {
+        return stages.filter(stage => customStageNames.has(stage.name));
+    }
+
+    /**
+     * Write the custom stages to localStorage
+     * @returns {boolean} True if the stages were written
+     */
+    function saveToStorage() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(getCustomStages()));
+            return true;
+        } catch (e) {
+            console.error("Failed to save custom stages:", e);
+            return false;
+        }
+    }
+
+    /**
+     * Append the stored custom stages to the stage list
+     * Invalid entries and names taken by built-in stages are skipped.
+     * @returns {number} Number of stages loaded
+     */
+    function loadCustomStages() {
+        let stored = [];
+        try {
+            stored = JSON.parse(localStorage.getItem(STORAGE_KEY)) || [];
+        } catch (e) {
+            console.error("Error loading custom stages:", e);
+        }
+
+        let loaded = 0;
+        stored.forEach((stage) => {
+            const errors = validateStage(stage);
+            if (errors.length > 0) {
+                console.warn(`Skipping stored stage "${stage && stage.name}": ${errors.join(' ')}`);
+                return;
+            }
+            if (stages.some(s => s.name === stage.name)) return;
+
+            stages.push(normalizeStage(stage));
+            customStageNames.add(stage.name);
+            loaded++;
+        });
+        return loaded;
+    }
+
+    /**
+     * Validate and store a custom stage; a custom stage with the same name is replaced in place
+     * @param {Object} stage - Stage configuration
+     * @returns {Object} {success, errors, index}, index being the stage's position in `stages`
+     */
+    function saveCustomStage(stage) {
+        const errors = validateStage(stage);
+        if (errors.length > 0) return { success: false, errors, index: -1 };
+
+        const normalized = normalizeStage(stage);
+        let index = stages.findIndex(s => s.name === normalized.name);
+        if (index >= 0 && !customStageNames.has(normalized.name)) {
+            return { success: false, errors: [`"${normalized.name}" is a built-in stage; choose another name.`], index: -1 };
+        }
+
+        if (index >= 0) {
+            stages[index] = normalized;
+        } else {
+            stages.push(normalized);
+            index = stages.length - 1;
+        }
+        customStageNames.add(normalized.name);
+        saveToStorage();
+
+        return { success: true, errors: [], index };
+    }
+
+    /**
+     * Validate and store several custom stages, writing localStorage once.
+     * Nothing is stored unless every stage is valid; if localStorage cannot be
+     * written, the stage list is put back as it was.
+     * @param {Array<Object>} stageList - Stage configurations
+     * @returns {Object} {success, errors, indices}, indices being the stages' positions in `stages`
+     */
+    function saveCustomStages(stageList) {
+        const errors = [];
+        const names = new Set();
+        stageList.forEach((stage, i) => {
+            const label = stage && typeof stage.name === 'string' ? `"${stage.name}"` : `Stage ${i + 1}`;
+            validateStage(stage).forEach(error => errors.push(`${label}: ${error}`));
+            if (!stage || typeof stage.name !== 'string') return;
+
+            if (names.has(stage.name)) {
+                errors.push(`${label}: the name is used twice in the list.`);
+            } else if (stages.some(s => s.name === stage.name) && !customStageNames.has(stage.name)) {
+                errors.push(`${label}: the name belongs to a built-in stage; choose another name.`);
+            }
+            names.add(stage.name);
+        });
+        if (errors.length > 0) return { success: false, errors, indices: [] };
+
+        const previousStages = stages.slice();
+        const previousNames = new Set(customStageNames);
+        const indices = stageList.map((stage) => {
+            const normalized = normalizeStage(stage);
+            let index = stages.findIndex(s => s.name === normalized.name);
+            if (index >= 0) {
+                stages[index] = normalized;
+            } else {
+                stages.push(normalized);
+                index = stages.length - 1;
+            }
+            customStageNames.add(normalized.name);
+            return index;
+        });
+
+        if (!saveToStorage()) {
+            stages.splice(0, stages.length, ...previousStages);
+            customStageNames.clear();
+            previousNames.forEach(name => customStageNames.add(name));
+            return { success: false, errors: ['The stages could not be written to browser storage; none were saved.'], indices: [] };
+        }
+
+        return { success: true, errors: [], indices };
+    }
+
+    /**
+     * Remove a custom stage
+     * @param {string} name - Stage name
+     * @returns {boolean} Success status
+     */
+    function deleteCustomStage(name) {
+        if (!customStageNames.has(name)) {
+            console.error(`Custom stage "${name}" not found`);
+            return false;
+        }
+
+        const index = stages.findIndex(s => s.name === name);
+        if (index >= 0) stages.splice(index, 1);
+        customStageNames.delete(name);
+        saveToStorage();
+        return true;
+    }
+
+    // Public API
+    return {
+        MIN_BOARD_SIZE,
+        MAX_BOARD_SIZE,
+        RULE_FLAGS,
+        validateName,
+        validateStage,
+        normalizeStage,
+        isCustomStage,
+        getCustomStages,
+        loadCustomStages,
+        saveCustomStage,
+        saveCustomStages,
+        deleteCustomStage
+    };
+})(
+    typeof GAME_CONSTANTS !== 'undefined' ? GAME_CONSTANTS : require('./constant.js'),
+    typeof stages !== 'undefined' ? stages : require('./stages.js'),
+    typeof OthelloRules !== 'undefined' ? OthelloRules : require('./game-rules.js')
+);
+
+// Export as a global object or use module exports if using bundler
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StageStore;
+}
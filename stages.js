@@ -5,7 +5,9 @@
  * Each stage includes board size, initial piece positions, and blocked cells
  * 
  * Note: The special rules (ignoreOcclusion, fewerPiecesContinue) are implementation
- * details and not exposed in the student-facing API documentation
+ * details and not exposed in the student-facing API documentation. In discovery mode
+ * they are removed from the stage passed to analyzeStage and can only be inferred
+ * through the step/playOut environment (see environment-api.js)
  */
 
 
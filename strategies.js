@@ -10,6 +10,16 @@ const OthelloStrategies = (function () {
     let savedStrategies = {};
     let compiledStudentAIs = {};
 
+    /**
+     * Get the stage whose rules built-in strategies simulate with when no
+     * simulate function is passed in
+     * @returns {Object|null} Active stage configuration
+     */
+    function getActiveStage() {
+        return typeof OthelloCore !== 'undefined' && OthelloCore.getCurrentStage ?
+            OthelloCore.getCurrentStage() : null;
+    }
+
     // Built-in strategies
     const builtInStrategies = {
         /**
@@ -29,54 +39,22 @@ const OthelloStrategies = (function () {
          * @param {Array<Array<number>>} board - Current board state
          * @param {number} player - Current player (BLACK or WHITE)
          * @param {Array<Object>} validMoves - Array of valid move positions {row, col}
-         * @param {Function} makeMoveFn - Function to make a move (for simulation)
+         * @param {Function} simulateFn - Pure move simulator simulate(board, player, row, col)
          * @returns {Object} Selected move {row, col} or null if no moves
          */
-        greedy: function (board, player, validMoves, makeMoveFn) {
+        greedy: function (board, player, validMoves, simulateFn) {
             if (validMoves.length === 0) return null;
 
-            const opponent = player === GAME_CONSTANTS.BLACK ? GAME_CONSTANTS.WHITE : GAME_CONSTANTS.BLACK;
+            const stageConfig = getActiveStage();
             let bestMove = null;
             let maxFlips = -1;
 
             // Iterate through all valid moves
             for (const move of validMoves) {
-                // Simulate the move to count flips
-                const tempBoard = board.map(row => [...row]); // Copy the board
-                let currentFlips = 0;
-
-                // Place the piece
-                tempBoard[move.row][move.col] = player;
-
-                // Count flipped pieces in each direction
-                const directions = [[-1, -1], [-1, 0], [-1, 1], [0, -1], [0, 1], [1, -1], [1, 0], [1, 1]];
-
-                for (const [dr, dc] of directions) {
-                    let r = move.row + dr;
-                    let c = move.col + dc;
-                    const piecesToFlip = [];
-
-                    // Collect opponent pieces that could be flipped
-                    while (
-                        r >= 0 && r < tempBoard.length &&
-                        c >= 0 && c < tempBoard.length &&
-                        tempBoard[r][c] === opponent
-                    ) {
-                        piecesToFlip.push([r, c]);
-                        r += dr;
-                        c += dc;
-                    }
-
-                    // Check if these pieces are actually flipped (bounded by player's piece)
-                    if (
-                        piecesToFlip.length > 0 &&
-                        r >= 0 && r < tempBoard.length &&
-                        c >= 0 && c < tempBoard.length &&
-                        tempBoard[r][c] === player
-                    ) {
-                        currentFlips += piecesToFlip.length;
-                    }
-                }
+                // Count flips under the active stage's rules
+                const currentFlips = simulateFn ?
+                    (simulateFn(board, player, move.row, move.col) || { flipped: [] }).flipped.length :
+                    OthelloRules.getFlips(board, move.row, move.col, player, stageConfig).length;
 
                 // Update best move if this flips more pieces
                 if (currentFlips > maxFlips) {
@@ -99,10 +77,10 @@ const OthelloStrategies = (function () {
          * @param {Array<Array<number>>} board - Current board state
          * @param {number} player - Current player (BLACK or WHITE)
          * @param {Array<Object>} validMoves - Array of valid move positions {row, col}
-         * @param {Function} makeMoveFn - Function to make a move (for simulation)
+         * @param {Function} simulateFn - Pure move simulator simulate(board, player, row, col)
          * @returns {Object} Selected move {row, col} or null if no moves
          */
-        corners: function (board, player, validMoves, makeMoveFn) {
+        corners: function (board, player, validMoves, simulateFn) {
             if (validMoves.length === 0) return null;
 
             const boardSize = board.length;
@@ -129,7 +107,7 @@ const OthelloStrategies = (function () {
             }
 
             // Fall back to greedy strategy for non-edge moves
-            return builtInStrategies.greedy(board, player, validMoves, makeMoveFn);
+            return builtInStrategies.greedy(board, player, validMoves, simulateFn);
         },
 
         /**
@@ -137,10 +115,10 @@ const OthelloStrategies = (function () {
          * @param {Array<Array<number>>} board - Current board state
          * @param {number} player - Current player (BLACK or WHITE)
          * @param {Array<Object>} validMoves - Array of valid move positions {row, col}
-         * @param {Function} makeMoveFn - Function to make a move (for simulation)
+         * @param {Function} simulateFn - Pure move simulator simulate(board, player, row, col)
          * @returns {Object} Selected move {row, col} or null if no moves
          */
-        positional: function (board, player, validMoves, makeMoveFn) {
+        positional: function (board, player, validMoves, simulateFn) {
             if (validMoves.length === 0) return null;
 
             let bestMove = null;
@@ -149,7 +127,7 @@ const OthelloStrategies = (function () {
             // Check board size
             if (board.length !== 8) {
                 console.warn("Positional weights only valid for 8x8! Falling back to greedy.");
-                return builtInStrategies.greedy(board, player, validMoves, makeMoveFn);
+                return builtInStrategies.greedy(board, player, validMoves, simulateFn);
             }
 
             // Position weights for 8x8 board
@@ -177,6 +155,54 @@ const OthelloStrategies = (function () {
         }
     };
 
+    /**
+     * Compile strategy code into a callable function
+     * @param {string} code - Strategy code defining studentStrategy
+     * @returns {Function} Function (board, player, validMoves, simulate) => move
+     */
+    function compileStrategyCode(code) {
+        return new Function('boardArg', 'playerArg', 'validMovesArg', 'simulateFunc',
+            `${code}\nreturn studentStrategy(boardArg, playerArg, validMovesArg, simulateFunc);`);
+    }
+
+    /**
+     * Split what a strategy returned into its move and optional diagnostics.
+     * A strategy may return a move {row, col}, or an object {move: {row, col}, ...} whose
+     * other fields (e.g. eval, depth, pv) are diagnostics shown in replays and game logs.
+     * Extra fields next to row and col are treated as diagnostics too.
+     * @param {Object|null} result - Value returned by the strategy
+     * @returns {Object} {move: {row, col} or null, diagnostic: plain object or null}
+     */
+    function readStrategyResult(result) {
+        if (!result || typeof result !== 'object') {
+            return { move: null, diagnostic: null };
+        }
+
+        const hasMove = result.move && typeof result.move === 'object';
+        const move = hasMove ? result.move : result;
+        const rest = Object.assign({}, result);
+        delete rest.move;
+        if (!hasMove) {
+            delete rest.row;
+            delete rest.col;
+        }
+
+        // Keep only what survives JSON, so diagnostics can be stored and sent between workers
+        let diagnostic = null;
+        if (Object.keys(rest).length > 0) {
+            try {
+                diagnostic = JSON.parse(JSON.stringify(rest));
+            } catch (e) {
+                diagnostic = null;
+            }
+        }
+
+        return {
+            move: typeof move.row === 'number' && typeof move.col === 'number' ? { row: move.row, col: move.col } : null,
+            diagnostic
+        };
+    }
+
     /**
      * Compiles a strategy from code string
      * @param {string} controllerId - Strategy ID
@@ -200,8 +226,7 @@ const OthelloStrategies = (function () {
 
                 try {
                     // Try to compile from code string (fallback for pre-existing strategies)
-                    const compiledFunc = new Function('boardArg', 'playerArg', 'validMovesArg', 'makeMoveFunc',
-                        `${code}\nreturn studentStrategy(boardArg, playerArg, validMovesArg, makeMoveFunc);`);
+                    const compiledFunc = compileStrategyCode(code);
 
                     // Cache for future use
                     compiledStudentAIs[strategyName] = compiledFunc;
@@ -226,6 +251,19 @@ const OthelloStrategies = (function () {
         return null;
     }
 
+    /**
+     * Describe where a strategy's code comes from, so it can be loaded in a worker
+     * @param {string} controllerId - Strategy ID
+     * @returns {Object|null} {builtIn: name} or {code}, or null if unknown
+     */
+    function getStrategySource(controllerId) {
+        if (controllerId.startsWith('custom_')) {
+            const code = savedStrategies[controllerId.replace('custom_', '')];
+            return code ? { code } : null;
+        }
+        return builtInStrategies[controllerId] ? { builtIn: controllerId } : null;
+    }
+
     /**
      * Save a strategy to storage
      * @param {string} name - Strategy name
@@ -409,6 +447,9 @@ const OthelloStrategies = (function () {
     return {
         // Strategy management
         getCompiledStrategy,
+        compileStrategyCode,
+        readStrategyResult,
+        getStrategySource,
         saveStrategy,
         deleteStrategy,
         loadSavedStrategies,
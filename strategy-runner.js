@@ -0,0 +1,275 @@
+/**
+ * strategy-runner.js
+ *
+ * Runs strategies inside Web Workers for Othello Arena
+ * Each strategy (per side) gets a dedicated worker, so a slow or looping
+ * strategy never blocks the page and can be terminated as soon as its
+ * remaining clock runs out. Intelligent systems are analyzed in a worker of
+ * their own, which then serves the moves of the generated strategy.
+ */
+
+const StrategyRunner = (function () {
+    const WORKER_SCRIPT = 'strategy-worker.js';
+
+    // Live workers keyed by controllerId and player: {worker, sourceKey, pending, responded}
+    let workers = {};
+    // Analyzed intelligent systems keyed by controllerId (shared by both sides)
+    let systems = {};
+    let nextRequestId = 1;
+    let workersUnavailable = false;
+
+    /**
+     * Check if a strategy can run in a worker
+     * Intelligent-system strategies run in a worker only if they were analyzed in one;
+     * otherwise they reference closures on the page and stay on the main thread.
+     * @param {string} controllerId - Strategy ID
+     * @returns {boolean} True if the strategy should run in a worker
+     */
+    function canRunInWorker(controllerId) {
+        if (systems[controllerId]) return true;
+        if (!isSupported() || typeof OthelloStrategies === 'undefined') {
+            return false;
+        }
+
+        const source = OthelloStrategies.getStrategySource(controllerId);
+        return !!source && !(source.code && source.code.includes('compiledIntelligentSystems'));
+    }
+
+    /**
+     * Check if an analyzed intelligent system is alive in a worker
+     * @param {string} controllerId - Strategy ID of the generated strategy
+     * @returns {boolean} True if the system's worker can play moves
+     */
+    function hasSystem(controllerId) {
+        return !!systems[controllerId];
+    }
+
+    /**
+     * Check if Web Workers can be used on this page
+     * @returns {boolean} True if workers are available
+     */
+    function isSupported() {
+        return !workersUnavailable && typeof Worker !== 'undefined';
+    }
+
+    /**
+     * Start a worker and route its replies to pending requests
+     * @param {Object} pool - Map the worker is stored in (workers or systems)
+     * @param {string} key - Key of the worker in the pool
+     * @param {Object} fields - Extra fields stored on the entry
+     * @returns {Object|null} Worker entry or null if workers cannot be created
+     */
+    function spawnWorker(pool, key, fields) {
+        let worker;
+        try {
+            worker = new Worker(WORKER_SCRIPT);
+        } catch (e) {
+            console.warn("[StrategyRunner] Web Workers unavailable, running strategies on the main thread:", e.message);
+            workersUnavailable = true;
+            return null;
+        }
+
+        const entry = Object.assign({ worker, pending: {}, responded: false }, fields);
+
+        worker.onmessage = (e) => {
+            const msg = e.data;
+            const request = entry.pending[msg.id];
+            entry.responded = true;
+            if (!request) return;
+            delete entry.pending[msg.id];
+
+            if (msg.type === 'error') {
+                request.resolve({ move: null, timedOut: false, error: msg.message, usage: msg.usage || null });
+            } else {
+                request.resolve({
+                    move: msg.move || null,
+                    diagnostic: msg.diagnostic || null,
+                    timedOut: false,
+                    error: null,
+                    noStrategy: !!msg.noStrategy,
+                    usage: msg.usage || null
+                });
+            }
+        };
+
+        worker.onerror = (e) => {
+            e.preventDefault();
+
+            // A worker that never answered could not load its scripts (e.g. opened from file://)
+            if (!entry.responded) {
+                console.warn("[StrategyRunner] Strategy worker failed to load, running strategies on the main thread.");
+                workersUnavailable = true;
+            }
+            terminate(pool, key, e.message || "Strategy worker failed");
+        };
+
+        pool[key] = entry;
+        return entry;
+    }
+
+    /**
+     * Send a request to a worker and wait for its reply, terminating the worker if the time limit passes
+     * @param {Object} pool - Map the worker is stored in (workers or systems)
+     * @param {string} key - Key of the worker in the pool
+     * @param {Object} message - Message to send (an id is added)
+     * @param {number} timeLimit - Time limit (ms)
+     * @returns {Promise<Object>} {move, timedOut, error}
+     */
+    function sendRequest(pool, key, message, timeLimit) {
+        const entry = pool[key];
+        const id = nextRequestId++;
+
+        return new Promise((resolve) => {
+            const timer = setTimeout(() => {
+                if (!entry.pending[id]) return;
+                delete entry.pending[id];
+
+                // Preempt the worker: its time is used up
+                console.warn(`[StrategyRunner] ${key} exceeded its time limit; terminating worker.`);
+                terminate(pool, key);
+                resolve({ move: null, timedOut: true, error: null });
+            }, Math.max(0, timeLimit));
+
+            entry.pending[id] = {
+                resolve: (result) => {
+                    clearTimeout(timer);
+                    resolve(result);
+                }
+            };
+
+            entry.worker.postMessage(Object.assign({ id }, message));
+        });
+    }
+
+    /**
+     * Get (or create) the worker for a strategy and side
+     * @param {string} controllerId - Strategy ID
+     * @param {number} player - Player (BLACK or WHITE)
+     * @returns {Object|null} Worker entry or null if workers cannot be created
+     */
+    function getWorker(controllerId, player) {
+        const key = `${controllerId}:${player}`;
+        const source = OthelloStrategies.getStrategySource(controllerId);
+        const sourceKey = JSON.stringify(source);
+
+        // Reuse the worker unless the strategy code has changed
+        if (workers[key] && workers[key].sourceKey === sourceKey) {
+            return workers[key];
+        }
+        terminate(workers, key);
+
+        const entry = spawnWorker(workers, key, { sourceKey });
+        if (entry) {
+            entry.worker.postMessage({ type: 'load', source });
+        }
+        return entry;
+    }
+
+    /**
+     * Ask a strategy for a move, terminating its worker if the time limit passes
+     * @param {string} controllerId - Strategy ID
+     * @param {number} player - Player to move (BLACK or WHITE)
+     * @param {Array<Array<number>>} board - Current board state
+     * @param {Array<Object>} validMoves - Valid moves {row, col}
+     * @param {Object} stageConfig - Stage configuration of the running game
+     * @param {number} timeLimit - Remaining clock for this strategy (ms)
+     * @param {boolean} isTournament - Whether this is a tournament game
+     * @returns {Promise<Object>} {move, diagnostic, timedOut, error}; diagnostic is the optional data
+     *                            the strategy returned with its move (see OthelloStrategies.readStrategyResult)
+     */
+    function requestMove(controllerId, player, board, validMoves, stageConfig, timeLimit, isTournament) {
+        let pool = systems;
+        let key = controllerId;
+
+        if (!systems[controllerId]) {
+            pool = workers;
+            key = `${controllerId}:${player}`;
+            if (!getWorker(controllerId, player)) {
+                return Promise.resolve({ move: null, timedOut: false, error: "Web Workers unavailable" });
+            }
+        }
+
+        return sendRequest(pool, key, {
+            type: 'move',
+            board,
+            player,
+            validMoves,
+            stageConfig,
+            strict: isTournament
+        }, timeLimit);
+    }
+
+    /**
+     * Analyze a stage with an intelligent system in a new worker.
+     * On success the worker is kept and plays the generated strategy under controllerId;
+     * if the time limit passes the worker is terminated.
+     * @param {string} controllerId - Strategy ID the generated strategy is saved under
+     * @param {string} systemCode - Intelligent system code defining analyzeStage
+     * @param {Object} stageConfig - Stage to analyze
+     * @param {number} timeLimit - Analysis time limit (ms)
+     * @param {Object} options - Analysis options {discovery} (see environment-api.js)
+     * @returns {Promise<Object>} {timedOut, error, noStrategy, usage}; usage is the interaction
+     *                            budget {limit, used, remaining}, or null if the analysis timed out
+     */
+    function analyze(controllerId, systemCode, stageConfig, timeLimit, options = {}) {
+        terminate(systems, controllerId);
+
+        if (!spawnWorker(systems, controllerId, {})) {
+            return Promise.resolve({ timedOut: false, error: "Web Workers unavailable" });
+        }
+
+        return sendRequest(systems, controllerId, { type: 'analyze', code: systemCode, stageConfig, options }, timeLimit)
+            .then(result => {
+                // Keep the worker only if it holds a working strategy
+                if (result.error || result.noStrategy) terminate(systems, controllerId);
+                return {
+                    timedOut: result.timedOut,
+                    error: result.error,
+                    noStrategy: !!result.noStrategy,
+                    usage: result.usage || null
+                };
+            });
+    }
+
+    /**
+     * Terminate one worker, failing any requests still waiting on it
+     * @param {Object} pool - Map the worker is stored in (workers or systems)
+     * @param {string} key - Key of the worker in the pool
+     * @param {string} reason - Error reported to pending requests
+     */
+    function terminate(pool, key, reason = "Strategy worker terminated") {
+        const entry = pool[key];
+        if (!entry) return;
+
+        entry.worker.terminate();
+        delete pool[key];
+
+        Object.values(entry.pending).forEach(request => {
+            request.resolve({ move: null, timedOut: false, error: reason });
+        });
+        entry.pending = {};
+    }
+
+    /**
+     * Terminate all strategy workers (e.g. when a game is reset).
+     * Analyzed intelligent systems are kept, since they would need a new analysis.
+     */
+    function terminateAll() {
+        Object.keys(workers).forEach(key => terminate(workers, key));
+    }
+
+    // Public API
+    return {
+        isSupported,
+        hasSystem,
+        canRunInWorker,
+        requestMove,
+        analyze,
+        terminateAll
+    };
+})();
+
+// Export as a global object or use module exports if using bundler
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StrategyRunner;
+}
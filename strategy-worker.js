@@ -0,0 +1,117 @@
+/**
+ * strategy-worker.js
+ *
+ * Web Worker that compiles and runs a single strategy off the main thread
+ * The page sends the board, valid moves and stage over messages and can
+ * terminate the worker when the strategy's clock runs out. An intelligent
+ * system is analyzed here too, and the strategy it returns keeps running in
+ * the same worker, since its closure cannot be sent back to the page.
+ *
+ * Messages in:
+ *   {type: 'load', source: {builtIn} | {code}}
+ *   {type: 'analyze', id, code, stageConfig, options}   (options: {discovery}, see environment-api.js)
+ *   {type: 'move', id, board, player, validMoves, stageConfig, strict}
+ * Messages out:
+ *   {type: 'analyzed', id, noStrategy, usage}   (usage: interaction budget {limit, used, remaining})
+ *   {type: 'move', id, move, diagnostic}   (diagnostic: optional data the strategy returned with its move)
+ *   {type: 'error', id, message, usage}
+ */
+
+importScripts('constant.js', 'stages.js', 'game-rules.js', 'environment-api.js', 'strategies.js');
+
+let strategyFn = null;
+let loadError = null;
+
+/**
+ * Compile the strategy this worker runs
+ * @param {Object} source - {builtIn: name} or {code}
+ */
+function loadStrategy(source) {
+    strategyFn = null;
+    loadError = null;
+
+    try {
+        if (source && source.builtIn) {
+            strategyFn = OthelloStrategies.getBuiltInStrategy(source.builtIn);
+        } else if (source && source.code) {
+            strategyFn = OthelloStrategies.compileStrategyCode(source.code);
+        }
+        if (!strategyFn) loadError = "Strategy not found";
+    } catch (e) {
+        loadError = `Compile error: ${e.message}`;
+    }
+}
+
+/**
+ * Run an intelligent system's analyzeStage and keep the strategy it returns
+ * @param {Object} msg - Analysis request
+ */
+async function runAnalysis(msg) {
+    strategyFn = null;
+    loadError = "Analysis did not finish";
+    const options = msg.options || {};
+    const environment = EnvironmentAPI.create(msg.stageConfig, options);
+
+    try {
+        const analyzeStage = new Function(`
+            ${msg.code}
+            return typeof analyzeStage === 'function' ? analyzeStage : null;
+        `)();
+
+        if (typeof analyzeStage !== 'function') {
+            throw new Error("Failed to extract analyzeStage function");
+        }
+
+        const initialBoard = OthelloRules.createInitialBoard(msg.stageConfig);
+        const initialValidMoves = OthelloRules.getValidMoves(initialBoard, GAME_CONSTANTS.BLACK, msg.stageConfig);
+        const result = await analyzeStage(EnvironmentAPI.visibleStage(msg.stageConfig, options),
+            initialBoard, initialValidMoves, environment);
+
+        if (typeof result !== 'function') {
+            loadError = "The analyzeStage function did not return a function";
+            postMessage({ type: 'analyzed', id: msg.id, noStrategy: true, usage: environment.getBudget() });
+            return;
+        }
+
+        strategyFn = result;
+        loadError = null;
+        postMessage({ type: 'analyzed', id: msg.id, noStrategy: false, usage: environment.getBudget() });
+    } catch (e) {
+        loadError = e.message;
+        postMessage({ type: 'error', id: msg.id, message: e.message, usage: environment.getBudget() });
+    }
+}
+
+/**
+ * Run the strategy for one move and post the result
+ * @param {Object} msg - Move request
+ */
+async function runMove(msg) {
+    if (!strategyFn) {
+        postMessage({ type: 'error', id: msg.id, message: loadError || "Strategy not loaded" });
+        return;
+    }
+
+    try {
+        const simulate = OthelloRules.createSimulator(msg.stageConfig, msg.board.map(r => [...r]), msg.strict);
+        const result = await strategyFn(msg.board, msg.player, msg.validMoves, simulate);
+
+        // Only plain coordinates and data can cross the worker boundary
+        const { move, diagnostic } = OthelloStrategies.readStrategyResult(result);
+        postMessage({ type: 'move', id: msg.id, move, diagnostic });
+    } catch (e) {
+        postMessage({ type: 'error', id: msg.id, message: e.message });
+    }
+}
+
+self.onmessage = function (e) {
+    const msg = e.data;
+
+    if (msg.type === 'load') {
+        loadStrategy(msg.source);
+    } else if (msg.type === 'analyze') {
+        runAnalysis(msg);
+    } else if (msg.type === 'move') {
+        runMove(msg);
+    }
+};
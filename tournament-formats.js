@@ -0,0 +1,632 @@
+/**
+ * tournament-formats.js
+ *
+ * Tournament formats for Othello Arena
+ * Pairing and standings logic for round robin, Swiss, single/double
+ * elimination and groups-then-playoffs. A tournament is a plain,
+ * JSON-serializable state object; the page plays the games of each round
+ * and reports them back with recordGame. Free of DOM access.
+ *
+ * State: {type, options, seed, players: [{id, name}], rounds: [{label, stage, pairings}], finished}
+ * Pairing: {players: [a, b], games: [{black, white, opening, result}], winner, bye}
+ */
+
+const TournamentFormats = (function (SeededRandom) {
+    const FORMATS = {
+        'round-robin': 'Round robin',
+        'swiss': 'Swiss',
+        'single-elimination': 'Single elimination',
+        'double-elimination': 'Double elimination',
+        'groups': 'Groups + playoffs'
+    };
+
+    // Search limit for Swiss pairings without rematches
+    const MAX_PAIRING_STEPS = 10000;
+
+    const DEFAULT_OPTIONS = {
+        swissRounds: 5,
+        groupSize: 4,
+        advancePerGroup: 2,
+        // Opening ids; when set, every game of a pairing is played once per opening
+        openings: []
+    };
+
+    /**
+     * Create a new tournament
+     * @param {string} type - Format key (see FORMATS)
+     * @param {Array<Object>} players - Participants {id, name}, in seed order
+     * @param {Object} options - {swissRounds, groupSize, advancePerGroup, openings} (optional)
+     * @param {number|null} seed - If given, the seed order is drawn at random from this seed
+     * @returns {Object} Tournament state
+     */
+    function create(type, players, options = {}, seed = null) {
+        if (!FORMATS[type]) {
+            throw new Error(`Unknown tournament format: ${type}`);
+        }
+
+        const seeded = players.map(p => ({ id: p.id, name: p.name }));
+        if (seed !== null) {
+            // Fisher-Yates draw, reproducible from the seed
+            const random = SeededRandom.create(seed);
+            for (let i = seeded.length - 1; i > 0; i--) {
+                const j = Math.floor(random() * (i + 1));
+                [seeded[i], seeded[j]] = [seeded[j], seeded[i]];
+            }
+        }
+
+        return {
+            type,
+            options: Object.assign({}, DEFAULT_OPTIONS, options),
+            seed,
+            players: seeded,
+            rounds: [],
+            finished: false
+        };
+    }
+
+    /**
+     * Create a pairing
+     * @param {string} a - First player (higher seed)
+     * @param {string|null} b - Second player, or null for a bye
+     * @param {boolean} miniMatch - Play two games with colours swapped instead of one
+     * @returns {Object} Pairing
+     */
+    function createPairing(a, b, miniMatch) {
+        if (b === null) {
+            return { players: [a, null], games: [], winner: a, bye: true };
+        }
+
+        const games = [{ black: a, white: b, result: null }];
+        if (miniMatch) {
+            games.push({ black: b, white: a, result: null });
+        }
+        return { players: [a, b], games, winner: null, bye: false };
+    }
+
+    /**
+     * Repeat the games of every pairing once per opening, so each pairing
+     * plays every opening with both colours
+     * @param {Array<Object>} pairings - Pairings of a new round
+     * @param {Array<string>} openings - Opening ids
+     */
+    function applyOpenings(pairings, openings) {
+        pairings.forEach((p) => {
+            if (p.bye) return;
+            const games = [];
+            openings.forEach((opening) => {
+                p.games.forEach(game => games.push({ black: game.black, white: game.white, opening, result: null }));
+            });
+            p.games = games;
+        });
+    }
+
+    /**
+     * Get the seed (0-based) of a player
+     * @param {Object} state - Tournament state
+     * @param {string} name - Player name
+     * @returns {number} Seed
+     */
+    function seedOf(state, name) {
+        return state.players.findIndex(p => p.name === name);
+    }
+
+    /**
+     * Get the points and disc differential of both players of a pairing
+     * @param {Object} pairing - Pairing
+     * @returns {Object} {points: [a, b], diff: [a, b]}
+     */
+    function pairingScore(pairing) {
+        const points = [0, 0];
+        const diff = [0, 0];
+
+        pairing.games.forEach((game) => {
+            if (!game.result) return;
+            const blackIdx = pairing.players.indexOf(game.black);
+            const whiteIdx = 1 - blackIdx;
+
+            if (game.result.winner === 1) points[blackIdx] += 1;
+            else if (game.result.winner === 2) points[whiteIdx] += 1;
+            else {
+                points[blackIdx] += 0.5;
+                points[whiteIdx] += 0.5;
+            }
+
+            diff[blackIdx] += game.result.diff;
+            diff[whiteIdx] -= game.result.diff;
+        });
+
+        return { points, diff };
+    }
+
+    /**
+     * Record the result of one game of a pairing
+     * Once every game is played the pairing's winner is decided by points,
+     * then disc differential, then seed.
+     * @param {Object} state - Tournament state
+     * @param {Object} pairing - Pairing the game belongs to
+     * @param {number} gameIndex - Index of the game in pairing.games
+     * @param {Object} result - {winner: 1|2|0, diff: black discs - white discs, forfeit}
+     */
+    function recordGame(state, pairing, gameIndex, result) {
+        pairing.games[gameIndex].result = { winner: result.winner, diff: result.diff, forfeit: !!result.forfeit };
+
+        if (pairing.games.some(game => !game.result)) return;
+
+        const { points, diff } = pairingScore(pairing);
+        const [a, b] = pairing.players;
+
+        if (points[0] !== points[1]) {
+            pairing.winner = points[0] > points[1] ? a : b;
+        } else if (diff[0] !== diff[1]) {
+            pairing.winner = diff[0] > diff[1] ? a : b;
+        } else {
+            pairing.winner = seedOf(state, a) <= seedOf(state, b) ? a : b;
+        }
+        // Round-robin and Swiss standings count a level pairing as drawn
+        pairing.drawn = points[0] === points[1];
+    }
+
+    /**
+     * Check if every pairing of a round is decided
+     * @param {Object} round - Round
+     * @returns {boolean} True if the round is complete
+     */
+    function isRoundComplete(round) {
+        return round.pairings.every(p => p.bye || p.games.every(game => game.result));
+    }
+
+    /**
+     * Double round robin pairings (every ordered pair plays one game)
+     * @param {Array<string>} names - Player names
+     * @returns {Array<Object>} Pairings
+     */
+    function roundRobinPairings(names) {
+        const pairings = [];
+        names.forEach((a, i) => {
+            names.forEach((b, j) => {
+                if (i !== j) {
+                    pairings.push({ players: [a, b], games: [{ black: a, white: b, result: null }], winner: null, bye: false });
+                }
+            });
+        });
+        return pairings;
+    }
+
+    /**
+     * Standard bracket order of seeds, so the top seeds meet last (e.g. 8: 1,8,4,5,2,7,3,6)
+     * @param {number} size - Bracket size (power of two)
+     * @returns {Array<number>} 0-based seeds in bracket order
+     */
+    function bracketOrder(size) {
+        let order = [0];
+        while (order.length < size) {
+            const n = order.length * 2;
+            order = order.reduce((acc, seed) => acc.concat([seed, n - 1 - seed]), []);
+        }
+        return order;
+    }
+
+    /**
+     * First round of a single-elimination bracket; missing seeds become byes
+     * @param {Array<string>} names - Players in seed order
+     * @returns {Array<Object>} Pairings
+     */
+    function bracketPairings(names) {
+        let size = 1;
+        while (size < names.length) size *= 2;
+
+        const order = bracketOrder(size);
+        const pairings = [];
+        for (let i = 0; i < size; i += 2) {
+            const a = names[order[i]];
+            const b = order[i + 1] < names.length ? names[order[i + 1]] : null;
+            pairings.push(createPairing(a, b, true));
+        }
+        return pairings;
+    }
+
+    /**
+     * Next round of a single-elimination bracket from the winners of the previous one
+     * @param {Object} previous - Previous round
+     * @returns {Array<Object>|null} Pairings, or null if the previous round was the final
+     */
+    function nextBracketPairings(previous) {
+        const winners = previous.pairings.map(p => p.winner);
+        if (winners.length < 2) return null;
+
+        const pairings = [];
+        for (let i = 0; i < winners.length; i += 2) {
+            pairings.push(createPairing(winners[i], winners[i + 1], true));
+        }
+        return pairings;
+    }
+
+    /**
+     * Name a knockout round by the number of players left
+     * @param {number} pairingCount - Pairings in the round
+     * @param {string} prefix - Label prefix (e.g. "Playoff")
+     * @returns {string} Round label
+     */
+    function knockoutLabel(pairingCount, prefix = '') {
+        const label = pairingCount === 1 ? 'Final' :
+            pairingCount === 2 ? 'Semifinals' :
+                pairingCount === 4 ? 'Quarterfinals' : `Round of ${pairingCount * 2}`;
+        return prefix ? `${prefix} ${label}` : label;
+    }
+
+    /**
+     * Swiss pairings: sort by match points and pair each player with the
+     * highest-ranked opponent they have not met yet; the lowest-ranked player without a bye gets one.
+     * @param {Object} state - Tournament state
+     * @returns {Array<Object>} Pairings
+     */
+    function swissPairings(state) {
+        const standings = getStandings(state).map(row => row.name);
+        const met = {};
+        const hadBye = {};
+
+        state.rounds.forEach(round => round.pairings.forEach((p) => {
+            const [a, b] = p.players;
+            if (p.bye) {
+                hadBye[a] = true;
+                return;
+            }
+            met[`${a}|${b}`] = met[`${b}|${a}`] = true;
+        }));
+
+        let unpaired = standings.slice();
+        let byePlayer = null;
+
+        if (unpaired.length % 2 === 1) {
+            byePlayer = unpaired.slice().reverse().find(name => !hadBye[name]) || unpaired[unpaired.length - 1];
+            unpaired = unpaired.filter(name => name !== byePlayer);
+        }
+
+        // Pair top-down without rematches, backtracking when the rest cannot be paired;
+        // if no such pairing exists (or the search gets too long), allow rematches
+        let steps = 0;
+        const pairWithoutRematch = (pool) => {
+            if (pool.length === 0) return [];
+            if (++steps > MAX_PAIRING_STEPS) return null;
+
+            const [a, ...rest] = pool;
+            for (let i = 0; i < rest.length; i++) {
+                if (met[`${a}|${rest[i]}`]) continue;
+                const tail = pairWithoutRematch(rest.filter((_, j) => j !== i));
+                if (tail) return [[a, rest[i]]].concat(tail);
+            }
+            return null;
+        };
+
+        let pairs = pairWithoutRematch(unpaired);
+        if (!pairs) {
+            pairs = [];
+            for (let i = 0; i < unpaired.length; i += 2) {
+                pairs.push([unpaired[i], unpaired[i + 1]]);
+            }
+        }
+
+        const pairings = pairs.map(([a, b]) => createPairing(a, b, true));
+
+        if (byePlayer !== null) {
+            pairings.push(createPairing(byePlayer, null, true));
+        }
+        return pairings;
+    }
+
+    /**
+     * Double-elimination pairings: players are paired within the same number of losses,
+     * and a player is out after two losses. A lone unbeaten player meets the lone
+     * one-loss player in the grand final; if the unbeaten player loses, a deciding rematch follows.
+     * @param {Object} state - Tournament state
+     * @returns {Object|null} {label, pairings}, or null when one player is left
+     */
+    function doubleEliminationRound(state) {
+        const losses = {};
+        state.players.forEach(p => { losses[p.name] = 0; });
+        state.rounds.forEach(round => round.pairings.forEach((p) => {
+            if (p.bye) return;
+            const loser = p.players[0] === p.winner ? p.players[1] : p.players[0];
+            losses[loser]++;
+        }));
+
+        const bySeed = (a, b) => seedOf(state, a) - seedOf(state, b);
+        const winners = state.players.map(p => p.name).filter(name => losses[name] === 0).sort(bySeed);
+        const losersSide = state.players.map(p => p.name).filter(name => losses[name] === 1).sort(bySeed);
+
+        if (winners.length + losersSide.length <= 1) return null;
+
+        if (winners.length === 1 && losersSide.length === 1) {
+            return { label: 'Grand Final', pairings: [createPairing(winners[0], losersSide[0], true)] };
+        }
+        // The winners-bracket champion only plays in the grand final, so both players left with one loss
+        // means the champion lost it, and the final is played again
+        if (winners.length === 0 && losersSide.length === 2) {
+            return { label: 'Grand Final (reset)', pairings: [createPairing(losersSide[0], losersSide[1], true)] };
+        }
+
+        const pairBracket = (names) => {
+            const pairings = [];
+            const pool = names.slice();
+            // Top seed vs bottom seed; an odd player out waits with a bye
+            if (pool.length % 2 === 1) {
+                pairings.push(createPairing(pool.shift(), null, true));
+            }
+            while (pool.length > 0) {
+                pairings.push(createPairing(pool.shift(), pool.pop(), true));
+            }
+            return pairings;
+        };
+
+        const pairings = [];
+        if (winners.length >= 2) pairings.push(...pairBracket(winners).map(p => Object.assign(p, { bracket: 'W' })));
+        else winners.forEach(name => pairings.push(Object.assign(createPairing(name, null, true), { bracket: 'W' })));
+        if (losersSide.length >= 2) pairings.push(...pairBracket(losersSide).map(p => Object.assign(p, { bracket: 'L' })));
+        else losersSide.forEach(name => pairings.push(Object.assign(createPairing(name, null, true), { bracket: 'L' })));
+
+        return { label: `Round ${state.rounds.length + 1}`, pairings };
+    }
+
+    /**
+     * Split players into groups by snake seeding (1,2,3,4 / 8,7,6,5 / ...)
+     * @param {Array<string>} names - Players in seed order
+     * @param {number} groupSize - Target group size
+     * @returns {Array<Array<string>>} Groups
+     */
+    function snakeGroups(names, groupSize) {
+        const count = Math.max(1, Math.ceil(names.length / Math.max(2, groupSize)));
+        const groups = Array.from({ length: count }, () => []);
+        names.forEach((name, i) => {
+            const row = Math.floor(i / count);
+            const col = i % count;
+            groups[row % 2 === 0 ? col : count - 1 - col].push(name);
+        });
+        return groups;
+    }
+
+    /**
+     * Get the group stage standings
+     * @param {Object} state - Tournament state
+     * @returns {Array<Object>} Groups {name, rows}, rows sorted like a league table
+     */
+    function getGroupStandings(state) {
+        const groupRound = state.rounds.find(round => round.stage === 'groups');
+        if (!groupRound) return [];
+
+        return groupRound.groups.map((members, g) => {
+            const pairings = groupRound.pairings.filter(p => p.group === g);
+            const rows = tally(members, pairings);
+            return { name: `Group ${String.fromCharCode(65 + g)}`, rows };
+        });
+    }
+
+    /**
+     * Tally points (win 1, draw 0.5) and disc differential from single-game pairings
+     * @param {Array<string>} names - Players to include
+     * @param {Array<Object>} pairings - Pairings to count
+     * @returns {Array<Object>} Rows {name, points, diff, wins, losses, draws, games}, sorted
+     */
+    function tally(names, pairings) {
+        const rows = {};
+        names.forEach((name) => {
+            rows[name] = { name, points: 0, diff: 0, wins: 0, losses: 0, draws: 0, games: 0 };
+        });
+
+        pairings.forEach(p => p.games.forEach((game) => {
+            if (!game.result || !rows[game.black] || !rows[game.white]) return;
+            const black = rows[game.black];
+            const white = rows[game.white];
+
+            if (game.result.winner === 1) {
+                black.wins++; white.losses++; black.points += 1;
+            } else if (game.result.winner === 2) {
+                white.wins++; black.losses++; white.points += 1;
+            } else {
+                black.draws++; white.draws++; black.points += 0.5; white.points += 0.5;
+            }
+            black.diff += game.result.diff;
+            white.diff -= game.result.diff;
+            black.games++;
+            white.games++;
+        }));
+
+        return Object.values(rows).sort((a, b) => b.points - a.points || b.diff - a.diff);
+    }
+
+    /**
+     * Plan the next round and add it to the state
+     * @param {Object} state - Tournament state
+     * @returns {Object|null} New round {label, stage, pairings}, or null if the tournament is finished
+     */
+    function nextRound(state) {
+        if (state.finished) return null;
+
+        const last = state.rounds[state.rounds.length - 1];
+        if (last && !isRoundComplete(last)) return last;
+
+        const names = state.players.map(p => p.name);
+        let round = null;
+
+        if (names.length < 2) {
+            round = null;
+        } else if (state.type === 'round-robin') {
+            if (!last) round = { label: 'Round robin', stage: 'main', pairings: roundRobinPairings(names) };
+        } else if (state.type === 'swiss') {
+            const total = Math.min(state.options.swissRounds, names.length - 1 + (names.length % 2));
+            if (state.rounds.length < total) {
+                round = { label: `Round ${state.rounds.length + 1}/${total}`, stage: 'main', pairings: swissPairings(state) };
+            }
+        } else if (state.type === 'single-elimination') {
+            const pairings = last ? nextBracketPairings(last) : bracketPairings(names);
+            if (pairings) round = { label: knockoutLabel(pairings.length), stage: 'main', pairings };
+        } else if (state.type === 'double-elimination') {
+            const planned = doubleEliminationRound(state);
+            if (planned) round = Object.assign({ stage: 'main' }, planned);
+        } else if (state.type === 'groups') {
+            if (!last) {
+                const groups = snakeGroups(names, state.options.groupSize);
+                const pairings = [];
+                groups.forEach((members, g) => {
+                    roundRobinPairings(members).forEach(p => pairings.push(Object.assign(p, { group: g })));
+                });
+                round = { label: 'Group stage', stage: 'groups', groups, pairings };
+            } else {
+                let pairings;
+                if (last.stage === 'groups') {
+                    // Group winners first, then runners-up, ... as playoff seeds
+                    const standings = getGroupStandings(state);
+                    const qualifiers = [];
+                    for (let place = 0; place < state.options.advancePerGroup; place++) {
+                        standings.forEach((group) => {
+                            if (group.rows[place]) qualifiers.push(group.rows[place].name);
+                        });
+                    }
+                    pairings = qualifiers.length >= 2 ? bracketPairings(qualifiers) : null;
+                } else {
+                    pairings = nextBracketPairings(last);
+                }
+                if (pairings) round = { label: knockoutLabel(pairings.length, 'Playoff'), stage: 'playoff', pairings };
+            }
+        }
+
+        if (!round) {
+            state.finished = true;
+            return null;
+        }
+
+        const openings = state.options.openings || [];
+        if (openings.length > 0) {
+            applyOpenings(round.pairings, openings);
+        }
+
+        state.rounds.push(round);
+        return round;
+    }
+
+    /**
+     * Get the overall standings of a tournament
+     * Round robin and groups: points, then disc differential.
+     * Swiss: match points (pairing win 1, level 0.5, bye 1), then Buchholz, then game points.
+     * Knockouts: by how far each player got, then seed.
+     * @param {Object} state - Tournament state
+     * @returns {Array<Object>} Rows {name, ...format-specific columns}
+     */
+    function getStandings(state) {
+        const names = state.players.map(p => p.name);
+        const allPairings = [].concat(...state.rounds.map(round => round.pairings));
+
+        if (state.type === 'round-robin' || state.type === 'groups' && !state.rounds.some(r => r.stage === 'playoff')) {
+            return tally(names, allPairings);
+        }
+
+        if (state.type === 'swiss') {
+            const rows = {};
+            names.forEach((name) => {
+                rows[name] = { name, matchPoints: 0, gamePoints: 0, buchholz: 0, opponents: [], rounds: 0 };
+            });
+
+            allPairings.forEach((p) => {
+                const [a, b] = p.players;
+                if (p.bye) {
+                    rows[a].matchPoints += 1;
+                    rows[a].rounds++;
+                    return;
+                }
+                if (p.games.some(game => !game.result)) return;
+
+                const { points } = pairingScore(p);
+                rows[a].gamePoints += points[0];
+                rows[b].gamePoints += points[1];
+                if (p.drawn) {
+                    rows[a].matchPoints += 0.5;
+                    rows[b].matchPoints += 0.5;
+                } else {
+                    rows[p.winner].matchPoints += 1;
+                }
+                rows[a].opponents.push(b);
+                rows[b].opponents.push(a);
+                rows[a].rounds++;
+                rows[b].rounds++;
+            });
+
+            Object.values(rows).forEach((row) => {
+                row.buchholz = row.opponents.reduce((sum, name) => sum + rows[name].matchPoints, 0);
+            });
+
+            return Object.values(rows).sort((a, b) =>
+                b.matchPoints - a.matchPoints || b.buchholz - a.buchholz ||
+                b.gamePoints - a.gamePoints || seedOf(state, a.name) - seedOf(state, b.name));
+        }
+
+        if (state.type === 'groups') {
+            // Playoff qualifiers first, then the rest in group-table order
+            const knockoutRounds = state.rounds.filter(round => round.stage === 'playoff');
+            const qualifiers = knockoutRounds[0].pairings.reduce((acc, p) => acc.concat(p.players), [])
+                .filter(name => name !== null);
+            const others = tally(names, allPairings.filter(p => p.group !== undefined))
+                .filter(row => !qualifiers.includes(row.name))
+                .map(row => ({ name: row.name, reached: -1, wins: 0, losses: 0, eliminated: true }));
+            return knockoutStandings(state, qualifiers, knockoutRounds).concat(others);
+        }
+
+        return knockoutStandings(state, names, state.rounds);
+    }
+
+    /**
+     * Knockout standings: players still in first, then by last round reached, wins and seed
+     * @param {Object} state - Tournament state
+     * @param {Array<string>} names - Players in the knockout
+     * @param {Array<Object>} rounds - Knockout rounds
+     * @returns {Array<Object>} Rows {name, reached, wins, losses, eliminated}
+     */
+    function knockoutStandings(state, names, rounds) {
+        const reached = {};
+        const wins = {};
+        const losses = {};
+        names.forEach((name) => { reached[name] = -1; wins[name] = 0; losses[name] = 0; });
+        rounds.forEach((round, r) => round.pairings.forEach((p) => {
+            p.players.forEach((name) => { if (name !== null) reached[name] = r; });
+            if (p.bye || !p.winner) return;
+            const loser = p.players[0] === p.winner ? p.players[1] : p.players[0];
+            wins[p.winner]++;
+            losses[loser]++;
+        }));
+
+        const eliminated = (name) => state.type === 'double-elimination' ? losses[name] >= 2 : losses[name] >= 1;
+        return names
+            .map(name => ({ name, reached: reached[name], wins: wins[name], losses: losses[name], eliminated: eliminated(name) }))
+            .sort((a, b) => (a.eliminated - b.eliminated) || b.reached - a.reached || b.wins - a.wins ||
+                seedOf(state, a.name) - seedOf(state, b.name));
+    }
+
+    /**
+     * Get the winner of a finished tournament
+     * @param {Object} state - Tournament state
+     * @returns {string|null} Winner name
+     */
+    function getWinner(state) {
+        if (!state.finished) return null;
+        const standings = getStandings(state);
+        return standings.length > 0 ? standings[0].name : null;
+    }
+
+    // Public API
+    return {
+        FORMATS,
+        create,
+        nextRound,
+        recordGame,
+        isRoundComplete,
+        pairingScore,
+        getStandings,
+        getGroupStandings,
+        getWinner
+    };
+})(
+    typeof SeededRandom !== 'undefined' ? SeededRandom : require('./seeded-random.js')
+);
+
+// Export as a global object or use module exports if using bundler
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TournamentFormats;
+}
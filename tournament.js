@@ -6,8 +6,11 @@
  */
 
 const Tournament = (function () {
-    let leaderboardData = { matches: [], results: {} };
+    let leaderboardData = createEmptyLeaderboard();
     let isTournamentMode = false;
+    // Token {stopped} of the run whose loop is executing; only that run's loop changes shared state.
+    // stopped is null while it plays, 'user' after Stop and 'interrupted' after a game was cut short.
+    let activeRun = null;
     let currentTournamentStageConfig = null;
 
     // UI 요소 참조
@@ -15,6 +18,22 @@ const Tournament = (function () {
     let stageSelect = null;
     let blackAISelect = null;
     let whiteAISelect = null;
+    let tournamentStagesElement = null;
+    let leaderboardViewSelect = null;
+    let tournamentFormatSelect = null;
+
+    // Leaderboard column the table is ordered by
+    let leaderboardSort = { key: 'rating', descending: true };
+
+    /**
+     * Create an empty leaderboard
+     * results holds the aggregate over all stages, stageResults the per-stage tables,
+     * tournaments the format state (pairings and rounds) of each stage
+     * @returns {Object} {matches, results, stageResults, tournaments}
+     */
+    function createEmptyLeaderboard() {
+        return { matches: [], results: {}, stageResults: {}, tournaments: {} };
+    }
 
     // DOM 요소 초기화 함수
     function initElements() {
@@ -22,6 +41,26 @@ const Tournament = (function () {
         stageSelect = document.getElementById('stageSelect');
         blackAISelect = document.getElementById('black-ai');
         whiteAISelect = document.getElementById('white-ai');
+        tournamentStagesElement = document.getElementById('tournament-stages');
+        leaderboardViewSelect = document.getElementById('leaderboard-view');
+        tournamentFormatSelect = document.getElementById('tournament-format');
+
+        if (tournamentFormatSelect && !tournamentFormatSelect.dataset.bound) {
+            tournamentFormatSelect.dataset.bound = 'true';
+            tournamentFormatSelect.addEventListener('change', updateFormatOptions);
+            updateFormatOptions();
+        }
+
+        if (leaderboardViewSelect && !leaderboardViewSelect.dataset.bound) {
+            leaderboardViewSelect.dataset.bound = 'true';
+            leaderboardViewSelect.addEventListener('change', updateLeaderboardDisplay);
+        }
+
+        document.querySelectorAll('#leaderboard-table th[data-sort]').forEach((th) => {
+            if (th.dataset.bound) return;
+            th.dataset.bound = 'true';
+            th.addEventListener('click', () => sortLeaderboard(th.dataset.sort));
+        });
 
         // 중지 버튼 참조 추가
         stopTournamentButton = document.getElementById('stop-tournament-btn');
@@ -49,12 +88,18 @@ const Tournament = (function () {
         }
     }
 
+    /**
+     * Start a game through GameController
+     * @param {boolean} isTournament - Whether this is a tournament game
+     * @param {Object} stageConfig - Stage configuration
+     * @returns {Promise<Object|null>} Game result when the game ends, or null if it could not start
+     */
     function startGame(isTournament, stageConfig) {
         if (typeof GameController !== 'undefined' && GameController.startGame) {
             return GameController.startGame(isTournament, stageConfig);
         }
         console.error("GameController not available");
-        return false;
+        return Promise.resolve(null);
     }
 
     // 전역 변수를 로컬 변수로 대체
@@ -76,46 +121,500 @@ const Tournament = (function () {
         }
     }
 
+    /**
+     * Add one game to a results table
+     * @param {Object} results - Results table {name: {wins, losses, draws, totalGames}}
+     * @param {string} blackName - Name of the black player
+     * @param {string} whiteName - Name of the white player
+     * @param {number} winner - Player who won the match (1 for black, 2 for white, 0 for draw)
+     */
+    function addResult(results, blackName, whiteName, winner) {
+        [blackName, whiteName].forEach((name) => {
+            if (!results[name]) {
+                results[name] = { wins: 0, losses: 0, draws: 0, totalGames: 0 };
+            }
+        });
+
+        if (winner === 1) {
+            results[blackName].wins++;
+            results[whiteName].losses++;
+        } else if (winner === 2) {
+            results[blackName].losses++;
+            results[whiteName].wins++;
+        } else {
+            results[blackName].draws++;
+            results[whiteName].draws++;
+        }
+
+        results[blackName].totalGames++;
+        results[whiteName].totalGames++;
+    }
+
     /**
      * Record the result of a match in the tournament
      * @param {string} blackName - Name of the black player
      * @param {string} whiteName - Name of the white player
      * @param {number} winner - Player who won the match (1 for black, 2 for white, 0 for draw)
+     * @param {string} stageName - Stage the match was played on (optional)
+     * @param {Object} gameResult - Result from GameController.startGame (optional; default: the live board)
+     * @returns {Object} Recorded match
      */
-    function recordGameResult(blackName, whiteName, winner) {
-        const scores = countDiscs();
+    function recordGameResult(blackName, whiteName, winner, stageName = null, gameResult = null) {
+        const scores = gameResult ? gameResult.scores : countDiscs();
         const match = {
             black: blackName,
             white: whiteName,
             winner: winner,
+            stage: stageName,
             date: new Date().toISOString(),
             score: scores,
+            reason: gameResult ? gameResult.reason : 'normal',
+            moves: gameResult ? gameResult.moves : null,
+            time: gameResult ? gameResult.time : null,
+            // Opening the game started from (opening suites), or null for the stage's initial position
+            opening: gameResult ? gameResult.opening || null : null,
+            // Content hash of the stage pack the stage came from, or null for other stages
+            pack: gameResult ? gameResult.pack || null : null,
+            // Index of the game's log in GameLogger.previousGames, for the replay viewer
+            gameIndex: typeof GameLogger !== 'undefined' && GameLogger.previousGames ?
+                GameLogger.previousGames.length - 1 : -1,
         };
 
         leaderboardData.matches.push(match);
 
-        [blackName, whiteName].forEach((name) => {
-            if (!leaderboardData.results[name]) {
-                leaderboardData.results[name] = { wins: 0, losses: 0, draws: 0, totalGames: 0 };
+        // Aggregate table over all stages, plus the table of this stage
+        addResult(leaderboardData.results, blackName, whiteName, winner);
+        if (stageName) {
+            if (!leaderboardData.stageResults[stageName]) {
+                leaderboardData.stageResults[stageName] = {};
             }
-        });
+            addResult(leaderboardData.stageResults[stageName], blackName, whiteName, winner);
+        }
 
-        if (winner === 1) {
-            leaderboardData.results[blackName].wins++;
-            leaderboardData.results[whiteName].losses++;
-        } else if (winner === 2) {
-            leaderboardData.results[blackName].losses++;
-            leaderboardData.results[whiteName].wins++;
+        // 내부 함수 호출
+        saveLeaderboardData();
+        return match;
+    }
+
+    /**
+     * Compare two leaderboard entries by the selected sort column
+     * Ties fall back to win rate, then wins.
+     * @param {Object} a - Leaderboard entry
+     * @param {Object} b - Leaderboard entry
+     * @returns {number} Sort order
+     */
+    function compareLeaderboardEntries(a, b) {
+        const key = leaderboardSort.key;
+        const direction = leaderboardSort.descending ? -1 : 1;
+        let order = 0;
+
+        if (key === 'name') {
+            order = a.name.localeCompare(b.name);
         } else {
-            leaderboardData.results[blackName].draws++;
-            leaderboardData.results[whiteName].draws++;
+            const valueA = a[key] === undefined ? -Infinity : Number(a[key]);
+            const valueB = b[key] === undefined ? -Infinity : Number(b[key]);
+            order = valueA - valueB;
         }
 
-        leaderboardData.results[blackName].totalGames++;
-        leaderboardData.results[whiteName].totalGames++;
+        return direction * order || b.winRate - a.winRate || b.wins - a.wins;
+    }
 
-        // 내부 함수 호출
-        saveLeaderboardData();
+    /**
+     * Order the leaderboard by a column, toggling the direction if it is already selected
+     * @param {string} key - Column key (data-sort of the header)
+     */
+    function sortLeaderboard(key) {
+        if (leaderboardSort.key === key) {
+            leaderboardSort.descending = !leaderboardSort.descending;
+        } else {
+            // Names read best A-Z, RD lowest first; everything else highest first
+            leaderboardSort = { key, descending: key !== 'name' && key !== 'rd' };
+        }
+        updateLeaderboardDisplay();
+    }
+
+    /**
+     * Mark the header of the sort column
+     */
+    function updateSortIndicators() {
+        document.querySelectorAll('#leaderboard-table th[data-sort]').forEach((th) => {
+            th.classList.remove('sort-asc', 'sort-desc');
+            if (th.dataset.sort === leaderboardSort.key) {
+                th.classList.add(leaderboardSort.descending ? 'sort-desc' : 'sort-asc');
+            }
+        });
+    }
+
+    /**
+     * Show only the inputs of the selected tournament format
+     */
+    function updateFormatOptions() {
+        const format = tournamentFormatSelect ? tournamentFormatSelect.value : 'round-robin';
+        document.querySelectorAll('.tournament-format .format-option').forEach((label) => {
+            label.style.display = label.dataset.format === format ? '' : 'none';
+        });
+    }
+
+    /**
+     * Get the selected tournament format and its options
+     * @returns {Object} {type, options, openings}, openings being {count, plies} of the opening suite or null
+     */
+    function getSelectedFormat() {
+        const readNumber = (id, fallback) => {
+            const input = document.getElementById(id);
+            const value = input ? parseInt(input.value) : NaN;
+            return value > 0 ? value : fallback;
+        };
+        const useOpenings = document.getElementById('use-openings');
+
+        return {
+            type: tournamentFormatSelect ? tournamentFormatSelect.value : 'round-robin',
+            options: {
+                swissRounds: readNumber('swiss-rounds', 5),
+                groupSize: readNumber('group-size', 4),
+                advancePerGroup: readNumber('advance-per-group', 2)
+            },
+            openings: useOpenings && useOpenings.checked ? {
+                count: readNumber('opening-count', OpeningSuite.DEFAULT_OPTIONS.count),
+                plies: readNumber('opening-plies', OpeningSuite.DEFAULT_OPTIONS.plies)
+            } : null
+        };
+    }
+
+    /**
+     * Render the format-specific standings (Swiss table, brackets, group tables)
+     * Round robin has none: the leaderboard table is its standings.
+     * @param {string} viewStage - Stage shown on the leaderboard ('' for all stages)
+     */
+    function renderFormatStandings(viewStage) {
+        const container = document.getElementById('format-standings');
+        if (!container || typeof TournamentFormats === 'undefined') return;
+
+        container.innerHTML = '';
+        const tournaments = leaderboardData.tournaments || {};
+        const stageNames = viewStage ? [viewStage] : Object.keys(tournaments);
+
+        stageNames.forEach((stageName) => {
+            const state = tournaments[stageName];
+            if (!state || state.type === 'round-robin') return;
+
+            const block = document.createElement('div');
+            block.className = 'format-standings-block';
+
+            const title = document.createElement('h4');
+            const winner = TournamentFormats.getWinner(state);
+            title.textContent = `${TournamentFormats.FORMATS[state.type]} - ${stageName}` +
+                (winner ? ` (winner: ${winner})` : '');
+            block.appendChild(title);
+
+            if (state.type === 'swiss') {
+                block.appendChild(renderStandingsTable(
+                    ['Rank', 'Strategy', 'Pts', 'Buchholz', 'Game pts', 'Rounds'],
+                    TournamentFormats.getStandings(state).map((row, idx) =>
+                        [idx + 1, row.name, row.matchPoints, row.buchholz, row.gamePoints, row.rounds])));
+                block.appendChild(renderBracket(state.rounds));
+            } else if (state.type === 'groups') {
+                TournamentFormats.getGroupStandings(state).forEach((group) => {
+                    const caption = document.createElement('h5');
+                    caption.textContent = group.name;
+                    block.appendChild(caption);
+                    block.appendChild(renderStandingsTable(
+                        ['Rank', 'Strategy', 'Pts', 'Diff', 'W-L-D'],
+                        group.rows.map((row, idx) =>
+                            [idx + 1, row.name, row.points, row.diff, `${row.wins}-${row.losses}-${row.draws}`])));
+                });
+                block.appendChild(renderBracket(state.rounds.filter(round => round.stage === 'playoff')));
+            } else {
+                block.appendChild(renderBracket(state.rounds));
+            }
+
+            container.appendChild(block);
+        });
+    }
+
+    /**
+     * Build a simple standings table
+     * @param {Array<string>} headers - Column headers
+     * @param {Array<Array>} rows - Cell values
+     * @returns {HTMLElement} Table element
+     */
+    function renderStandingsTable(headers, rows) {
+        const table = document.createElement('table');
+        const head = document.createElement('tr');
+        headers.forEach((text) => {
+            const th = document.createElement('th');
+            th.textContent = text;
+            head.appendChild(th);
+        });
+        table.appendChild(head);
+
+        rows.forEach((values) => {
+            const tr = document.createElement('tr');
+            values.forEach((value) => {
+                const td = document.createElement('td');
+                td.textContent = value;
+                tr.appendChild(td);
+            });
+            table.appendChild(tr);
+        });
+        return table;
+    }
+
+    /**
+     * Build the rounds of a tournament as bracket columns
+     * Each pairing shows the mini-match score; the winner is in bold.
+     * @param {Array<Object>} rounds - Rounds to show
+     * @returns {HTMLElement} Bracket element
+     */
+    function renderBracket(rounds) {
+        const bracket = document.createElement('div');
+        bracket.className = 'bracket';
+
+        rounds.forEach((round) => {
+            const column = document.createElement('div');
+            column.className = 'bracket-round';
+
+            const label = document.createElement('h5');
+            label.textContent = round.label;
+            column.appendChild(label);
+
+            round.pairings.forEach((pairing) => {
+                const box = document.createElement('div');
+                box.className = 'bracket-pairing';
+                const prefix = pairing.bracket ? `[${pairing.bracket}] ` : '';
+
+                if (pairing.bye) {
+                    box.textContent = `${prefix}${pairing.players[0]} (bye)`;
+                } else {
+                    const { points } = TournamentFormats.pairingScore(pairing);
+                    const done = pairing.games.every(game => game.result);
+                    const [a, b] = pairing.players.map((name) => {
+                        const span = document.createElement('span');
+                        span.textContent = name;
+                        if (done && pairing.winner === name) span.className = 'winner';
+                        return span;
+                    });
+
+                    box.appendChild(document.createTextNode(prefix));
+                    box.appendChild(a);
+                    box.appendChild(document.createTextNode(done ? ` ${points[0]}-${points[1]} ` : ' vs '));
+                    box.appendChild(b);
+                }
+                column.appendChild(box);
+            });
+
+            bracket.appendChild(column);
+        });
+
+        return bracket;
+    }
+
+    /**
+     * Tally head-to-head results for every ordered pair, split by colour
+     * @param {Array<Object>} matches - Match records
+     * @returns {Object} cells[rowName][colName] = {asBlack, asWhite}, each {wins, losses, draws, diff, matches}
+     */
+    function buildCrossTable(matches) {
+        const cells = {};
+        const emptySide = () => ({ wins: 0, losses: 0, draws: 0, diff: 0, matches: [] });
+        const getCell = (row, col) => {
+            if (!cells[row]) cells[row] = {};
+            if (!cells[row][col]) cells[row][col] = { asBlack: emptySide(), asWhite: emptySide() };
+            return cells[row][col];
+        };
+
+        matches.forEach((match) => {
+            const score = match.score || { black: 0, white: 0 };
+            const blackSide = getCell(match.black, match.white).asBlack;
+            const whiteSide = getCell(match.white, match.black).asWhite;
+
+            if (match.winner === 1) {
+                blackSide.wins++;
+                whiteSide.losses++;
+            } else if (match.winner === 2) {
+                blackSide.losses++;
+                whiteSide.wins++;
+            } else {
+                blackSide.draws++;
+                whiteSide.draws++;
+            }
+
+            blackSide.diff += score.black - score.white;
+            whiteSide.diff += score.white - score.black;
+            blackSide.matches.push(match);
+            whiteSide.matches.push(match);
+        });
+
+        return cells;
+    }
+
+    /**
+     * Format one colour of a cross-table cell
+     * @param {string} colour - 'B' or 'W'
+     * @param {Object} side - {wins, losses, draws, diff, matches}
+     * @returns {string} e.g. "B 2-0-0 (+12.5)", or "" if no games were played
+     */
+    function formatCrossTableSide(colour, side) {
+        const games = side.matches.length;
+        if (games === 0) return '';
+
+        const average = side.diff / games;
+        const sign = average > 0 ? '+' : '';
+        return `${colour} ${side.wins}-${side.losses}-${side.draws} (${sign}${average.toFixed(1)})`;
+    }
+
+    /**
+     * Render the N×N head-to-head table of the current leaderboard view
+     * @param {Array<Object>} matches - Match records of the view
+     * @param {Array<string>} names - Player names in leaderboard order
+     */
+    function renderCrossTable(matches, names) {
+        const table = document.getElementById('cross-table');
+        const gameList = document.getElementById('cross-table-games');
+        if (!table) return;
+
+        const cells = buildCrossTable(matches);
+        table.innerHTML = '';
+        if (gameList) gameList.innerHTML = '';
+        if (names.length === 0) return;
+
+        const header = document.createElement('tr');
+        header.appendChild(document.createElement('th'));
+        names.forEach((name) => {
+            const th = document.createElement('th');
+            th.textContent = name;
+            header.appendChild(th);
+        });
+        table.appendChild(header);
+
+        names.forEach((rowName) => {
+            const row = document.createElement('tr');
+            const th = document.createElement('th');
+            th.textContent = rowName;
+            row.appendChild(th);
+
+            names.forEach((colName) => {
+                const td = document.createElement('td');
+                const cell = cells[rowName] && cells[rowName][colName];
+
+                if (rowName === colName) {
+                    td.className = 'self';
+                } else if (cell) {
+                    td.className = 'pair';
+                    td.innerHTML = [formatCrossTableSide('B', cell.asBlack), formatCrossTableSide('W', cell.asWhite)]
+                        .filter(Boolean).join('<br>');
+                    td.addEventListener('click', () => {
+                        table.querySelectorAll('td.selected').forEach(el => el.classList.remove('selected'));
+                        td.classList.add('selected');
+                        showPairGames(rowName, colName, cell);
+                    });
+                }
+                row.appendChild(td);
+            });
+            table.appendChild(row);
+        });
+    }
+
+    /**
+     * List the games between two players; clicking a game opens it in the replay viewer
+     * @param {string} rowName - Player of the table row
+     * @param {string} colName - Player of the table column
+     * @param {Object} cell - Cross-table cell {asBlack, asWhite}
+     */
+    function showPairGames(rowName, colName, cell) {
+        const gameList = document.getElementById('cross-table-games');
+        if (!gameList) return;
+
+        const games = cell.asBlack.matches.concat(cell.asWhite.matches)
+            .sort((a, b) => (a.date || '').localeCompare(b.date || ''));
+
+        gameList.innerHTML = '';
+        const heading = document.createElement('strong');
+        heading.textContent = `${rowName} vs ${colName}`;
+        gameList.appendChild(heading);
+        const list = document.createElement('ol');
+
+        games.forEach((match) => {
+            const item = document.createElement('li');
+            const score = match.score || { black: 0, white: 0 };
+            const stage = match.stage ? ` on ${match.stage}` : '';
+            const opening = match.opening ? ` from ${match.opening}` : '';
+            item.textContent = `${match.black}(B) ${score.black}-${score.white} ${match.white}(W)${stage}${opening}`;
+
+            if (isReplayAvailable(match)) {
+                item.title = isTournamentMode ? 'Replay is available once the tournament has stopped' :
+                    'Open in the replay viewer';
+                item.addEventListener('click', () => openGameReplay(match));
+            } else {
+                item.className = 'unavailable';
+                item.title = 'Game log not available in this session';
+            }
+            list.appendChild(item);
+        });
+
+        gameList.appendChild(list);
+    }
+
+    /**
+     * Check if the logged game of a match can still be replayed
+     * Game logs live in GameLogger.previousGames, which only lasts for the session.
+     * @param {Object} match - Match record
+     * @returns {boolean} True if the log at match.gameIndex belongs to this match
+     */
+    function isReplayAvailable(match) {
+        if (typeof GameLogger === 'undefined' || !GameLogger.previousGames ||
+            typeof match.gameIndex !== 'number' || match.gameIndex < 0) {
+            return false;
+        }
+
+        const game = GameLogger.previousGames[match.gameIndex];
+        const score = match.score || {};
+        return !!(game && game.metadata &&
+            game.metadata.blackScore === score.black && game.metadata.whiteScore === score.white);
+    }
+
+    /**
+     * Open the logged game of a match in the replay viewer
+     * Not while a tournament runs: the replay viewer resets the board, which would abort the game in progress.
+     * @param {Object} match - Match record
+     */
+    function openGameReplay(match) {
+        if (!window.gameRollout || !isReplayAvailable(match)) return;
+        if (isTournamentMode) {
+            console.warn("Replay is not available while a tournament is running");
+            return;
+        }
+
+        if (window.gameRollout.goToGame(match.gameIndex)) {
+            const rolloutControls = document.querySelector('.rollout-controls');
+            if (rolloutControls) {
+                rolloutControls.scrollIntoView({ behavior: 'smooth' });
+            }
+        }
+    }
+
+    /**
+     * Fill the leaderboard view selector with "All stages" and every stage that has results
+     */
+    function updateLeaderboardViewOptions() {
+        if (!leaderboardViewSelect) return;
+
+        const selected = leaderboardViewSelect.value;
+        leaderboardViewSelect.innerHTML = '';
+
+        const allOption = document.createElement('option');
+        allOption.value = '';
+        allOption.textContent = 'All stages';
+        leaderboardViewSelect.appendChild(allOption);
+
+        Object.keys(leaderboardData.stageResults || {}).forEach((stageName) => {
+            const opt = document.createElement('option');
+            opt.value = stageName;
+            opt.textContent = stageName;
+            leaderboardViewSelect.appendChild(opt);
+        });
+
+        leaderboardViewSelect.value = leaderboardData.stageResults && leaderboardData.stageResults[selected] ? selected : '';
     }
 
     /**
@@ -126,9 +625,21 @@ const Tournament = (function () {
         if (!leaderboardBody) return;
 
         leaderboardBody.innerHTML = '';
+        updateLeaderboardViewOptions();
+
+        // Selected stage table, or the aggregate over all stages
+        const viewStage = leaderboardViewSelect ? leaderboardViewSelect.value : '';
+        const results = viewStage ? leaderboardData.stageResults[viewStage] : leaderboardData.results;
+
+        // Ratings are recomputed from the match history of the same view
+        const matches = viewStage ?
+            leaderboardData.matches.filter(match => match.stage === viewStage) :
+            leaderboardData.matches;
+        const ratings = typeof RatingEngine !== 'undefined' ? RatingEngine.compute(matches) : {};
 
-        const leaderboard = Object.keys(leaderboardData.results).map((name) => {
-            const stats = leaderboardData.results[name];
+        const leaderboard = Object.keys(results).map((name) => {
+            const stats = results[name];
+            const rating = ratings[name] || {};
             return {
                 name: name,
                 wins: stats.wins,
@@ -136,14 +647,32 @@ const Tournament = (function () {
                 draws: stats.draws,
                 totalGames: stats.totalGames,
                 winRate: stats.totalGames > 0 ? ((stats.wins + stats.draws * 0.5) / stats.totalGames * 100).toFixed(1) : 0,
+                rating: rating.rating,
+                rd: rating.rd,
+                low: rating.low,
+                high: rating.high,
+                elo: rating.elo,
             };
         });
 
-        leaderboard.sort((a, b) => b.winRate - a.winRate || b.wins - a.wins);
+        leaderboard.sort(compareLeaderboardEntries);
+        updateSortIndicators();
+        renderCrossTable(matches, leaderboard.map(entry => entry.name));
+        renderFormatStandings(viewStage);
+
+        const format = (value) => value === undefined ? '-' : Math.round(value);
 
         leaderboard.forEach((entry, idx) => {
             const row = document.createElement('tr');
-            row.innerHTML = `<td>${idx + 1}</td><td>${entry.name}</td><td>${entry.winRate}%</td><td>${entry.wins}</td><td>${entry.losses}</td><td>${entry.draws}</td><td>${entry.totalGames}</td>`;
+            [
+                idx + 1, entry.name, `${entry.winRate}%`,
+                format(entry.rating), format(entry.rd), `${format(entry.low)}–${format(entry.high)}`, format(entry.elo),
+                entry.wins, entry.losses, entry.draws, entry.totalGames
+            ].forEach((value) => {
+                const td = document.createElement('td');
+                td.textContent = value;
+                row.appendChild(td);
+            });
             row.style.animation = 'fadeIn 0.5s';
             leaderboardBody.appendChild(row);
         });
@@ -178,22 +707,124 @@ const Tournament = (function () {
         const data = localStorage.getItem('othelloLeaderboard');
         if (data) {
             try {
-                leaderboardData = JSON.parse(data);
+                leaderboardData = Object.assign(createEmptyLeaderboard(), JSON.parse(data));
             } catch (e) {
                 console.error("Error loading leaderboard data:", e);
-                leaderboardData = { matches: [], results: {} };
+                leaderboardData = createEmptyLeaderboard();
             }
         } else {
-            leaderboardData = { matches: [], results: {} };
+            leaderboardData = createEmptyLeaderboard();
         }
+        populateTournamentStages();
         updateLeaderboardDisplay();
+        updateResumeButton();
+    }
+
+    /**
+     * Show a checkbox for every stage so a subset can be chosen for the tournament
+     */
+    function populateTournamentStages() {
+        if (!tournamentStagesElement || typeof stages === 'undefined') return;
+
+        // Keep the checked stages when the list is rebuilt (e.g. after a custom stage is saved)
+        const checkedNames = Array.from(tournamentStagesElement.querySelectorAll('input:checked')).map(box => box.dataset.name);
+
+        tournamentStagesElement.innerHTML = '';
+        stages.forEach((stage, idx) => {
+            const label = document.createElement('label');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = idx;
+            checkbox.dataset.name = stage.name;
+            checkbox.checked = checkedNames.includes(stage.name);
+            label.appendChild(checkbox);
+            label.appendChild(document.createTextNode(` ${idx + 1}: ${stage.name}`));
+            tournamentStagesElement.appendChild(label);
+        });
+    }
+
+    /**
+     * Get the stages checked for the tournament, or the selected stage if none are checked
+     * @returns {Array<Object>} Stage configurations
+     */
+    function getSelectedTournamentStages() {
+        const checked = tournamentStagesElement ?
+            Array.from(tournamentStagesElement.querySelectorAll('input[type="checkbox"]:checked')) : [];
+
+        if (checked.length > 0) {
+            return checked.map(box => stages[parseInt(box.value)]).filter(Boolean);
+        }
+
+        const selectedIndex = parseInt(stageSelect && stageSelect.value || 0);
+        return [stages[selectedIndex >= 0 && selectedIndex < stages.length ? selectedIndex : 0]];
+    }
+
+    /**
+     * Check if a strategy was generated by an intelligent system (and is therefore stage-specific)
+     * @param {string} id - Strategy ID
+     * @returns {boolean} True for generated intelligent-system strategies
+     */
+    function isIntelligentStrategy(id) {
+        if (!id.startsWith('custom_')) return false;
+        const code = OthelloStrategies.getStrategyCode(id.replace('custom_', '')) || '';
+        return code.includes('compiledIntelligentSystems');
+    }
+
+    /**
+     * Get the players for one stage: every strategy plus each intelligent system analyzed for the stage
+     * @param {Object} stageConfig - Stage configuration
+     * @param {Object} run - Run token; analysis stops once the run is stopped
+     * @returns {Promise<Array<Object>>} Participants {id, name}
+     */
+    async function prepareStageParticipants(stageConfig, run) {
+        const participants = getAllStrategies().filter(s => !isIntelligentStrategy(s.id));
+
+        if (typeof IntelligentSystemInterface === 'undefined') {
+            return participants;
+        }
+
+        const systems = IntelligentSystemInterface.getSystems();
+        for (const systemName of Object.keys(systems)) {
+            if (!isActive(run)) break;
+
+            const strategyName = IntelligentSystemInterface.getGeneratedStrategyName(systemName, stageConfig);
+            const record = IntelligentSystemInterface.getSystemRecord(strategyName);
+
+            // Reuse an analysis of the same code and options for this stage that is still loaded
+            const options = IntelligentSystemInterface.getSystemOptions(systemName);
+            const upToDate = record && record.code === systems[systemName] &&
+                !!(record.options && record.options.discovery) === !!options.discovery &&
+                IntelligentSystemInterface.isSystemLoaded(strategyName);
+
+            if (!upToDate) {
+                if (tournamentStatusElement) {
+                    tournamentStatusElement.textContent = `Analyzing ${systemName} for ${stageConfig.name}...`;
+                }
+                logMessage(`Analyzing ${systemName} for ${stageConfig.name}...`);
+
+                const analysis = await IntelligentSystemInterface.analyzeStageWithSystem(systemName, stageConfig, systems[systemName], options);
+                if (!analysis) {
+                    logMessage(`${systemName} failed to analyze ${stageConfig.name}; skipped on this stage.`);
+                    continue;
+                }
+            }
+
+            participants.push({ id: `custom_${strategyName}`, name: `intelligent_${systemName}` });
+        }
+
+        // Generated strategies were added to the AI selectors by the analysis
+        updateStrategyReferences();
+        return participants;
     }
 
     /**
      * Run a tournament game between two players
-     * @returns {Promise<void>}
+     * @param {string} blackName - Leaderboard name of the black player (default: selector text)
+     * @param {string} whiteName - Leaderboard name of the white player (default: selector text)
+     * @param {Object} opening - Opening {id, moves} to start from (optional)
+     * @returns {Promise<Object|null>} Recorded match, or null if the game did not finish
      */
-    async function playTournamentGame() {
+    async function playTournamentGame(blackName = null, whiteName = null, opening = null) {
         // Initialize UI elements if not already available
         if (!blackAISelect || !whiteAISelect) {
             initElements();
@@ -204,66 +835,141 @@ const Tournament = (function () {
         }
 
         // Get the names of the competing AI strategies
-        const blackName = blackAISelect.options[blackAISelect.selectedIndex].text;
-        const whiteName = whiteAISelect.options[whiteAISelect.selectedIndex].text;
-
-        return new Promise((resolve) => {
-            // Check if GameController module is available
-            if (typeof GameController === 'undefined' || !GameController.startGame) {
-                console.error("GameController module not available");
-                resolve(false);
-                return;
-            }
+        blackName = blackName || blackAISelect.options[blackAISelect.selectedIndex].text;
+        whiteName = whiteName || whiteAISelect.options[whiteAISelect.selectedIndex].text;
+        const stageName = currentTournamentStageConfig ? currentTournamentStageConfig.name : null;
+
+        // Wait for the game's result instead of watching the live board
+        const gameStage = opening && currentTournamentStageConfig ?
+            OpeningSuite.toStageConfig(currentTournamentStageConfig, opening) || currentTournamentStageConfig :
+            currentTournamentStageConfig;
+        const result = await startGame(true, gameStage);
+        if (!result || result.reason === 'aborted') {
+            console.warn(`Tournament game ${blackName} vs ${whiteName} did not finish`);
+            return null;
+        }
 
-            // Start the game in tournament mode
-            GameController.startGame(true, currentTournamentStageConfig);
-            // Alternative: use a local function if needed
-            // startGame(true, currentTournamentStageConfig);
+        // Record results and update UI
+        const match = recordGameResult(blackName, whiteName, result.winner, stageName, result);
+        updateLeaderboardDisplay();
+        return match;
+    }
 
-            // Poll at regular intervals to check when the game has ended
-            const checkInterval = setInterval(() => {
-                // Check game state using OthelloCore module
-                const gameRunning = typeof OthelloCore !== 'undefined' ? OthelloCore.isGameRunning() : false;
+    /**
+     * Save the plan of the running tournament, so it can be resumed after a reload or crash
+     * Game results are saved with the leaderboard (leaderboardData.tournaments) after every game.
+     * @param {Object|null} plan - {status, startedAt, seed, format, stages, stageIndex}, or null to clear it
+     */
+    function saveTournamentPlan(plan) {
+        try {
+            if (plan) {
+                localStorage.setItem('othelloTournamentPlan', JSON.stringify(plan));
+            } else {
+                localStorage.removeItem('othelloTournamentPlan');
+            }
+        } catch (e) {
+            console.error("Failed to save tournament plan:", e);
+        }
+        updateResumeButton();
+    }
 
-                // If game is no longer running, process results
-                if (!gameRunning) {
-                    clearInterval(checkInterval);
+    /**
+     * Load the plan of an interrupted tournament
+     * @returns {Object|null} Tournament plan or null if no partial run exists
+     */
+    function loadTournamentPlan() {
+        try {
+            const data = localStorage.getItem('othelloTournamentPlan');
+            return data ? JSON.parse(data) : null;
+        } catch (e) {
+            console.error("Error loading tournament plan:", e);
+            return null;
+        }
+    }
 
-                    // Get final scores and determine the winner
-                    const scores = countDiscs();
-                    let winner = 0;
+    /**
+     * Show the Resume button only while a partial run exists and nothing is running
+     */
+    function updateResumeButton() {
+        const resumeButton = document.getElementById('resume-tournament-btn');
+        if (!resumeButton) return;
+
+        const plan = loadTournamentPlan();
+        resumeButton.style.display = plan && !isTournamentMode ? '' : 'none';
+        if (plan) {
+            const stageCount = plan.stages.length;
+            resumeButton.title = `Resume ${TournamentFormats.FORMATS[plan.format.type]} started ${new Date(plan.startedAt).toLocaleString()}` +
+                ` (stage ${plan.stageIndex + 1}/${stageCount})`;
+        }
+    }
 
-                    if (scores.black > scores.white) winner = 1;
-                    else if (scores.white > scores.black) winner = 2;
+    /**
+     * Start a new tournament on each selected stage in the selected format
+     */
+    async function runTournament() {
+        if (isTournamentMode) return;
+        if (typeof MatchRunner !== 'undefined' && MatchRunner.isRunning()) return;
 
-                    // Record results and update UI
-                    recordGameResult(blackName, whiteName, winner);
-                    updateLeaderboardDisplay();
+        // DOM 요소 초기화
+        initElements();
 
-                    // Update tournament status display
-                    if (tournamentStatusElement && isTournamentMode) {
-                        const playedGames = leaderboardData.matches.length;
-                        const totalGames = getAllStrategies().length * (getAllStrategies().length - 1);
-                        tournamentStatusElement.textContent = `Running... (${playedGames}/${totalGames})`;
-                    }
+        // 새 토너먼트 계획 (중단 시 이어서 진행할 수 있도록 저장)
+        const plan = {
+            status: 'running',
+            startedAt: new Date().toISOString(),
+            seed: Math.floor(Math.random() * 0x100000000),
+            format: getSelectedFormat(),
+            stages: getSelectedTournamentStages(),
+            stageIndex: 0
+        };
 
-                    // Resolve the promise to continue with next game
-                    resolve();
-                }
-            }, 20); // Check every 20ms
-        });
+        leaderboardData = createEmptyLeaderboard();
+        saveLeaderboardData();
+
+        await executeTournament(plan);
     }
 
     /**
-     * Run the full tournament by matching all strategies
+     * Resume an interrupted tournament from its next unplayed game
      */
-    async function runTournament() {
+    async function resumeTournament() {
         if (isTournamentMode) return;
+        if (typeof MatchRunner !== 'undefined' && MatchRunner.isRunning()) return;
 
-        // DOM 요소 초기화
         initElements();
 
+        const plan = loadTournamentPlan();
+        if (!plan) {
+            if (tournamentStatusElement) {
+                tournamentStatusElement.textContent = "No interrupted tournament to resume.";
+            }
+            return;
+        }
+
+        logMessage(`=== Resuming tournament started ${plan.startedAt} ===`);
+        await executeTournament(plan);
+    }
+
+    /**
+     * Check if a run should go on: it is the active run and has not been stopped
+     * @param {Object} run - Run token
+     * @returns {boolean} True while the run may play
+     */
+    function isActive(run) {
+        return activeRun === run && !run.stopped;
+    }
+
+    /**
+     * Play a tournament plan, skipping games that already have a result
+     * The run stays active (Run and Resume disabled) until this loop exits, also after Stop.
+     * @param {Object} plan - Tournament plan {status, startedAt, seed, format, stages, stageIndex}
+     */
+    async function executeTournament(plan) {
+        const run = { stopped: null };
+        activeRun = run;
         isTournamentMode = true;
+        plan.status = 'running';
+        saveTournamentPlan(plan);
         console.log("=== Othello Tournament Start ===");
 
         if (tournamentStatusElement) {
@@ -282,78 +988,168 @@ const Tournament = (function () {
 
         // 전략 목록 업데이트
         updateStrategyReferences();
-        const allStrategies = getAllStrategies();
-
-        if (allStrategies.length < 2) {
-            if (tournamentStatusElement) {
-                tournamentStatusElement.textContent = 'Need >= 2 AIs';
-            }
-            isTournamentMode = false;
-            return;
-        }
-
-        if (!stageSelect) {
-            console.error("Stage select element not found");
-            isTournamentMode = false;
-            return;
-        }
 
-        const selectedIndex = parseInt(stageSelect && stageSelect.value || 0);
-        currentTournamentStageConfig = stages[selectedIndex >= 0 && selectedIndex < stages.length ? selectedIndex : 0];
+        const format = plan.format;
+        const tournamentStages = plan.stages;
+        const stageNames = tournamentStages.map(stage => stage.name).join(', ');
 
-        console.log(`Tournament using stage: ${currentTournamentStageConfig.name}`);
-        logMessage(`=== Tournament Start on Stage: ${currentTournamentStageConfig.name} ===`);
+        console.log(`Tournament using stages: ${stageNames}`);
+        logMessage(`=== Tournament Start on Stage${tournamentStages.length > 1 ? 's' : ''}: ${stageNames} ===`);
 
-        const totalGames = allStrategies.length * (allStrategies.length - 1);
-        let played = 0;
-        leaderboardData = { matches: [], results: {} };
         updateLeaderboardDisplay();
 
-        for (let i = 0; i < allStrategies.length; i++) {
-            for (let j = 0; j < allStrategies.length; j++) {
-                if (i === j) continue;
+        for (let s = plan.stageIndex; s < tournamentStages.length && isActive(run); s++) {
+            plan.stageIndex = s;
+            saveTournamentPlan(plan);
 
-                const p1S = allStrategies[i];
-                const p2S = allStrategies[j];
+            currentTournamentStageConfig = tournamentStages[s];
+            const stageLabel = tournamentStages.length > 1 ?
+                ` [Stage ${s + 1}/${tournamentStages.length}: ${currentTournamentStageConfig.name}]` : '';
 
-                played++;
-                if (tournamentStatusElement && isTournamentMode) {
-                    tournamentStatusElement.textContent = `Running... (${played}/${totalGames})`;
-                }
+            // 스테이지별 참가자 준비 (인텔리전트 시스템은 스테이지마다 분석)
+            const allStrategies = await prepareStageParticipants(currentTournamentStageConfig, run);
+            if (!isActive(run)) break;
 
-                if (!isTournamentMode) {
-                    console.log("Tournament stopped during execution");
-                    break;
+            // 재개 시에는 저장된 대진표를 그대로 사용
+            let state = leaderboardData.tournaments[currentTournamentStageConfig.name];
+            if (!state) {
+                if (allStrategies.length < 2) {
+                    logMessage(`Need >= 2 AIs on ${currentTournamentStageConfig.name}; stage skipped.`);
+                    continue;
+                }
+                // 오프닝 스위트: 스테이지별로 시드에서 생성
+                const suite = format.openings ? OpeningSuite.generate(currentTournamentStageConfig, {
+                    count: format.openings.count,
+                    plies: format.openings.plies,
+                    seed: (plan.seed ^ SeededRandom.hashString(currentTournamentStageConfig.name)) >>> 0
+                }) : [];
+                if (format.openings && suite.length === 0) {
+                    logMessage(`No balanced ${format.openings.plies}-ply openings on ${currentTournamentStageConfig.name}; playing from the initial position.`);
                 }
 
-                logMessage(`\n===== Game ${played}/${totalGames} =====`);
-                logMessage(`${p1S.name}(B) vs ${p2S.name}(W)`);
-                console.log(`Game ${played}: ${p1S.name} vs ${p2S.name}`);
+                const options = Object.assign({}, format.options, { openings: suite.map(opening => opening.id) });
+                state = TournamentFormats.create(format.type, allStrategies, options, plan.seed);
+                // Kept with the state so a resumed run plays the same positions
+                state.openingSuite = suite;
+                leaderboardData.tournaments[currentTournamentStageConfig.name] = state;
+                saveLeaderboardData();
+            }
 
-                await new Promise((r) => setTimeout(r, 10));
+            const pack = currentTournamentStageConfig.pack;
+            logMessage(`=== Stage: ${currentTournamentStageConfig.name} (${TournamentFormats.FORMATS[format.type]})` +
+                `${pack ? ` from pack "${pack.name}" ${pack.hash}` : ''} ===`);
+            const openingSuite = state.openingSuite || [];
+            if (openingSuite.length > 0) {
+                logMessage(`Openings: ${openingSuite.map(opening => opening.id).join(', ')}`);
+            }
 
-                if (blackAISelect && whiteAISelect) {
-                    blackAISelect.value = p1S.id;
-                    whiteAISelect.value = p2S.id;
-                    await playTournamentGame();
-                } else {
-                    console.error("AI select elements not found");
+            const available = new Set(allStrategies.map(p => p.id));
+            let played = 0;
+            let round;
+
+            while (isActive(run) && (round = TournamentFormats.nextRound(state))) {
+                saveLeaderboardData();
+                const roundGames = round.pairings.reduce((sum, p) => sum + p.games.length, 0);
+                let roundPlayed = round.pairings.reduce((sum, p) => sum + p.games.filter(game => game.result).length, 0);
+
+                for (const pairing of round.pairings) {
+                    for (let g = 0; g < pairing.games.length; g++) {
+                        const game = pairing.games[g];
+                        if (game.result) continue;
+
+                        if (!isActive(run)) {
+                            console.log("Tournament stopped during execution");
+                            break;
+                        }
+
+                        played++;
+                        roundPlayed++;
+                        if (tournamentStatusElement) {
+                            tournamentStatusElement.textContent = `Running... ${round.label} (${roundPlayed}/${roundGames})${stageLabel}`;
+                        }
+
+                        const blackId = state.players.find(p => p.name === game.black).id;
+                        const whiteId = state.players.find(p => p.name === game.white).id;
+
+                        // A strategy deleted since the plan was made forfeits its games
+                        if (!available.has(blackId) || !available.has(whiteId)) {
+                            const missing = !available.has(blackId) ? game.black : game.white;
+                            logMessage(`${missing} is no longer available; ${game.black}(B) vs ${game.white}(W) forfeited.`);
+                            TournamentFormats.recordGame(state, pairing, g, {
+                                winner: available.has(blackId) ? 1 : (available.has(whiteId) ? 2 : 0),
+                                diff: 0,
+                                forfeit: true
+                            });
+                            saveLeaderboardData();
+                            continue;
+                        }
+
+                        logMessage(`\n===== Game ${played} - ${round.label}${stageLabel} =====`);
+                        const opening = game.opening ? openingSuite.find(o => o.id === game.opening) : null;
+                        logMessage(`${game.black}(B) vs ${game.white}(W)${opening ? ` from ${opening.id}` : ''}`);
+                        console.log(`Game ${played}: ${game.black} vs ${game.white}`);
+
+                        await new Promise((r) => setTimeout(r, 10));
+
+                        if (blackAISelect && whiteAISelect) {
+                            blackAISelect.value = blackId;
+                            whiteAISelect.value = whiteId;
+                            const match = await playTournamentGame(game.black, game.white, opening);
+                            if (!match) {
+                                if (!isActive(run)) break;
+                                // Reset or replaced mid-game: stop here, the game is replayed on resume
+                                logMessage(`Game ${game.black}(B) vs ${game.white}(W) was interrupted; tournament paused.`);
+                                if (tournamentStatusElement) {
+                                    tournamentStatusElement.textContent = 'Paused: a game was interrupted. Resume to replay it.';
+                                }
+                                run.stopped = 'interrupted';
+                                break;
+                            }
+
+                            TournamentFormats.recordGame(state, pairing, g, {
+                                winner: match.winner,
+                                diff: match.score.black - match.score.white
+                            });
+                            saveLeaderboardData();
+                            updateLeaderboardDisplay();
+                        } else {
+                            console.error("AI select elements not found");
+                        }
+                    }
+                    if (!isActive(run)) break;
                 }
             }
-            if (!isTournamentMode) {
-                console.log("Tournament stopped during execution");
-                break;
+
+            saveLeaderboardData();
+
+            if (state.finished) {
+                logMessage(`${TournamentFormats.FORMATS[format.type]} on ${currentTournamentStageConfig.name} won by ${TournamentFormats.getWinner(state)}`);
             }
         }
 
+        // A run that is no longer the active one leaves the leaderboard and saved plan alone
+        if (activeRun !== run) return;
+
         saveLeaderboardData();
         updateLeaderboardDisplay();
 
-        if (isTournamentMode) {
-            tournamentStatusElement.textContent = `Complete! (${totalGames} games on ${currentTournamentStageConfig.name})`;
-            isTournamentMode = false;
+        const completed = !run.stopped;
+        activeRun = null;
+        isTournamentMode = false;
+
+        if (completed) {
+            tournamentStatusElement.textContent = leaderboardData.matches.length > 0 ?
+                `Complete! (${leaderboardData.matches.length} games on ${stageNames})` :
+                'Need >= 2 AIs';
+            saveTournamentPlan(null);
             logMessage(`=== Tournament Finished ===`);
             console.log("=== Othello Tournament Finished ===");
+        } else {
+            if (run.stopped === 'user' && tournamentStatusElement) {
+                tournamentStatusElement.textContent = `Competition stopped after ${leaderboardData.matches.length} games.`;
+            }
+            plan.status = 'stopped';
+            saveTournamentPlan(plan);
         }
 
         if (runTournamentButton) {
@@ -405,9 +1201,6 @@ const Tournament = (function () {
 
             // GameRollout 모듈이 있다면 롤아웃 설정
             if (typeof window.gameRollout !== 'undefined') {
-                // GameRollout 객체 초기화
-                window.gameRollout.analyzeGameBoundaries();
-
                 // 마지막 게임의 인덱스로 설정
                 const lastGameIndex = GameLogger.previousGames.length - 1;
                 window.gameRollout.currentGameIndex = lastGameIndex;
@@ -460,11 +1253,12 @@ const Tournament = (function () {
     }
 
     /**
- * Stop the currently running tournament
+ * Stop the currently running tournament after the game in progress
+ * Run and Resume stay disabled until the tournament loop has exited and saved the plan.
  * @returns {boolean} True if tournament was stopped, false if no tournament was running
  */
     function stopTournament() {
-        if (!isTournamentMode) {
+        if (!isTournamentMode || !activeRun || activeRun.stopped) {
             console.log("No tournament running to stop");
             if (tournamentStatusElement) {
                 tournamentStatusElement.textContent = "No tournament is currently running.";
@@ -474,7 +1268,7 @@ const Tournament = (function () {
 
         console.log("Tournament manually stopped by user");
 
-        isTournamentMode = false;
+        activeRun.stopped = 'user';
 
         // Log the interruption
         logMessage(`=== Tournament Interrupted ===`);
@@ -482,27 +1276,13 @@ const Tournament = (function () {
 
         // Update tournament status
         if (tournamentStatusElement) {
-            tournamentStatusElement.textContent = `Competition stopped after ${leaderboardData.matches.length} games.`;
+            tournamentStatusElement.textContent = `Stopping after the current game (${leaderboardData.matches.length} games played)...`;
         }
 
-        // Save current leaderboard data
-        saveLeaderboardData();
-
-        // Enable the run tournament button
-        const runTournamentButton = document.getElementById('run-tournament-btn');
-        if (runTournamentButton) {
-            runTournamentButton.disabled = false;
+        if (stopTournamentButton) {
+            stopTournamentButton.disabled = true;
         }
 
-        // Set tournament mode to false
-        isTournamentMode = false;
-
-        // Update leaderboard display
-        updateLeaderboardDisplay();
-
-        // Set up rollout for the games that were completed
-        setupRolloutAfterTournament();
-
         return true;
     }
 
@@ -517,7 +1297,8 @@ const Tournament = (function () {
             stopTournamentButton.disabled = true;
         }
 
-        leaderboardData = { matches: [], results: {} };
+        leaderboardData = createEmptyLeaderboard();
+        saveTournamentPlan(null);
 
         try {
             localStorage.removeItem('othelloLeaderboard');
@@ -542,8 +1323,10 @@ const Tournament = (function () {
         saveLeaderboardData,
         loadLeaderboardData,
         runTournament,
+        resumeTournament,
         getAllStrategies,
         playTournamentGame,
+        populateTournamentStages,
         resetLeaderboard,
         stopTournament,
         isRunning: () => isTournamentMode